@@ -11,6 +11,10 @@ import { PuzzleCore } from './core/puzzleCore';
 import { PuzzleTraps } from './puzzleTraps';
 import { PuzzleGenerator } from './education/puzzleGenerator';
 import { SkillTracker } from './education/skillTracker';
+import { ReviewScheduler } from './education/reviewScheduler';
+import { DifficultyController } from './education/difficultyController';
+import { PlacementTest } from './education/placementTest';
+import { EventEmitter } from './core/eventEmitter';
 
 // Import required modules (if in Node.js environment)
 // In browser, these would be included via script tags
@@ -19,30 +23,73 @@ if (typeof module !== 'undefined' && module.exports) {
     const { PuzzleTraps } = require('./puzzleTraps');
     const { PuzzleGenerator } = require('./education/puzzleGenerator');
     const { SkillTracker } = require('./education/skillTracker');
+    const { ReviewScheduler } = require('./education/reviewScheduler');
+    const { DifficultyController } = require('./education/difficultyController');
+    const { PlacementTest } = require('./education/placementTest');
     const { UserSkillProfile } = require('./education/userSkillProfile');
+    const { EventEmitter } = require('./core/eventEmitter');
     const Chess = require('chess.js').Chess;
 }
 
+// PuzzleCore events that ChessGuerilla passes on to its subscribers
+const PUZZLE_EVENTS = [
+    'puzzleLoaded',
+    'puzzleAbandoned',
+    'moveAccepted',
+    'moveRejected',
+    'refutationReady',
+    'opponentMoved',
+    'trapTriggered',
+    'puzzleCompleted',
+    'hintShown',
+    'solutionRevealed',
+    'navigated'
+];
+
 /**
  * Main ChessGuerilla Controller Class
+ * Runs the puzzle flow without touching the DOM. A renderer (see
+ * ui/puzzleRenderer.js) or a test subscribes to the events it emits: every
+ * PuzzleCore event, progressUpdated after a puzzle has been recorded and
+ * placementProgress after each placement test puzzle.
  */
-class ChessGuerilla {
+class ChessGuerilla extends EventEmitter {
     constructor(options = {}) {
+        super();
+        
         // Parse options
         this.options = {
             userId: 'guest-' + Math.random().toString(36).substring(2, 9),
             includeTraps: true,
             useLocalStorage: true,
             difficulty: 'adaptive', // 'adaptive', 'easy', 'medium', 'hard', 'expert'
+            reviewRatio: 0.3,       // Share of puzzles that are due reviews (0-1)
+            targetSuccessRate: 0.7, // Share of puzzles adaptive mode aims for the user to solve (0-1)
+            usePgnDatabase: true,   // Whether imported PGN collections supply puzzles
             ...options
         };
         
         // Initialize components
         this.puzzleCore = new PuzzleCore();
         this.puzzleGenerator = new PuzzleGenerator({
-            includeTraps: this.options.includeTraps
+            includeTraps: this.options.includeTraps,
+            usePgnDatabase: this.options.usePgnDatabase
         });
         this.skillTracker = new SkillTracker(this.options.userId);
+        this.reviewScheduler = new ReviewScheduler();
+        this.difficultyController = new DifficultyController({
+            targetSuccessRate: this.options.targetSuccessRate
+        });
+        
+        // Played puzzles only come back once they are due for review
+        this.puzzleGenerator.setHistoryProvider({
+            getSeenPuzzleIds: () => this.getSeenPuzzleIds(),
+            getDuePuzzleIds: () => this.reviewScheduler.getDueReviews().map(review => review.puzzleId)
+        });
+        this.puzzleGenerator.on('poolExhausted', event => this.emit('poolExhausted', event));
+        
+        // Placement test in progress, if any
+        this.placementTest = null;
         
         // Track user session
         this.sessionStats = {
@@ -60,281 +107,278 @@ class ChessGuerilla {
         if (this.options.useLocalStorage) {
             this.loadUserData();
         }
-    }
-    
-    /**
-     * Initialize the chess board UI
-     * @param {string} boardContainerId - DOM ID for the chess board container
-     * @param {Object} boardConfig - Configuration for the chessboard
-     */
-    initializeBoard(boardContainerId, boardConfig = {}) {
-        // Default board configuration
-        const config = {
-            draggable: true,
-            position: 'start',
-            pieceTheme: 'img/chesspieces/wikipedia/{piece}.png',
-            orientation: 'white',
-            onDragStart: this.onDragStart.bind(this),
-            onDrop: this.onDrop.bind(this),
-            onSnapEnd: this.onSnapEnd.bind(this),
-            ...boardConfig
-        };
-        
-        // Initialize the chessboard
-        this.board = Chessboard(boardContainerId, config);
         
-        // Set the board size responsively
-        this.resizeBoard();
-        window.addEventListener('resize', this.resizeBoard.bind(this));
-        
-        // Attach event listeners for UI controls
-        this.attachEventListeners();
-        
-        // Start with a new puzzle
-        this.startNewPuzzle();
+        this.attachCoreListeners();
     }
     
     /**
-     * Resize the chess board to fit the container
+     * Track the puzzle flow and pass PuzzleCore events on to subscribers
+     * Session stats are updated before subscribers hear about an event.
      */
-    resizeBoard() {
-        const board = document.getElementById(this.board.containerElId);
-        if (!board) return;
+    attachCoreListeners() {
+        this.puzzleCore.on('puzzleLoaded', event => {
+            if (event.reason === 'new') {
+                this.sessionStats.lastPuzzleStartTime = new Date();
+            }
+            this.sessionStats.currentPuzzleHints = 0;
+        });
         
-        const container = board.parentElement;
-        const containerWidth = container.offsetWidth;
-        const idealSize = Math.min(containerWidth, window.innerHeight * 0.7);
+        this.puzzleCore.on('hintShown', () => {
+            this.sessionStats.hintsUsed++;
+            this.sessionStats.currentPuzzleHints = (this.sessionStats.currentPuzzleHints || 0) + 1;
+        });
         
-        board.style.width = `${idealSize}px`;
-        board.style.height = `${idealSize}px`;
+        // Only the first result of an attempt counts towards the skill profile
+        this.puzzleCore.on('puzzleCompleted', event => {
+            if (event.recorded) {
+                this.handlePuzzleCompleted(event.solved, event.trapped);
+            }
+        });
         
-        // Trigger board resize if Chessboard.js has this method
-        if (this.board.resize) {
-            this.board.resize();
-        }
+        // The first wrong move fails the attempt, though the user may still retry
+        this.puzzleCore.on('moveRejected', event => {
+            if (event.recorded) {
+                this.handlePuzzleCompleted(false);
+            }
+        });
+        
+        PUZZLE_EVENTS.forEach(eventName => {
+            this.puzzleCore.on(eventName, event => this.emit(eventName, event));
+        });
     }
     
     /**
-     * Attach event listeners for UI controls
+     * Get the IDs of every puzzle the user has played or solved
+     * Includes the current puzzle so it is not dealt again straight away.
+     * @returns {Set} Puzzle IDs
      */
-    attachEventListeners() {
-        // New Puzzle button
-        const newPuzzleBtn = document.getElementById('newPuzzleBtn');
-        if (newPuzzleBtn) {
-            newPuzzleBtn.addEventListener('click', () => this.startNewPuzzle());
-        }
-        
-        // Reset Puzzle button
-        const resetPuzzleBtn = document.getElementById('resetPuzzleBtn');
-        if (resetPuzzleBtn) {
-            resetPuzzleBtn.addEventListener('click', () => this.resetCurrentPuzzle());
-        }
-        
-        // Hint button
-        const hintBtn = document.getElementById('hintBtn');
-        if (hintBtn) {
-            hintBtn.addEventListener('click', () => this.showHint());
-        }
-        
-        // Solution button
-        const solutionBtn = document.getElementById('solutionBtn');
-        if (solutionBtn) {
-            solutionBtn.addEventListener('click', () => this.showSolution());
-        }
-        
-        // Difficulty selector
-        const difficultySelect = document.getElementById('difficultySelect');
-        if (difficultySelect) {
-            difficultySelect.addEventListener('change', (e) => {
-                this.options.difficulty = e.target.value;
-                this.startNewPuzzle();
-            });
-        }
+    getSeenPuzzleIds() {
+        const seen = new Set(this.skillTracker.skillProfile.solvedPuzzles);
+        this.puzzleCore.puzzleHistory.forEach(attempt => seen.add(attempt.id));
         
-        // Theme selector
-        const themeSelect = document.getElementById('themeSelect');
-        if (themeSelect) {
-            themeSelect.addEventListener('change', (e) => {
-                this.options.theme = e.target.value;
-                this.startNewPuzzle();
-            });
+        if (this.puzzleCore.currentPuzzle) {
+            seen.add(this.puzzleCore.currentPuzzle.id);
         }
         
-        // Trap toggle
-        const trapToggle = document.getElementById('trapToggle');
-        if (trapToggle) {
-            trapToggle.addEventListener('change', (e) => {
-                this.puzzleGenerator.setTrapGeneration(e.target.checked);
-                this.updateUI();
-            });
-        }
+        return seen;
     }
     
     /**
      * Start a new puzzle
+     * @returns {Object} Board state of the new puzzle
      */
     startNewPuzzle() {
-        // End current session timing if applicable
-        if (this.sessionStats.lastPuzzleStartTime) {
-            const puzzleTime = (new Date() - this.sessionStats.lastPuzzleStartTime) / 1000;
-            this.sessionStats.totalTime += puzzleTime;
+        // A placement test in progress supplies the puzzles until it is done
+        if (this.placementTest) {
+            const placementPuzzle = this.placementTest.nextPuzzle();
+            if (placementPuzzle) {
+                return this.loadPuzzle({
+                    ...this.puzzleGenerator.getPuzzleById(placementPuzzle.id),
+                    isPlacement: true
+                });
+            }
         }
         
-        // Get puzzle difficulty based on user skill or selected option
-        let difficulty = this.options.difficulty;
-        
-        if (difficulty === 'adaptive') {
-            const rating = this.skillTracker.skillProfile.ratings.overall;
-            if (rating < 1200) difficulty = 'easy';
-            else if (rating < 1500) difficulty = 'medium';
-            else if (rating < 1800) difficulty = 'hard';
-            else difficulty = 'expert';
+        // Mix due reviews in with new puzzles
+        const reviewPuzzle = this.pickReviewPuzzle();
+        if (reviewPuzzle) {
+            return this.loadPuzzle(reviewPuzzle);
         }
         
         // Get recommended themes from skill tracker
         const recommendedThemes = this.skillTracker.skillProfile.getRecommendedThemes(1);
         const theme = recommendedThemes[0] || this.options.theme || null;
         
+        // Adaptive mode aims at the rating the user solves at the target success rate
+        if (this.options.difficulty === 'adaptive') {
+            const ratingWindow = this.difficultyController.getRatingWindow(this.skillTracker.skillProfile.getRating());
+            
+            return this.loadPuzzle(this.puzzleGenerator.generatePuzzleByRating(
+                theme,
+                ratingWindow,
+                this.puzzleGenerator.options.includeTraps
+            ));
+        }
+        
         // Generate a new puzzle
         const puzzle = this.puzzleGenerator.generatePuzzle(
             theme, 
-            difficulty, 
+            this.options.difficulty, 
             this.puzzleGenerator.options.includeTraps
         );
         
-        // Initialize the puzzle on the board
-        const boardState = this.puzzleCore.initializePuzzle(puzzle);
-        
-        // Update the board position
-        this.board.position(boardState.position);
-        
-        // Set the board orientation
-        this.board.orientation(puzzle.orientation);
-        
-        // Reset puzzle-specific stats
-        this.sessionStats.lastPuzzleStartTime = new Date();
-        this.sessionStats.currentPuzzleHints = 0;
-        
-        // Update UI with puzzle details
-        this.updateUI();
+        return this.loadPuzzle(puzzle);
     }
     
     /**
-     * Reset the current puzzle
+     * Start the placement test, or start it over
+     * Its puzzles are recorded only when the test is finished, when they
+     * replace the ratings with the test's estimate.
+     * @returns {Object} Board state of the first test puzzle
      */
-    resetCurrentPuzzle() {
-        const boardState = this.puzzleCore.resetPuzzle();
-        if (!boardState) return;
-        
-        this.board.position(boardState.position);
-        this.sessionStats.currentPuzzleHints = 0;
-        
-        this.updateUI();
+    startPlacementTest() {
+        this.placementTest = new PlacementTest(this.puzzleGenerator.getAllPuzzles());
+        return this.startNewPuzzle();
     }
     
     /**
-     * Handle piece drag start event
-     * @param {string} source - Source square
-     * @param {string} piece - Piece type
-     * @param {Object} position - Current board position
-     * @param {string} orientation - Board orientation
+     * Get the number of puzzles the placement test would play
      */
-    onDragStart(source, piece, position, orientation) {
-        // Prevent dragging if no puzzle is active
-        if (!this.puzzleCore.currentPuzzle) return false;
-        
-        // Get current player color from puzzle orientation
-        const playerColor = this.puzzleCore.currentPuzzle.orientation.charAt(0);
-        
-        // Only allow player to move their own pieces
-        if ((playerColor === 'w' && piece.search(/^b/) !== -1) ||
-            (playerColor === 'b' && piece.search(/^w/) !== -1)) {
-            return false;
-        }
+    getPlacementTestLength() {
+        return new PlacementTest(this.puzzleGenerator.getAllPuzzles()).length;
+    }
+    
+    /**
+     * Decline the placement test offered to new users
+     */
+    skipPlacementTest() {
+        this.skillTracker.skillProfile.placementSkipped = true;
         
-        // Prevent dragging if it's not the player's turn
-        const turn = this.puzzleCore.chessEngine.turn();
-        if ((turn === 'w' && piece.search(/^b/) !== -1) ||
-            (turn === 'b' && piece.search(/^w/) !== -1)) {
-            return false;
+        if (this.options.useLocalStorage) {
+            this.saveUserData();
         }
-        
-        return true;
     }
     
     /**
-     * Handle piece drop event
-     * @param {string} source - Source square
-     * @param {string} target - Target square
-     * @param {string} piece - Piece type
+     * Check whether the placement test should be offered to this user
+     */
+    shouldOfferPlacementTest() {
+        return !this.placementTest && this.skillTracker.skillProfile.shouldOfferPlacement();
+    }
+    
+    /**
+     * Record a placement test puzzle and seed the profile once the test is done
+     * @param {boolean} success - Whether the puzzle was solved
+     * @returns {Object|null} Skill result once the test is finished
      */
-    onDrop(source, target, piece) {
-        // Check for pawn promotion
-        let promotion = undefined;
+    handlePlacementResult(success) {
+        const test = this.placementTest;
+        const finished = test.recordResult(success);
         
-        if ((piece === 'wP' && target[1] === '8') ||
-            (piece === 'bP' && target[1] === '1')) {
-            promotion = 'q'; // Default to queen promotion
-            
-            // In a real app, we'd show a promotion dialog here
-            // For now, we'll just promote to a queen automatically
+        let result = null;
+        if (finished) {
+            result = this.skillTracker.applyPlacement(test.getEstimate(), test.results);
+            this.placementTest = null;
         }
         
-        // Evaluate the move
-        const moveResult = this.puzzleCore.evaluateMove(source, target, promotion);
-        
-        if (!moveResult || !moveResult.valid) {
-            // Invalid move, return piece to source square
-            return 'snapback';
+        if (this.options.useLocalStorage) {
+            this.saveUserData();
         }
         
-        // Update the board with the opponent's move if one was made
-        if (moveResult.opponentMove) {
-            setTimeout(() => {
-                this.board.position(moveResult.position);
-            }, 300);
-        }
+        this.emit('placementProgress', {
+            ...test.getProgress(),
+            finished: finished,
+            rating: finished ? this.skillTracker.skillProfile.getRating() : null,
+            sessionStats: this.sessionStats,
+            skillResult: result
+        });
         
-        // Handle puzzle completion
-        if (moveResult.completed) {
-            this.handlePuzzleCompleted(true);
-        }
+        return result;
+    }
+    
+    /**
+     * Pick a due review instead of a new puzzle, at the configured ratio
+     * The stored puzzle is used when it is no longer in the database.
+     * @returns {Object|null} The puzzle to review
+     */
+    pickReviewPuzzle() {
+        const review = this.reviewScheduler.getNextReview();
+        if (!review || Math.random() >= this.options.reviewRatio) return null;
         
-        // Handle incorrect moves
-        if (!moveResult.isCorrect && !moveResult.isTrap) {
-            this.showMessage("Try again. That's not the best move.", "error");
-            return 'snapback';
+        const puzzle = this.puzzleGenerator.getPuzzleById(review.puzzleId) || review.puzzle;
+        return { ...puzzle, isReview: true };
+    }
+    
+    /**
+     * Load a specific puzzle
+     * @param {Object} puzzle - Puzzle definition
+     * @returns {Object} Board state of the puzzle
+     */
+    loadPuzzle(puzzle) {
+        // End current session timing if applicable
+        if (this.sessionStats.lastPuzzleStartTime) {
+            const puzzleTime = (new Date() - this.sessionStats.lastPuzzleStartTime) / 1000;
+            this.sessionStats.totalTime += puzzleTime;
         }
         
-        // Handle trap moves
-        if (moveResult.isTrap) {
-            const trapInfo = moveResult.trapInfo;
-            this.showMessage(`You fell for the ${trapInfo.name} trap!`, "warning");
-            
-            // After a delay, show explanation and reset
-            setTimeout(() => {
-                this.showMessage(trapInfo.explanation, "info");
-                setTimeout(() => this.resetCurrentPuzzle(), 3000);
-            }, 1500);
-            
-            // Update skill tracking with trap move data
-            this.handlePuzzleCompleted(false, true);
-        }
+        // An unfinished puzzle is recorded as abandoned
+        const boardState = this.puzzleCore.initializePuzzle(puzzle);
         
-        // Update UI with the latest information
-        this.updateUI();
+        // Save the attempt log
+        if (this.options.useLocalStorage) {
+            this.saveUserData();
+        }
         
-        return undefined; // Allow the move
+        return boardState;
     }
     
     /**
-     * Handle post-move animation completion
+     * Reset the current puzzle
+     * @returns {Object|null} Board state of the puzzle
      */
-    onSnapEnd() {
-        // Make sure the board shows the current position
-        if (this.puzzleCore.currentPuzzle) {
-            this.board.position(this.puzzleCore.chessEngine.fen());
-        }
+    resetCurrentPuzzle() {
+        return this.puzzleCore.resetPuzzle();
+    }
+    
+    /**
+     * Play a move in the current puzzle
+     * @param {string} from - Source square
+     * @param {string} to - Target square
+     * @param {string} promotion - Promotion piece type, if any
+     * @returns {Object|null} Result from PuzzleCore.evaluateMove
+     */
+    makeMove(from, to, promotion) {
+        return this.puzzleCore.evaluateMove(from, to, promotion);
+    }
+    
+    /**
+     * Play a move typed in SAN or UCI notation
+     * @param {string} notation - The typed move
+     * @returns {Object|null} Result from PuzzleCore.evaluateMove
+     */
+    makeTypedMove(notation) {
+        return this.puzzleCore.evaluateMoveNotation(notation);
+    }
+    
+    /**
+     * Get a hint for the current puzzle
+     */
+    showHint() {
+        return this.puzzleCore.getHint();
+    }
+    
+    /**
+     * Reveal the solution for the current puzzle
+     * The puzzle is recorded as failed.
+     */
+    showSolution() {
+        return this.puzzleCore.revealSolution();
+    }
+    
+    /**
+     * Step through the full solution once the puzzle has ended
+     * @returns {Object|null} Board state, or null while the puzzle is still open
+     */
+    replaySolution() {
+        return this.puzzleCore.startReplay();
+    }
+    
+    /**
+     * Change the difficulty and start a new puzzle
+     * @param {string} difficulty - 'adaptive', 'easy', 'medium', 'hard' or 'expert'
+     */
+    setDifficulty(difficulty) {
+        this.options.difficulty = difficulty;
+        return this.startNewPuzzle();
+    }
+    
+    /**
+     * Change the preferred theme and start a new puzzle
+     * @param {string} theme - Theme name, or an empty string for any theme
+     */
+    setTheme(theme) {
+        this.options.theme = theme;
+        return this.startNewPuzzle();
     }
     
     /**
@@ -354,227 +398,63 @@ class ChessGuerilla {
                 this.sessionStats.bestStreak,
                 this.sessionStats.currentStreak
             );
-            
-            this.showMessage("Puzzle solved correctly!", "success");
         } else {
             this.sessionStats.puzzlesFailed++;
             this.sessionStats.currentStreak = 0;
-            
-            if (isTrap) {
-                this.showMessage("You fell for a trap! Learning opportunity!", "warning");
-            } else {
-                this.showMessage("Puzzle not solved correctly.", "error");
-            }
         }
         
-        // Update the skill tracker
-        const hintsUsed = this.sessionStats.currentPuzzleHints || 0;
+        // Placement test puzzles only count once the test is finished
+        const puzzle = this.puzzleCore.currentPuzzle;
+        if (puzzle.isPlacement && this.placementTest) {
+            return this.handlePlacementResult(success);
+        }
+        
+        // Update the skill tracker; the attempt keeps its hints across resets
+        const attempt = this.puzzleCore.currentAttempt;
+        const hintsUsed = attempt ? attempt.hintsUsed : 0;
         const result = this.skillTracker.updateAfterPuzzle(
-            this.puzzleCore.currentPuzzle,
+            puzzle,
             success,
             timeSpent,
             hintsUsed
         );
         
-        // Save user data
-        if (this.options.useLocalStorage) {
-            this.saveUserData();
-        }
-        
-        // Show achievements or milestone progress
-        if (result.achievedMilestones.length > 0) {
-            const milestone = result.achievedMilestones[0];
-            setTimeout(() => {
-                this.showAchievement(milestone.title, milestone.description);
-            }, 1000);
-        }
-        
-        // Show lesson completion
-        if (result.lessonCompleted) {
-            setTimeout(() => {
-                this.showMessage(`Lesson completed: ${result.nextLesson.title}`, "success");
-            }, 2000);
-        }
+        // The attempt rates the puzzle as well as the user
+        this.puzzleGenerator.setPuzzleRating(puzzle.id, result.puzzleRating);
         
-        // Update UI
-        this.updateUI();
-    }
-    
-    /**
-     * Show a hint for the current puzzle
-     */
-    showHint() {
-        const hint = this.puzzleCore.getHint();
-        if (!hint) return;
+        // Missed, hinted or slow puzzles come back for review
+        this.reviewScheduler.recordAttempt(puzzle, success, timeSpent, hintsUsed);
         
-        this.showMessage(hint.message, "info");
+        // Recent results steer adaptive difficulty
+        this.difficultyController.recordResult(success);
         
-        // Highlight the relevant squares
-        if (hint.highlightSquares && hint.highlightSquares.length > 0) {
-            this.highlightSquares(hint.highlightSquares);
+        // Save user data
+        if (this.options.useLocalStorage) {
+            this.saveUserData();
         }
         
-        // Track hint usage
-        this.sessionStats.hintsUsed++;
-        this.sessionStats.currentPuzzleHints = (this.sessionStats.currentPuzzleHints || 0) + 1;
-    }
-    
-    /**
-     * Highlight squares on the board
-     * @param {Array} squares - Array of square names to highlight
-     */
-    highlightSquares(squares) {
-        // Remove any existing highlights
-        const highlightClass = 'highlight-square';
-        document.querySelectorAll(`.${highlightClass}`).forEach(el => {
-            el.classList.remove(highlightClass);
-        });
-        
-        // Add highlights to the specified squares
-        squares.forEach(square => {
-            const squareEl = document.querySelector(`.square-${square}`);
-            if (squareEl) {
-                squareEl.classList.add(highlightClass);
-            }
+        this.emit('progressUpdated', {
+            success: success,
+            isTrap: isTrap,
+            sessionStats: this.sessionStats,
+            skillResult: result
         });
         
-        // Remove highlights after a delay
-        setTimeout(() => {
-            document.querySelectorAll(`.${highlightClass}`).forEach(el => {
-                el.classList.remove(highlightClass);
-            });
-        }, 3000);
-    }
-    
-    /**
-     * Show the solution for the current puzzle
-     */
-    showSolution() {
-        if (!this.puzzleCore.currentPuzzle) return;
-        
-        const explanation = this.puzzleCore.getPuzzleExplanation();
-        this.showMessage(`Solution: ${explanation.explanation}`, "info");
-        
-        // Mark puzzle as failed when solution is shown
-        this.handlePuzzleCompleted(false);
-        
-        // Show full solution moves after a delay
-        setTimeout(() => {
-            const movesList = this.puzzleCore.currentPuzzle.moves.join(', ');
-            this.showMessage(`Correct sequence: ${movesList}`, "info");
-        }, 2000);
-    }
-    
-    /**
-     * Show a message in the UI
-     * @param {string} message - The message to display
-     * @param {string} type - Message type (success, error, info, warning)
-     */
-    showMessage(message, type = "info") {
-        const messageBox = document.getElementById('messageBox');
-        if (!messageBox) return;
-        
-        // Set message content and type
-        messageBox.textContent = message;
-        messageBox.className = `message-box ${type}`;
-        
-        // Make sure the message box is visible
-        messageBox.style.display = 'block';
-        
-        // Clear the message after a delay for certain types
-        if (type === "success" || type === "error") {
-            setTimeout(() => {
-                messageBox.style.display = 'none';
-            }, 5000);
-        }
-    }
-    
-    /**
-     * Show an achievement notification
-     * @param {string} title - Achievement title
-     * @param {string} description - Achievement description
-     */
-    showAchievement(title, description) {
-        // Create achievement notification element if it doesn't exist
-        let achievementEl = document.getElementById('achievement-notification');
-        
-        if (!achievementEl) {
-            achievementEl = document.createElement('div');
-            achievementEl.id = 'achievement-notification';
-            document.body.appendChild(achievementEl);
-        }
-        
-        // Set achievement content
-        achievementEl.innerHTML = `
-            <div class="achievement-icon">🏆</div>
-            <div class="achievement-content">
-                <h3>${title}</h3>
-                <p>${description}</p>
-            </div>
-        `;
-        
-        // Show the achievement
-        achievementEl.classList.add('show');
-        
-        // Hide after a delay
-        setTimeout(() => {
-            achievementEl.classList.remove('show');
-        }, 5000);
+        return result;
     }
     
     /**
-     * Update UI elements with the latest game state
+     * Check whether browser storage is available
      */
-        updateUI() {
-        // Update puzzle info
-        const puzzleInfoEl = document.getElementById('puzzle-info');
-        if (puzzleInfoEl && this.puzzleCore.currentPuzzle) {
-            const puzzle = this.puzzleCore.currentPuzzle;
-            puzzleInfoEl.innerHTML = `
-                <div class="puzzle-theme">${puzzle.theme || 'General Tactics'}</div>
-                <div class="puzzle-difficulty">${puzzle.difficulty || 'Medium'}</div>
-                <div class="puzzle-objective">${puzzle.objective || 'Find the best move'}</div>
-            `;
-        }
-        
-        // Update stats display
-        const statsEl = document.getElementById('stats-display');
-        if (statsEl) {
-            const rating = this.skillTracker.skillProfile.ratings.overall;
-            statsEl.innerHTML = `
-                <div class="stat-item">
-                    <span class="stat-label">Rating:</span>
-                    <span class="stat-value">${rating}</span>
-                </div>
-                <div class="stat-item">
-                    <span class="stat-label">Solved:</span>
-                    <span class="stat-value">${this.sessionStats.puzzlesSolved}</span>
-                </div>
-                <div class="stat-item">
-                    <span class="stat-label">Streak:</span>
-                    <span class="stat-value">${this.sessionStats.currentStreak}</span>
-                </div>
-            `;
-        }
-        
-        // Update trap toggle state
-        const trapToggle = document.getElementById('trapToggle');
-        if (trapToggle) {
-            trapToggle.checked = this.puzzleGenerator.options.includeTraps;
-        }
-        
-        // Update difficulty selector
-        const difficultySelect = document.getElementById('difficultySelect');
-        if (difficultySelect) {
-            difficultySelect.value = this.options.difficulty;
-        }
+    hasLocalStorage() {
+        return this.options.useLocalStorage && typeof window !== 'undefined' && !!window.localStorage;
     }
     
     /**
      * Save user data to local storage
      */
     saveUserData() {
-        if (!window.localStorage) return;
+        if (!this.hasLocalStorage()) return;
         
         try {
             // Save skill profile
@@ -586,18 +466,61 @@ class ChessGuerilla {
             
             // Save options
             localStorage.setItem(`chess_guerilla_options_${this.options.userId}`, JSON.stringify(this.options));
+            
+            // Save puzzle attempt history
+            localStorage.setItem(`chess_guerilla_history_${this.options.userId}`, this.puzzleCore.exportPuzzleHistory());
+            
+            // Save recent results for adaptive difficulty
+            localStorage.setItem(`chess_guerilla_difficulty_${this.options.userId}`, this.difficultyController.exportState());
+            
+            // Save the review queue
+            localStorage.setItem(`chess_guerilla_reviews_${this.options.userId}`, this.reviewScheduler.exportReviews());
+            
+            // Save puzzle ratings, which every user on this device shares
+            localStorage.setItem('chess_guerilla_puzzle_ratings', this.puzzleGenerator.exportPuzzleRatings());
         } catch (e) {
             console.error("Error saving user data:", e);
         }
     }
     
+    /**
+     * Save imported puzzles and PGN collections, which every user on this device shares
+     * They are only written when an import adds to them, as they can be large.
+     * @returns {boolean} Whether the puzzles were saved
+     */
+    saveImportedPuzzles() {
+        if (!this.hasLocalStorage()) return false;
+        
+        try {
+            localStorage.setItem('chess_guerilla_imported_puzzles', this.puzzleGenerator.exportImportedPuzzles());
+            localStorage.setItem('chess_guerilla_pgn_collections', this.puzzleGenerator.exportPgnCollections());
+            return true;
+        } catch (e) {
+            // Usually the storage quota; the puzzles last until the page is closed
+            console.error("Error saving imported puzzles:", e);
+            return false;
+        }
+    }
+    
     /**
      * Load user data from local storage
      */
     loadUserData() {
-        if (!window.localStorage) return;
+        if (!this.hasLocalStorage()) return;
         
         try {
+            // Load options first, so they apply to the puzzles loaded below
+            const optionsJson = localStorage.getItem(`chess_guerilla_options_${this.options.userId}`);
+            if (optionsJson) {
+                const savedOptions = JSON.parse(optionsJson);
+                // Merge saved options with defaults
+                this.options = { ...this.options, ...savedOptions };
+                // Apply loaded options
+                this.puzzleGenerator.setTrapGeneration(this.options.includeTraps);
+                this.difficultyController.options.targetSuccessRate = this.options.targetSuccessRate;
+                this.puzzleGenerator.options.usePgnDatabase = this.options.usePgnDatabase;
+            }
+            
             // Load skill profile
             const userProgress = localStorage.getItem(`chess_guerilla_progress_${this.options.userId}`);
             if (userProgress) {
@@ -615,14 +538,40 @@ class ChessGuerilla {
                 this.sessionStats.hintsUsed = savedStats.hintsUsed || 0;
             }
             
-            // Load options
-            const optionsJson = localStorage.getItem(`chess_guerilla_options_${this.options.userId}`);
-            if (optionsJson) {
-                const savedOptions = JSON.parse(optionsJson);
-                // Merge saved options with defaults
-                this.options = { ...this.options, ...savedOptions };
-                // Apply loaded options
-                this.puzzleGenerator.setTrapGeneration(this.options.includeTraps);
+            // Load puzzle attempt history
+            const historyJson = localStorage.getItem(`chess_guerilla_history_${this.options.userId}`);
+            if (historyJson) {
+                this.puzzleCore.importPuzzleHistory(historyJson);
+            }
+            
+            // Load recent results for adaptive difficulty
+            const difficultyJson = localStorage.getItem(`chess_guerilla_difficulty_${this.options.userId}`);
+            if (difficultyJson) {
+                this.difficultyController.importState(difficultyJson);
+            }
+            
+            // Load the review queue
+            const reviewsJson = localStorage.getItem(`chess_guerilla_reviews_${this.options.userId}`);
+            if (reviewsJson) {
+                this.reviewScheduler.importReviews(reviewsJson);
+            }
+            
+            // Load imported puzzles before their ratings
+            const importedPuzzlesJson = localStorage.getItem('chess_guerilla_imported_puzzles');
+            if (importedPuzzlesJson) {
+                this.puzzleGenerator.restoreImportedPuzzles(importedPuzzlesJson);
+            }
+            
+            // Load imported PGN collections, which load their puzzles while the PGN database is on
+            const pgnCollectionsJson = localStorage.getItem('chess_guerilla_pgn_collections');
+            if (pgnCollectionsJson) {
+                this.puzzleGenerator.restorePgnCollections(pgnCollectionsJson);
+            }
+            
+            // Load puzzle ratings
+            const puzzleRatingsJson = localStorage.getItem('chess_guerilla_puzzle_ratings');
+            if (puzzleRatingsJson) {
+                this.puzzleGenerator.importPuzzleRatings(puzzleRatingsJson);
             }
         } catch (e) {
             console.error("Error loading user data:", e);
@@ -638,14 +587,18 @@ class ChessGuerilla {
         
         return {
             username: this.options.userId,
-            currentRating: summary.ratings.overall,
+            currentRating: summary.rating,
+            provisional: summary.provisional,
+            ratings: summary.ratings,
             strengthThemes: summary.strengthThemes,
             weaknessThemes: summary.weaknessThemes,
+            themeRatings: summary.themeRatings,
             puzzlesSolved: puzzleStats.solved,
             totalAttempts: puzzleStats.total,
             successRate: puzzleStats.total > 0 ? 
                 (puzzleStats.solved / puzzleStats.total * 100).toFixed(1) + '%' : '0%',
             bestStreak: this.sessionStats.bestStreak,
+            reviewsDueToday: this.reviewScheduler.getDueTodayCount(),
             currentLevel: summary.currentLevel,
             nextLevelProgress: summary.nextLevelProgress,
             achievedMilestones: summary.achievedMilestones,
@@ -654,128 +607,6 @@ class ChessGuerilla {
         };
     }
     
-    /**
-     * Display a performance report in the UI
-     */
-    showPerformanceReport() {
-        const report = this.generateReport();
-        
-        // Create a modal for the report
-        const modalHtml = `
-            <div class="report-modal">
-                <div class="report-modal-content">
-                    <span class="close-button">&times;</span>
-                    <h2>Chess Performance Report</h2>
-                    <div class="report-section">
-                        <h3>Rating: ${report.currentRating}</h3>
-                        <div class="progress-bar">
-                            <div class="progress-fill" style="width: ${report.nextLevelProgress};"></div>
-                        </div>
-                        <p>Progress to ${report.nextMilestone ? report.nextMilestone.title : 'next level'}: ${report.nextLevelProgress}</p>
-                    </div>
-                    <div class="report-section">
-                        <h3>Strengths</h3>
-                        <ul>
-                            ${report.strengthThemes.map(theme => `<li>${theme}</li>`).join('')}
-                        </ul>
-                    </div>
-                    <div class="report-section">
-                        <h3>Areas for Improvement</h3>
-                        <ul>
-                            ${report.weaknessThemes.map(theme => `<li>${theme}</li>`).join('')}
-                        </ul>
-                    </div>
-                    <div class="report-section">
-                        <h3>Statistics</h3>
-                        <table>
-                            <tr><td>Puzzles Solved:</td><td>${report.puzzlesSolved}</td></tr>
-                            <tr><td>Success Rate:</td><td>${report.successRate}</td></tr>
-                            <tr><td>Best Streak:</td><td>${report.bestStreak}</td></tr>
-                        </table>
-                    </div>
-                    <div class="report-section">
-                        <h3>Recommendation</h3>
-                        <p>Focus on: <strong>${report.recommendedFocus}</strong></p>
-                    </div>
-                    <button class="share-report-btn">Share Report</button>
-                </div>
-            </div>
-        `;
-        
-        // Create the modal element
-        const modalEl = document.createElement('div');
-        modalEl.innerHTML = modalHtml;
-        document.body.appendChild(modalEl);
-        
-        // Add event listeners for the modal
-        const modal = modalEl.querySelector('.report-modal');
-        const closeBtn = modalEl.querySelector('.close-button');
-        const shareBtn = modalEl.querySelector('.share-report-btn');
-        
-        closeBtn.addEventListener('click', () => {
-            document.body.removeChild(modalEl);
-        });
-        
-        shareBtn.addEventListener('click', () => {
-            this.shareReport(report);
-        });
-        
-        // Close modal if clicked outside
-        window.addEventListener('click', (e) => {
-            if (e.target === modal) {
-                document.body.removeChild(modalEl);
-            }
-        });
-    }
-    
-    /**
-     * Share performance report
-     */
-    shareReport(report) {
-        // Create shareable text
-        const shareText = `
-My ChessGuerilla Report:
-Rating: ${report.currentRating}
-Strengths: ${report.strengthThemes.join(', ')}
-Areas to improve: ${report.weaknessThemes.join(', ')}
-Puzzles solved: ${report.puzzlesSolved}
-Success rate: ${report.successRate}
-#ChessGuerilla
-        `.trim();
-        
-        // Check if Web Share API is supported
-        if (navigator.share) {
-            navigator.share({
-                title: 'My ChessGuerilla Performance Report',
-                text: shareText,
-                url: window.location.href
-            })
-            .catch(error => console.error('Error sharing:', error));
-        } else {
-            // Fallback to clipboard
-            navigator.clipboard.writeText(shareText)
-                .then(() => {
-                    this.showMessage('Report copied to clipboard!', 'success');
-                })
-                .catch(error => {
-                    console.error('Error copying report:', error);
-                    this.showMessage('Could not copy report to clipboard.', 'error');
-                    
-                    // Show in a textarea as last resort
-                    const textarea = document.createElement('textarea');
-                    textarea.value = shareText;
-                    textarea.style.position = 'fixed';
-                    textarea.style.left = '0';
-                    textarea.style.top = '0';
-                    document.body.appendChild(textarea);
-                    textarea.focus();
-                    textarea.select();
-                    document.execCommand('copy');
-                    document.body.removeChild(textarea);
-                });
-        }
-    }
-    
     /**
      * Does the system generate traps?
      */
@@ -792,6 +623,36 @@ Success rate: ${report.successRate}
         this.saveUserData();
         return result;
     }
+    
+    /**
+     * Import puzzles from a local copy of the Lichess puzzle dump
+     * Imported puzzles are saved and come back in later sessions.
+     * @param {Blob} file - Decompressed Lichess puzzle CSV file
+     * @param {Object} options - Filters and limit, see parseLichessCsv
+     * @returns {Promise<Object>} { imported, rejected, duplicates, skipped, saveFailed }
+     */
+    async importLichessFile(file, options = {}) {
+        const result = await this.puzzleGenerator.importLichessFile(file, options);
+        
+        // saveFailed tells the user the puzzles will be gone after a reload
+        result.saveFailed = this.hasLocalStorage() && !this.saveImportedPuzzles();
+        return result;
+    }
+    
+    /**
+     * Import a PGN puzzle collection from a local file
+     * The collection is saved and its puzzles come back in later sessions
+     * while the PGN database is on.
+     * @param {Blob} file - PGN file whose games have a [FEN] header
+     * @returns {Promise<Object>} { imported, rejected, duplicates, skipped, saveFailed }
+     */
+    async importPgnFile(file) {
+        const result = this.puzzleGenerator.importPgnCollection(await file.text());
+        
+        // saveFailed tells the user the collection will be gone after a reload
+        result.saveFailed = this.hasLocalStorage() && !this.saveImportedPuzzles();
+        return result;
+    }
 }
 
 // Replace lines 797-803 with:
@@ -0,0 +1,257 @@
+/**
+ * Board Analysis Helpers
+ *
+ * Square geometry and attack detection on top of a chess.js instance.
+ * Used to explain refutations, build hints and recognize tactical motifs.
+ */
+
+const FILES = 'abcdefgh';
+
+const PIECE_NAMES = {
+    p: 'pawn',
+    n: 'knight',
+    b: 'bishop',
+    r: 'rook',
+    q: 'queen',
+    k: 'king'
+};
+
+// Conventional material values in pawns
+const MATERIAL_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
+
+// Game phase by the number of pieces left on the board
+const ENDGAME_MAX_PIECES = 10;
+const MIDDLEGAME_MAX_PIECES = 20;
+
+const KNIGHT_OFFSETS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+const KING_OFFSETS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+const ROOK_DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const BISHOP_DIRECTIONS = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+/**
+ * Convert a square name to [file, rank] coordinates (0-7)
+ */
+function squareToCoords(square) {
+    return [FILES.indexOf(square.charAt(0)), parseInt(square.charAt(1), 10) - 1];
+}
+
+/**
+ * Convert [file, rank] coordinates to a square name, or null if off the board
+ */
+function coordsToSquare(file, rank) {
+    if (file < 0 || file > 7 || rank < 0 || rank > 7) return null;
+    return FILES.charAt(file) + (rank + 1);
+}
+
+/**
+ * List every occupied square with its piece
+ * @param {Object} chess - chess.js instance
+ * @returns {Array} Array of { square, type, color }
+ */
+function getPieces(chess) {
+    const pieces = [];
+    
+    for (let file = 0; file < 8; file++) {
+        for (let rank = 0; rank < 8; rank++) {
+            const square = coordsToSquare(file, rank);
+            const piece = chess.get(square);
+            if (piece) {
+                pieces.push({ square: square, type: piece.type, color: piece.color });
+            }
+        }
+    }
+    
+    return pieces;
+}
+
+/**
+ * Find the square of a king
+ * @param {Object} chess - chess.js instance
+ * @param {string} color - 'w' or 'b'
+ */
+function findKing(chess, color) {
+    const king = getPieces(chess).find(piece => piece.type === 'k' && piece.color === color);
+    return king ? king.square : null;
+}
+
+/**
+ * Get the squares attacked by the piece standing on a square
+ * Sliding pieces stop at the first occupied square, which is included.
+ * @param {Object} chess - chess.js instance
+ * @param {string} square - Square of the attacking piece
+ * @returns {Array} Attacked square names
+ */
+function getAttackedSquares(chess, square) {
+    const piece = chess.get(square);
+    if (!piece) return [];
+    
+    const [file, rank] = squareToCoords(square);
+    const attacked = [];
+    
+    const addOffsets = offsets => {
+        offsets.forEach(([df, dr]) => {
+            const target = coordsToSquare(file + df, rank + dr);
+            if (target) attacked.push(target);
+        });
+    };
+    
+    const addRays = directions => {
+        directions.forEach(([df, dr]) => {
+            let target = coordsToSquare(file + df, rank + dr);
+            let step = 1;
+            while (target) {
+                attacked.push(target);
+                if (chess.get(target)) break;
+                step++;
+                target = coordsToSquare(file + df * step, rank + dr * step);
+            }
+        });
+    };
+    
+    switch (piece.type) {
+        case 'p': {
+            const direction = piece.color === 'w' ? 1 : -1;
+            addOffsets([[-1, direction], [1, direction]]);
+            break;
+        }
+        case 'n':
+            addOffsets(KNIGHT_OFFSETS);
+            break;
+        case 'b':
+            addRays(BISHOP_DIRECTIONS);
+            break;
+        case 'r':
+            addRays(ROOK_DIRECTIONS);
+            break;
+        case 'q':
+            addRays(ROOK_DIRECTIONS.concat(BISHOP_DIRECTIONS));
+            break;
+        case 'k':
+            addOffsets(KING_OFFSETS);
+            break;
+    }
+    
+    return attacked;
+}
+
+/**
+ * Get the pieces of a color that attack a square
+ * @param {Object} chess - chess.js instance
+ * @param {string} square - Target square
+ * @param {string} color - Color of the attackers ('w' or 'b')
+ * @returns {Array} Array of { square, type, color }
+ */
+function getAttackers(chess, square, color) {
+    return getPieces(chess).filter(piece =>
+        piece.color === color && getAttackedSquares(chess, piece.square).includes(square)
+    );
+}
+
+/**
+ * Get the enemy pieces attacked by the piece on a square
+ * @param {Object} chess - chess.js instance
+ * @param {string} square - Square of the attacking piece
+ * @returns {Array} Array of { square, type, color }
+ */
+function getAttackedPieces(chess, square) {
+    const attacker = chess.get(square);
+    if (!attacker) return [];
+    
+    return getAttackedSquares(chess, square)
+        .map(target => ({ square: target, piece: chess.get(target) }))
+        .filter(({ piece }) => piece && piece.color !== attacker.color)
+        .map(({ square: target, piece }) => ({ square: target, type: piece.type, color: piece.color }));
+}
+
+/**
+ * Check whether a piece can be taken without losing material back
+ * A piece counts as vulnerable if it is undefended or attacked by a cheaper piece.
+ * @param {Object} chess - chess.js instance
+ * @param {string} square - Square of the piece
+ */
+function isVulnerable(chess, square) {
+    const piece = chess.get(square);
+    if (!piece || piece.type === 'k') return false;
+    
+    const enemy = piece.color === 'w' ? 'b' : 'w';
+    const attackers = getAttackers(chess, square, enemy);
+    if (attackers.length === 0) return false;
+    
+    const defenders = getAttackers(chess, square, piece.color);
+    if (defenders.length === 0) return true;
+    
+    return attackers.some(attacker => MATERIAL_VALUES[attacker.type] < MATERIAL_VALUES[piece.type]);
+}
+
+/**
+ * Count material for both sides in pawns
+ * @param {Object} chess - chess.js instance
+ * @returns {Object} { w, b }
+ */
+function getMaterial(chess) {
+    const material = { w: 0, b: 0 };
+    
+    getPieces(chess).forEach(piece => {
+        material[piece.color] += MATERIAL_VALUES[piece.type];
+    });
+    
+    return material;
+}
+
+/**
+ * Count the pieces in a position, kings and pawns included
+ * @param {string} fen - Position in FEN
+ */
+function countPieces(fen) {
+    const placement = (fen || '').split(' ')[0];
+    return (placement.match(/[a-zA-Z]/g) || []).length;
+}
+
+/**
+ * Get the game phase of a position from the number of pieces left
+ * @param {string} fen - Position in FEN
+ * @returns {string} 'opening', 'middlegame' or 'endgame'
+ */
+function getGamePhase(fen) {
+    const pieces = countPieces(fen);
+    
+    if (pieces <= ENDGAME_MAX_PIECES) return 'endgame';
+    if (pieces <= MIDDLEGAME_MAX_PIECES) return 'middlegame';
+    return 'opening';
+}
+
+/**
+ * Get the name of a piece type
+ */
+function getPieceName(type) {
+    return PIECE_NAMES[type] || 'piece';
+}
+
+/**
+ * Join names as "a", "a and b" or "a, b and c"
+ */
+function joinNames(names) {
+    if (names.length <= 1) return names.join('');
+    return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+// Export the analysis helpers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PIECE_NAMES,
+        MATERIAL_VALUES,
+        squareToCoords,
+        coordsToSquare,
+        getPieces,
+        findKing,
+        getAttackedSquares,
+        getAttackers,
+        getAttackedPieces,
+        isVulnerable,
+        getMaterial,
+        countPieces,
+        getGamePhase,
+        getPieceName,
+        joinNames
+    };
+}
@@ -0,0 +1,330 @@
+/**
+ * Shared Constants
+ *
+ * The theme registry lists every puzzle theme once, under a canonical ID.
+ * IDs follow the Lichess puzzle theme names so imported puzzles need no
+ * mapping. Puzzles, lessons, the theme picker and the rating categories all
+ * refer to themes by these IDs; aliases keep older names (and the names
+ * stored in saved progress) working.
+ */
+
+// Rating categories a theme belongs to, in display order
+const THEME_CATEGORIES = {
+    tactics: { id: 'tactics', name: 'Tactics' },
+    strategy: { id: 'strategy', name: 'Strategy' },
+    endgame: { id: 'endgame', name: 'Endgames' },
+    openings: { id: 'openings', name: 'Openings' }
+};
+
+const THEMES = [
+    // Tactics
+    {
+        id: 'fork',
+        name: 'Forks',
+        category: 'tactics',
+        aliases: ['forks', 'double attack', 'double attacks'],
+        description: 'One piece attacks two or more enemy pieces at once.'
+    },
+    {
+        id: 'pin',
+        name: 'Pins',
+        category: 'tactics',
+        aliases: ['pins'],
+        description: 'A piece cannot move without exposing a more valuable piece behind it.'
+    },
+    {
+        id: 'skewer',
+        name: 'Skewers',
+        category: 'tactics',
+        aliases: ['skewers'],
+        description: 'A valuable piece is attacked and has to move, leaving the piece behind it to be taken.'
+    },
+    {
+        id: 'discoveredAttack',
+        name: 'Discovered Attacks',
+        category: 'tactics',
+        aliases: ['discovered attack', 'discovered attacks'],
+        description: 'Moving one piece opens a line for another piece to attack.'
+    },
+    {
+        id: 'doubleCheck',
+        name: 'Double Check',
+        category: 'tactics',
+        aliases: ['double check', 'double checks'],
+        description: 'Two pieces give check at once, so only a king move helps.'
+    },
+    {
+        id: 'deflection',
+        name: 'Deflection',
+        category: 'tactics',
+        aliases: [],
+        description: 'A defender is forced away from the square or piece it guards.'
+    },
+    {
+        id: 'attraction',
+        name: 'Decoys',
+        category: 'tactics',
+        aliases: ['decoy', 'decoys'],
+        description: 'An enemy piece is lured onto a square where it can be attacked.'
+    },
+    {
+        id: 'capturingDefender',
+        name: 'Removing the Defender',
+        category: 'tactics',
+        aliases: ['removing the defender', 'removal of the defender'],
+        description: 'Capturing a defender leaves the piece or square it protected open.'
+    },
+    {
+        id: 'sacrifice',
+        name: 'Sacrifices',
+        category: 'tactics',
+        aliases: ['sacrifices'],
+        description: 'Material is given up for an attack or a bigger gain.'
+    },
+    {
+        id: 'interference',
+        name: 'Interference',
+        category: 'tactics',
+        aliases: [],
+        description: 'A piece is placed between an enemy piece and what it defends.'
+    },
+    {
+        id: 'intermezzo',
+        name: 'Zwischenzug',
+        category: 'tactics',
+        aliases: ['zwischenzug', 'in-between move'],
+        description: 'An in-between move that creates a bigger threat before the expected reply.'
+    },
+    {
+        id: 'hangingPiece',
+        name: 'Hanging Pieces',
+        category: 'tactics',
+        aliases: ['hanging piece', 'hanging pieces', 'loose piece'],
+        description: 'An undefended piece can simply be taken.'
+    },
+    {
+        id: 'underPromotion',
+        name: 'Underpromotion',
+        category: 'tactics',
+        aliases: ['underpromotion'],
+        description: 'Promoting to a knight, rook or bishop instead of a queen.'
+    },
+    {
+        id: 'kingsideAttack',
+        name: 'Attacking the King',
+        category: 'tactics',
+        aliases: ['attacking the king', 'king attack'],
+        description: 'Pieces combine against the enemy king.'
+    },
+    {
+        id: 'mate',
+        name: 'Checkmate',
+        category: 'tactics',
+        aliases: ['checkmate', 'mate patterns'],
+        description: 'The line ends in checkmate.'
+    },
+    {
+        id: 'mateIn1',
+        name: 'Mate in 1',
+        category: 'tactics',
+        aliases: ['mate in 1'],
+        description: 'Checkmate in one move.'
+    },
+    {
+        id: 'mateIn2',
+        name: 'Mate in 2',
+        category: 'tactics',
+        aliases: ['mate in 2'],
+        description: 'Checkmate in two moves.'
+    },
+    {
+        id: 'mateIn3',
+        name: 'Mate in 3',
+        category: 'tactics',
+        aliases: ['mate in 3'],
+        description: 'Checkmate in three moves.'
+    },
+    {
+        id: 'mateIn4',
+        name: 'Mate in 4',
+        category: 'tactics',
+        aliases: ['mate in 4'],
+        description: 'Checkmate in four moves.'
+    },
+    {
+        id: 'mateIn5',
+        name: 'Mate in 5 or More',
+        category: 'tactics',
+        aliases: ['mate in 5'],
+        description: 'A long forced sequence ending in checkmate.'
+    },
+    {
+        id: 'backRankMate',
+        name: 'Back Rank Mate',
+        category: 'tactics',
+        aliases: ['back rank mate', 'back-rank mate'],
+        description: 'A king shut in on its back rank by its own pieces is mated along that rank.'
+    },
+    {
+        id: 'smotheredMate',
+        name: 'Smothered Mate',
+        category: 'tactics',
+        aliases: ['smothered mate'],
+        description: 'A knight mates a king surrounded by its own pieces.'
+    },
+    
+    // Strategy
+    {
+        id: 'centerControl',
+        name: 'Center Control',
+        category: 'strategy',
+        aliases: ['center control'],
+        description: 'Occupying and controlling the central squares.'
+    },
+    {
+        id: 'pieceCoordination',
+        name: 'Piece Coordination',
+        category: 'strategy',
+        aliases: ['piece coordination'],
+        description: 'Pieces working together instead of on their own.'
+    },
+    {
+        id: 'prophylaxis',
+        name: 'Prophylaxis',
+        category: 'strategy',
+        aliases: [],
+        description: "Stopping the opponent's plan before it starts."
+    },
+    {
+        id: 'quietMove',
+        name: 'Quiet Moves',
+        category: 'strategy',
+        aliases: ['quiet move', 'quiet moves'],
+        description: 'A strong move that neither checks nor captures.'
+    },
+    
+    // Endgames
+    {
+        id: 'pawnEndgame',
+        name: 'King and Pawn Endgames',
+        category: 'endgame',
+        aliases: ['king and pawn', 'pawn endgame', 'pawn endgames'],
+        description: 'Endgames with only kings and pawns.'
+    },
+    {
+        id: 'rookEndgame',
+        name: 'Rook Endgames',
+        category: 'endgame',
+        aliases: ['rook endgame', 'rook endgames'],
+        description: 'Endgames with rooks and pawns.'
+    },
+    {
+        id: 'zugzwang',
+        name: 'Zugzwang',
+        category: 'endgame',
+        aliases: ['zugzwang positions'],
+        description: 'Every move makes the position worse for the side to move.'
+    },
+    {
+        id: 'fortress',
+        name: 'Fortresses',
+        category: 'endgame',
+        aliases: ['fortress', 'fortress positions'],
+        description: 'A defensive setup the stronger side cannot break.'
+    },
+    
+    // Openings
+    {
+        id: 'development',
+        name: 'Piece Development',
+        category: 'openings',
+        aliases: ['piece development'],
+        description: 'Bringing the pieces into play quickly in the opening.'
+    },
+    {
+        id: 'openingTrap',
+        name: 'Opening Traps',
+        category: 'openings',
+        aliases: ['opening trap', 'opening traps', 'traps'],
+        description: 'Well-known opening tricks and how to avoid them.'
+    }
+];
+
+// Lookup of canonical IDs, lower-cased IDs and aliases
+const THEME_LOOKUP = {};
+THEMES.forEach(theme => {
+    [theme.id, theme.id.toLowerCase(), theme.name.toLowerCase(), ...theme.aliases].forEach(key => {
+        THEME_LOOKUP[key] = theme;
+    });
+});
+
+/**
+ * Find a theme by ID, display name or alias
+ * @param {string} name - Theme ID or any known name
+ * @returns {Object|null} Theme entry
+ */
+function getTheme(name) {
+    if (!name) return null;
+    return THEME_LOOKUP[name] || THEME_LOOKUP[String(name).trim().toLowerCase()] || null;
+}
+
+/**
+ * Get the canonical ID of a theme name
+ * Unknown names are returned unchanged so nothing is lost.
+ * @param {string} name - Theme ID or any known name
+ */
+function normalizeTheme(name) {
+    const theme = getTheme(name);
+    return theme ? theme.id : name;
+}
+
+/**
+ * Normalize a list of theme names, dropping duplicates and empty entries
+ * @param {Array} names - Theme IDs or names
+ * @returns {Array} Canonical IDs
+ */
+function normalizeThemes(names) {
+    const ids = (names || []).filter(name => !!name).map(normalizeTheme);
+    return ids.filter((id, index) => ids.indexOf(id) === index);
+}
+
+/**
+ * Get the display name of a theme
+ * Unknown names are returned unchanged.
+ */
+function getThemeName(name) {
+    const theme = getTheme(name);
+    return theme ? theme.name : name;
+}
+
+/**
+ * Get the rating category of a theme
+ * @returns {string|null} Category ID
+ */
+function getThemeCategory(name) {
+    const theme = getTheme(name);
+    return theme ? theme.category : null;
+}
+
+/**
+ * Get the themes of a rating category
+ * @param {string} category - Category ID
+ * @returns {Array} Theme entries
+ */
+function getThemesByCategory(category) {
+    return THEMES.filter(theme => theme.category === category);
+}
+
+// Export the shared constants
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        THEME_CATEGORIES,
+        THEMES,
+        getTheme,
+        normalizeTheme,
+        normalizeThemes,
+        getThemeName,
+        getThemeCategory,
+        getThemesByCategory
+    };
+}
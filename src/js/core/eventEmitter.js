@@ -0,0 +1,80 @@
+/**
+ * Event Emitter
+ *
+ * Minimal publish/subscribe base class. The puzzle flow reports what happens
+ * through named events so that renderers, tests and other frontends can
+ * follow it without touching the DOM.
+ */
+
+class EventEmitter {
+    constructor() {
+        this.listeners = {};
+    }
+    
+    /**
+     * Subscribe to an event
+     * @param {string} eventName - Name of the event
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} Call to unsubscribe
+     */
+    on(eventName, listener) {
+        if (!this.listeners[eventName]) {
+            this.listeners[eventName] = [];
+        }
+        this.listeners[eventName].push(listener);
+        
+        return () => this.off(eventName, listener);
+    }
+    
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} eventName - Name of the event
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} Call to unsubscribe
+     */
+    once(eventName, listener) {
+        const wrapper = payload => {
+            this.off(eventName, wrapper);
+            listener(payload);
+        };
+        
+        return this.on(eventName, wrapper);
+    }
+    
+    /**
+     * Remove a listener
+     * @param {string} eventName - Name of the event
+     * @param {Function} listener - Listener passed to on()
+     */
+    off(eventName, listener) {
+        const listeners = this.listeners[eventName];
+        if (!listeners) return;
+        
+        this.listeners[eventName] = listeners.filter(existing => existing !== listener);
+    }
+    
+    /**
+     * Notify every listener of an event
+     * Listeners run in subscription order; one that throws does not stop the others.
+     * @param {string} eventName - Name of the event
+     * @param {Object} payload - Event data
+     */
+    emit(eventName, payload = {}) {
+        const listeners = this.listeners[eventName];
+        if (!listeners || listeners.length === 0) return;
+        
+        // Copy so listeners can unsubscribe while the event is dispatched
+        [...listeners].forEach(listener => {
+            try {
+                listener({ type: eventName, ...payload });
+            } catch (e) {
+                console.error(`Error in ${eventName} listener:`, e);
+            }
+        });
+    }
+}
+
+// Export the EventEmitter class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventEmitter };
+}
@@ -0,0 +1,240 @@
+/**
+ * Puzzle Database Validator
+ *
+ * Checks puzzle and trap definitions before they are used on the board:
+ * required fields, FEN legality, move legality along every line and
+ * orientation against the side to move.
+ */
+
+const REQUIRED_PUZZLE_FIELDS = ['id', 'fen', 'moves', 'orientation'];
+const REQUIRED_TRAP_FIELDS = ['name', 'fen', 'trapMove', 'explanation'];
+const ORIENTATIONS = ['white', 'black'];
+
+class GameValidator {
+    constructor() {
+        this.chess = new Chess(); // chess.js instance used for replaying lines
+    }
+    
+    /**
+     * Check that a FEN string describes a legal position
+     * @param {string} fen - The FEN to check
+     * @returns {Object} { valid, error }
+     */
+    validateFen(fen) {
+        if (typeof fen !== 'string' || fen.trim() === '') {
+            return { valid: false, error: "FEN is missing" };
+        }
+        
+        const fenCheck = this.chess.validate_fen(fen);
+        if (!fenCheck.valid) {
+            return { valid: false, error: `Invalid FEN: ${fenCheck.error}` };
+        }
+        
+        // Both kings must be on the board for the position to be playable
+        const placement = fen.split(' ')[0];
+        if (!placement.includes('K') || !placement.includes('k')) {
+            return { valid: false, error: "FEN must contain both kings" };
+        }
+        
+        return { valid: true, error: null };
+    }
+    
+    /**
+     * Replay a UCI move sequence and report the first illegal move
+     * @param {string} fen - Starting position
+     * @param {Array} moves - Moves in UCI notation
+     * @param {string} label - Name of the line used in error messages
+     * @returns {Array} List of error messages (empty if the line is legal)
+     */
+    validateLine(fen, moves, label = "moves") {
+        if (!Array.isArray(moves) || moves.length === 0) {
+            return [`${label} must be a non-empty list of moves`];
+        }
+        
+        this.chess.load(fen);
+        
+        for (let i = 0; i < moves.length; i++) {
+            const move = moves[i];
+            const isUci = typeof move === 'string' && /^[a-h][1-8][a-h][1-8][qrbn]?$/.test(move);
+            
+            const played = isUci && this.chess.move({
+                from: move.substring(0, 2),
+                to: move.substring(2, 4),
+                promotion: move.length > 4 ? move.substring(4) : undefined
+            });
+            
+            if (!played) {
+                return [`${label}: illegal move "${move}" at ply ${i + 1}`];
+            }
+        }
+        
+        return [];
+    }
+    
+    /**
+     * Validate a puzzle definition
+     * Moves are expected to be normalized to UCI already.
+     * @param {Object} puzzle - The puzzle to check
+     * @returns {Object} { id, type, valid, errors, warnings }
+     */
+    validatePuzzle(puzzle) {
+        const result = this.createResult('puzzle', puzzle && puzzle.id);
+        
+        if (!puzzle || typeof puzzle !== 'object') {
+            result.errors.push("Puzzle is not an object");
+            return this.finalizeResult(result);
+        }
+        
+        // Required fields
+        REQUIRED_PUZZLE_FIELDS.forEach(field => {
+            if (puzzle[field] === undefined || puzzle[field] === null || puzzle[field] === '') {
+                result.errors.push(`Missing required field "${field}"`);
+            }
+        });
+        
+        ['theme', 'difficulty', 'objective', 'explanation'].forEach(field => {
+            if (!puzzle[field]) {
+                result.warnings.push(`Missing recommended field "${field}"`);
+            }
+        });
+        
+        if (puzzle.orientation && !ORIENTATIONS.includes(puzzle.orientation)) {
+            result.errors.push(`Orientation must be "white" or "black", got "${puzzle.orientation}"`);
+        }
+        
+        // FEN legality
+        const fenCheck = this.validateFen(puzzle.fen);
+        if (!fenCheck.valid) {
+            result.errors.push(fenCheck.error);
+            return this.finalizeResult(result);
+        }
+        
+        // Move legality along the main line and every alternative line
+        if (puzzle.moves !== undefined) {
+            result.errors.push(...this.validateLine(puzzle.fen, puzzle.moves, "moves"));
+        }
+        
+        (puzzle.alternativeLines || []).forEach((line, index) => {
+            result.errors.push(...this.validateLine(puzzle.fen, line, `alternativeLines[${index}]`));
+        });
+        
+        // Orientation against the side to move
+        if (ORIENTATIONS.includes(puzzle.orientation)) {
+            const sideToMove = puzzle.fen.split(' ')[1];
+            const solverColor = puzzle.orientation.charAt(0);
+            
+            if (puzzle.opponentMovesFirst === true && sideToMove === solverColor) {
+                result.errors.push("opponentMovesFirst is set but the solver is to move in the FEN");
+            } else if (puzzle.opponentMovesFirst === false && sideToMove !== solverColor) {
+                result.errors.push(`Orientation is ${puzzle.orientation} but the FEN has the other side to move`);
+            }
+            
+            const hasSetupMove = puzzle.opponentMovesFirst === true ||
+                (puzzle.opponentMovesFirst === undefined && sideToMove !== solverColor);
+            if (hasSetupMove && Array.isArray(puzzle.moves) && puzzle.moves.length < 2) {
+                result.errors.push("Puzzle starts with an opponent move but has no move for the solver");
+            }
+        }
+        
+        return this.finalizeResult(result);
+    }
+    
+    /**
+     * Validate a trap definition
+     * The trap move, defense and follow-up must be playable in order from the trap FEN.
+     * @param {Object} trap - The trap to check
+     * @returns {Object} { id, type, valid, errors, warnings }
+     */
+    validateTrap(trap) {
+        const result = this.createResult('trap', trap && trap.name);
+        
+        if (!trap || typeof trap !== 'object') {
+            result.errors.push("Trap is not an object");
+            return this.finalizeResult(result);
+        }
+        
+        REQUIRED_TRAP_FIELDS.forEach(field => {
+            if (!trap[field]) {
+                result.errors.push(`Missing required field "${field}"`);
+            }
+        });
+        
+        if (!trap.correctDefense) {
+            result.warnings.push('Missing recommended field "correctDefense"');
+        }
+        
+        const fenCheck = this.validateFen(trap.fen);
+        if (!fenCheck.valid) {
+            result.errors.push(fenCheck.error);
+            return this.finalizeResult(result);
+        }
+        
+        const line = [trap.trapMove, trap.correctDefense, trap.followUp].filter(move => !!move);
+        if (trap.trapMove) {
+            result.errors.push(...this.validateLine(trap.fen, line, "trap line"));
+        }
+        
+        return this.finalizeResult(result);
+    }
+    
+    /**
+     * Validate a list of puzzles
+     * @param {Array} puzzles - Puzzles to check
+     * @returns {Object} Validation report
+     */
+    validatePuzzles(puzzles) {
+        return this.createReport(puzzles.map(puzzle => this.validatePuzzle(puzzle)));
+    }
+    
+    /**
+     * Validate a list of traps
+     * @param {Array} traps - Traps to check
+     * @returns {Object} Validation report
+     */
+    validateTraps(traps) {
+        return this.createReport(traps.map(trap => this.validateTrap(trap)));
+    }
+    
+    /**
+     * Build a report from individual validation results
+     * @param {Array} results - Results from validatePuzzle or validateTrap
+     * @returns {Object} { total, validCount, invalidCount, invalid, results }
+     */
+    createReport(results) {
+        const invalid = results.filter(result => !result.valid);
+        
+        return {
+            total: results.length,
+            validCount: results.length - invalid.length,
+            invalidCount: invalid.length,
+            invalid: invalid,
+            results: results
+        };
+    }
+    
+    /**
+     * Create an empty validation result
+     */
+    createResult(type, id) {
+        return {
+            id: id || null,
+            type: type,
+            valid: false,
+            errors: [],
+            warnings: []
+        };
+    }
+    
+    /**
+     * Mark a validation result as valid if it has no errors
+     */
+    finalizeResult(result) {
+        result.valid = result.errors.length === 0;
+        return result;
+    }
+}
+
+// Export the GameValidator class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameValidator };
+}
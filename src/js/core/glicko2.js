@@ -0,0 +1,228 @@
+/**
+ * Glicko-2 Rating System
+ *
+ * Users and puzzles both carry a rating, a deviation (how uncertain the
+ * rating is) and a volatility (how erratic results have been). Each puzzle
+ * attempt is a game between the two: a solve is a win for the user, a
+ * failure a win for the puzzle. See Glickman, "Example of the Glicko-2
+ * system" (2012) for the algorithm.
+ */
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_DEVIATION = 350;
+const DEFAULT_VOLATILITY = 0.06;
+
+// Limits on the deviation so ratings never freeze or become meaningless
+const MIN_DEVIATION = 45;
+const MAX_DEVIATION = 350;
+
+// A rating is provisional until its deviation drops below this
+const PROVISIONAL_DEVIATION = 110;
+
+// Deviations either side of a rating covering 95% of the likely true values
+const CONFIDENCE_Z = 1.96;
+
+// System constant limiting how fast volatility changes
+const TAU = 0.5;
+
+// Conversion between the Glicko and Glicko-2 scales
+const SCALE = 173.7178;
+const CONVERGENCE_TOLERANCE = 0.000001;
+
+/**
+ * Create a rating
+ * @param {number} rating - Rating on the Glicko scale
+ * @param {number} deviation - Rating deviation
+ * @param {number} volatility - Rating volatility
+ * @returns {Object} { rating, deviation, volatility }
+ */
+function createRating(rating = DEFAULT_RATING, deviation = DEFAULT_DEVIATION, volatility = DEFAULT_VOLATILITY) {
+    return { rating, deviation, volatility };
+}
+
+/**
+ * Reduce the impact of an opponent's rating by its uncertainty
+ */
+function g(phi) {
+    return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+/**
+ * Expected score of a player against an opponent
+ * @param {Object} player - { rating, deviation }
+ * @param {Object} opponent - { rating, deviation }
+ * @returns {number} Score between 0 and 1
+ */
+function expectedScore(player, opponent) {
+    const mu = (player.rating - DEFAULT_RATING) / SCALE;
+    const muOpponent = (opponent.rating - DEFAULT_RATING) / SCALE;
+    const phiOpponent = opponent.deviation / SCALE;
+    
+    return 1 / (1 + Math.exp(-g(phiOpponent) * (mu - muOpponent)));
+}
+
+/**
+ * Find the new volatility with the Illinois algorithm (step 5 of the paper)
+ */
+function computeVolatility(phi, sigma, delta, v) {
+    const a = Math.log(sigma * sigma);
+    const f = x => {
+        const ex = Math.exp(x);
+        const d = phi * phi + v + ex;
+        return ex * (delta * delta - phi * phi - v - ex) / (2 * d * d) - (x - a) / (TAU * TAU);
+    };
+    
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+        B = Math.log(delta * delta - phi * phi - v);
+    } else {
+        let k = 1;
+        while (f(a - k * TAU) < 0) {
+            k++;
+        }
+        B = a - k * TAU;
+    }
+    
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+        const C = A + (A - B) * fA / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA = fA / 2;
+        }
+        B = C;
+        fB = fC;
+    }
+    
+    return Math.exp(A / 2);
+}
+
+/**
+ * Get how far above an opponent a player must be rated to expect a score
+ * Ignores the opponent's deviation, which only flattens the curve.
+ * @param {number} score - Expected score between 0 and 1
+ * @returns {number} Rating difference
+ */
+function ratingDifferenceForScore(score) {
+    const clamped = Math.max(0.01, Math.min(0.99, score));
+    return SCALE * Math.log(clamped / (1 - clamped));
+}
+
+/**
+ * Update a rating after one rating period
+ * @param {Object} player - { rating, deviation, volatility }
+ * @param {Array} results - { opponent: { rating, deviation }, score } for each game;
+ *                          a score is 1 for a win, 0.5 for a draw and 0 for a loss
+ * @returns {Object} The new rating
+ */
+function updateRating(player, results) {
+    const mu = (player.rating - DEFAULT_RATING) / SCALE;
+    const phi = player.deviation / SCALE;
+    const sigma = player.volatility || DEFAULT_VOLATILITY;
+    
+    // A period without games only makes the rating less certain
+    if (!results || results.length === 0) {
+        const deviation = Math.sqrt(phi * phi + sigma * sigma) * SCALE;
+        return createRating(player.rating, Math.min(MAX_DEVIATION, deviation), sigma);
+    }
+    
+    let vInverse = 0;
+    let improvement = 0;
+    results.forEach(({ opponent, score }) => {
+        const gPhi = g(opponent.deviation / SCALE);
+        const expected = expectedScore(player, opponent);
+        vInverse += gPhi * gPhi * expected * (1 - expected);
+        improvement += gPhi * (score - expected);
+    });
+    
+    const v = 1 / vInverse;
+    const newSigma = computeVolatility(phi, sigma, v * improvement, v);
+    const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * improvement;
+    
+    const deviation = Math.max(MIN_DEVIATION, Math.min(MAX_DEVIATION, newPhi * SCALE));
+    
+    return createRating(newMu * SCALE + DEFAULT_RATING, deviation, newSigma);
+}
+
+/**
+ * Rate one puzzle attempt, updating the user and the puzzle together
+ * Both updates use the ratings from before the attempt.
+ * @param {Object} user - The user's rating
+ * @param {Object} puzzle - The puzzle's rating
+ * @param {number} score - The user's score, 1 for a clean solve and 0 for a failure
+ * @returns {Object} { user, puzzle } with the new ratings
+ */
+function rateAttempt(user, puzzle, score) {
+    return {
+        user: updateRating(user, [{ opponent: puzzle, score: score }]),
+        puzzle: updateRating(puzzle, [{ opponent: user, score: 1 - score }])
+    };
+}
+
+/**
+ * Turn a saved rating into a full rating
+ * Plain numbers come from before ratings had a deviation, so they get the
+ * given deviation instead of the default.
+ * @param {number|Object} saved - Saved rating
+ * @param {number} deviation - Deviation for a plain number
+ * @returns {Object} { rating, deviation, volatility }
+ */
+function toRating(saved, deviation = DEFAULT_DEVIATION) {
+    if (typeof saved === 'number') {
+        return createRating(saved, deviation);
+    }
+    
+    return { ...createRating(), ...saved };
+}
+
+/**
+ * Check whether a rating is still provisional
+ */
+function isProvisional(rating) {
+    return !!rating && rating.deviation >= PROVISIONAL_DEVIATION;
+}
+
+/**
+ * Get the 95% confidence interval of a rating
+ * @returns {Object} { low, high }
+ */
+function getConfidenceInterval(rating) {
+    return {
+        low: rating.rating - CONFIDENCE_Z * rating.deviation,
+        high: rating.rating + CONFIDENCE_Z * rating.deviation
+    };
+}
+
+/**
+ * Format a rating for display, marking provisional ratings with "?"
+ */
+function formatRating(rating) {
+    if (!rating) return '';
+    return `${Math.round(rating.rating)}${isProvisional(rating) ? '?' : ''}`;
+}
+
+// Export the rating helpers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_RATING,
+        DEFAULT_DEVIATION,
+        DEFAULT_VOLATILITY,
+        PROVISIONAL_DEVIATION,
+        createRating,
+        expectedScore,
+        ratingDifferenceForScore,
+        updateRating,
+        rateAttempt,
+        toRating,
+        isProvisional,
+        getConfidenceInterval,
+        formatRating
+    };
+}
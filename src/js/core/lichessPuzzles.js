@@ -0,0 +1,263 @@
+/**
+ * Lichess Puzzle Import
+ *
+ * Reads puzzles from the public Lichess puzzle dump, a CSV file with one
+ * puzzle per line:
+ *     PuzzleId,FEN,Moves,Rating,RatingDeviation,Popularity,NbPlays,Themes,GameUrl,OpeningTags
+ * The FEN is the position before the opponent's last move and the first of
+ * the UCI moves is that move; the solver plays the side to move after it.
+ * Lichess ratings are Glicko-2 ratings like ours and theme tags match the
+ * registry IDs, so both carry over as they are. Everything works on text or
+ * a local file, without the network.
+ */
+
+import { THEMES, getTheme, getThemeCategory } from './constants';
+
+const LICHESS_COLUMNS = [
+    'PuzzleId', 'FEN', 'Moves', 'Rating', 'RatingDeviation',
+    'Popularity', 'NbPlays', 'Themes', 'GameUrl', 'OpeningTags'
+];
+
+// Themes too broad to be a puzzle's main theme when a more specific one is tagged
+const GENERIC_THEMES = ['mate', 'sacrifice'];
+
+/**
+ * Split a CSV line into fields, honoring double-quoted fields
+ * @param {string} line - One line of CSV
+ * @returns {Array} Field values
+ */
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * Map Lichess theme tags to registry theme IDs
+ * Tags without a registry theme (crushing, short, middlegame, ...) are
+ * dropped. The rest follow registry order, with generic themes last, so
+ * the first one makes the best main theme.
+ * @param {string} themeField - Space-separated Lichess theme tags
+ * @returns {Array} Registry theme IDs
+ */
+function getLichessThemes(themeField) {
+    const rank = id => THEMES.findIndex(theme => theme.id === id) +
+        (GENERIC_THEMES.includes(id) ? THEMES.length : 0);
+    
+    const ids = (themeField || '').split(/\s+/)
+        .map(tag => getTheme(tag))
+        .filter(theme => !!theme)
+        .map(theme => theme.id);
+    
+    return ids
+        .filter((id, index) => ids.indexOf(id) === index)
+        .sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Describe what the solver has to find
+ * @param {Array} themes - Registry theme IDs of the puzzle
+ */
+function getObjective(themes) {
+    const mateIn = themes.find(theme => /^mateIn\d$/.test(theme));
+    if (mateIn) return `Find checkmate in ${mateIn.charAt(mateIn.length - 1)}`;
+    if (themes.includes('mate')) return 'Find the checkmate';
+    
+    return 'Find the best move';
+}
+
+/**
+ * Turn one line of the Lichess dump into a puzzle definition
+ * The puzzle has no difficulty yet; the generator assigns one from the rating.
+ * @param {string} line - One CSV line
+ * @returns {Object|null} Puzzle, or null for the header and unreadable lines
+ */
+function parseLichessRow(line) {
+    const fields = parseCsvLine(line.trim());
+    if (fields.length < 3) return null;
+    
+    const row = {};
+    LICHESS_COLUMNS.forEach((column, index) => {
+        row[column] = (fields[index] || '').trim();
+    });
+    
+    if (!row.PuzzleId || row.PuzzleId === 'PuzzleId') return null;
+    
+    const moves = row.Moves.split(/\s+/).filter(move => move !== '');
+    const sideToMove = row.FEN.split(' ')[1];
+    const rating = parseInt(row.Rating, 10);
+    
+    // The opponent's move plus at least one solver move
+    if (moves.length < 2 || !['w', 'b'].includes(sideToMove) || isNaN(rating)) return null;
+    
+    const themes = getLichessThemes(row.Themes);
+    const theme = themes[0] || 'general';
+    
+    const puzzle = {
+        id: `lichess-${row.PuzzleId}`,
+        fen: row.FEN,
+        moves: moves,
+        opponentMovesFirst: true,
+        orientation: sideToMove === 'w' ? 'black' : 'white',
+        theme: theme,
+        category: getThemeCategory(theme) || 'tactics',
+        rating: rating,
+        ratingDeviation: parseInt(row.RatingDeviation, 10) || undefined,
+        objective: getObjective(themes),
+        explanation: row.GameUrl ? `From a Lichess game: ${row.GameUrl}` : 'From the Lichess puzzle database.',
+        source: 'lichess',
+        gameUrl: row.GameUrl || null,
+        popularity: parseInt(row.Popularity, 10) || 0,
+        plays: parseInt(row.NbPlays, 10) || 0,
+        openingTags: row.OpeningTags.split(/\s+/).filter(tag => tag !== '')
+    };
+    
+    // Without matching tags the generator detects motifs itself
+    if (themes.length > 0) {
+        puzzle.tags = themes;
+    }
+    
+    return puzzle;
+}
+
+/**
+ * Check a puzzle against the import filters
+ * @param {Object} puzzle - Puzzle from parseLichessRow
+ * @param {Object} options - See parseLichessCsv
+ */
+function matchesLichessFilter(puzzle, options) {
+    if (options.minRating !== undefined && puzzle.rating < options.minRating) return false;
+    if (options.maxRating !== undefined && puzzle.rating > options.maxRating) return false;
+    if (options.minPopularity !== undefined && puzzle.popularity < options.minPopularity) return false;
+    
+    if (Array.isArray(options.themes) && options.themes.length > 0) {
+        return (puzzle.tags || []).some(tag => options.themes.includes(tag));
+    }
+    
+    return true;
+}
+
+/**
+ * Add one CSV line to an import result
+ * @returns {boolean} Whether the import has reached its limit
+ */
+function collectLichessRow(line, options, result) {
+    if (line.trim() !== '' && !line.startsWith('PuzzleId,')) {
+        const puzzle = parseLichessRow(line);
+        
+        if (!puzzle) {
+            result.skipped++;
+        } else if (matchesLichessFilter(puzzle, options)) {
+            result.puzzles.push(puzzle);
+        }
+    }
+    
+    return options.limit !== undefined && result.puzzles.length >= options.limit;
+}
+
+/**
+ * Parse Lichess puzzle CSV text
+ * @param {string} text - CSV text, with or without the header line
+ * @param {Object} options - {
+ *     limit: stop after this many puzzles,
+ *     minRating, maxRating: keep puzzles rated inside this range,
+ *     minPopularity: keep puzzles at least this popular (-100 to 100),
+ *     themes: keep puzzles tagged with one of these registry theme IDs
+ * }
+ * @returns {Object} { puzzles, skipped } where skipped counts unreadable lines
+ */
+function parseLichessCsv(text, options = {}) {
+    const result = { puzzles: [], skipped: 0 };
+    const lines = (text || '').split(/\r?\n/);
+    
+    for (let i = 0; i < lines.length; i++) {
+        if (collectLichessRow(lines[i], options, result)) break;
+    }
+    
+    return result;
+}
+
+/**
+ * Read puzzles from a local copy of the Lichess dump
+ * The file is streamed when possible, so a limit stops reading early
+ * instead of loading the whole (very large) dump into memory.
+ * @param {Blob} file - Decompressed CSV file, e.g. from a file input
+ * @param {Object} options - See parseLichessCsv
+ * @returns {Promise<Object>} { puzzles, skipped }
+ */
+async function readLichessFile(file, options = {}) {
+    if (typeof file.stream !== 'function') {
+        return parseLichessCsv(await file.text(), options);
+    }
+    
+    const result = { puzzles: [], skipped: 0 };
+    const reader = file.stream().getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let done = false;
+    
+    while (!done) {
+        const chunk = await reader.read();
+        done = chunk.done;
+        buffer += done ? decoder.decode() : decoder.decode(chunk.value, { stream: true });
+        
+        const lines = buffer.split(/\r?\n/);
+        buffer = done ? '' : lines.pop();
+        
+        for (let i = 0; i < lines.length; i++) {
+            if (collectLichessRow(lines[i], options, result)) {
+                await reader.cancel();
+                return result;
+            }
+        }
+    }
+    
+    return result;
+}
+
+// Export the Lichess import helpers
+export {
+    LICHESS_COLUMNS,
+    parseCsvLine,
+    getLichessThemes,
+    parseLichessRow,
+    parseLichessCsv,
+    readLichessFile
+};
+
+// For backwards compatibility with CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LICHESS_COLUMNS,
+        parseCsvLine,
+        getLichessThemes,
+        parseLichessRow,
+        parseLichessCsv,
+        readLichessFile
+    };
+}
@@ -0,0 +1,488 @@
+/**
+ * Move Evaluator - Built-in Search Engine
+ *
+ * A small alpha-beta engine that runs on a chess.js instance, so puzzles can
+ * be verified, wrong moves refuted and positions played out without an
+ * external engine binary.
+ *
+ * - Material and piece-square evaluation
+ * - Quiescence search over captures and promotions
+ * - Transposition table keyed by position
+ * - Iterative deepening with a depth and/or time limit
+ */
+
+const PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+
+const MATE_SCORE = 100000;
+const MATE_THRESHOLD = MATE_SCORE - 1000;
+const INFINITY_SCORE = MATE_SCORE + 1;
+
+// Transposition table entry types
+const TT_EXACT = 0;
+const TT_LOWER = 1;
+const TT_UPPER = 2;
+
+// Piece-square tables from White's point of view, indexed a8..h8, a7..h7, ..., a1..h1
+const PIECE_SQUARE_TABLES = {
+    p: [
+         0,  0,  0,  0,  0,  0,  0,  0,
+        50, 50, 50, 50, 50, 50, 50, 50,
+        10, 10, 20, 30, 30, 20, 10, 10,
+         5,  5, 10, 25, 25, 10,  5,  5,
+         0,  0,  0, 20, 20,  0,  0,  0,
+         5, -5,-10,  0,  0,-10, -5,  5,
+         5, 10, 10,-20,-20, 10, 10,  5,
+         0,  0,  0,  0,  0,  0,  0,  0
+    ],
+    n: [
+        -50,-40,-30,-30,-30,-30,-40,-50,
+        -40,-20,  0,  0,  0,  0,-20,-40,
+        -30,  0, 10, 15, 15, 10,  0,-30,
+        -30,  5, 15, 20, 20, 15,  5,-30,
+        -30,  0, 15, 20, 20, 15,  0,-30,
+        -30,  5, 10, 15, 15, 10,  5,-30,
+        -40,-20,  0,  5,  5,  0,-20,-40,
+        -50,-40,-30,-30,-30,-30,-40,-50
+    ],
+    b: [
+        -20,-10,-10,-10,-10,-10,-10,-20,
+        -10,  0,  0,  0,  0,  0,  0,-10,
+        -10,  0,  5, 10, 10,  5,  0,-10,
+        -10,  5,  5, 10, 10,  5,  5,-10,
+        -10,  0, 10, 10, 10, 10,  0,-10,
+        -10, 10, 10, 10, 10, 10, 10,-10,
+        -10,  5,  0,  0,  0,  0,  5,-10,
+        -20,-10,-10,-10,-10,-10,-10,-20
+    ],
+    r: [
+         0,  0,  0,  0,  0,  0,  0,  0,
+         5, 10, 10, 10, 10, 10, 10,  5,
+        -5,  0,  0,  0,  0,  0,  0, -5,
+        -5,  0,  0,  0,  0,  0,  0, -5,
+        -5,  0,  0,  0,  0,  0,  0, -5,
+        -5,  0,  0,  0,  0,  0,  0, -5,
+        -5,  0,  0,  0,  0,  0,  0, -5,
+         0,  0,  0,  5,  5,  0,  0,  0
+    ],
+    q: [
+        -20,-10,-10, -5, -5,-10,-10,-20,
+        -10,  0,  0,  0,  0,  0,  0,-10,
+        -10,  0,  5,  5,  5,  5,  0,-10,
+         -5,  0,  5,  5,  5,  5,  0, -5,
+          0,  0,  5,  5,  5,  5,  0, -5,
+        -10,  5,  5,  5,  5,  5,  0,-10,
+        -10,  0,  5,  0,  0,  0,  0,-10,
+        -20,-10,-10, -5, -5,-10,-10,-20
+    ],
+    k: [
+        -30,-40,-40,-50,-50,-40,-40,-30,
+        -30,-40,-40,-50,-50,-40,-40,-30,
+        -30,-40,-40,-50,-50,-40,-40,-30,
+        -30,-40,-40,-50,-50,-40,-40,-30,
+        -20,-30,-30,-40,-40,-30,-30,-20,
+        -10,-20,-20,-20,-20,-20,-20,-10,
+         20, 20,  0,  0,  0,  0, 20, 20,
+         20, 30, 10,  0,  0, 10, 30, 20
+    ],
+    kEndgame: [
+        -50,-40,-30,-20,-20,-30,-40,-50,
+        -30,-20,-10,  0,  0,-10,-20,-30,
+        -30,-10, 20, 30, 30, 20,-10,-30,
+        -30,-10, 30, 40, 40, 30,-10,-30,
+        -30,-10, 30, 40, 40, 30,-10,-30,
+        -30,-10, 20, 30, 30, 20,-10,-30,
+        -30,-30,  0,  0,  0,  0,-30,-30,
+        -50,-30,-30,-30,-30,-30,-30,-50
+    ]
+};
+
+class MoveEvaluator {
+    /**
+     * @param {Object} chess - chess.js instance to search on (defaults to a new one)
+     * @param {Object} options - Search options
+     */
+    constructor(chess = null, options = {}) {
+        this.chess = chess || new Chess();
+        this.options = {
+            depth: 3,               // Maximum search depth in plies
+            timeLimit: 2000,        // Maximum search time in milliseconds (0 for no limit)
+            quiescenceDepth: 8,     // Maximum extra plies of capture search
+            maxTableSize: 200000,   // Transposition table entries before it is cleared
+            ...options
+        };
+        
+        this.transpositionTable = new Map();
+        this.nodes = 0;
+        this.deadline = Infinity;
+        this.stopped = false;
+    }
+    
+    /**
+     * Search the current position of the chess instance for the best move
+     * The position is left exactly as it was found.
+     * @param {Object} options - Overrides for depth and timeLimit
+     * @returns {Object|null} { move, san, score, mate, depth, pv, nodes, time } or null if there are no legal moves
+     */
+    search(options = {}) {
+        const depth = options.depth || this.options.depth;
+        const timeLimit = options.timeLimit !== undefined ? options.timeLimit : this.options.timeLimit;
+        const startTime = Date.now();
+        
+        this.nodes = 0;
+        this.stopped = false;
+        this.deadline = timeLimit ? startTime + timeLimit : Infinity;
+        
+        if (this.transpositionTable.size > this.options.maxTableSize) {
+            this.transpositionTable.clear();
+        }
+        
+        const rootMoves = this.chess.moves({ verbose: true });
+        if (rootMoves.length === 0) return null;
+        
+        let result = null;
+        
+        // Iterative deepening: each completed iteration refines the previous one
+        for (let currentDepth = 1; currentDepth <= depth; currentDepth++) {
+            const score = this.negamax(currentDepth, -INFINITY_SCORE, INFINITY_SCORE, 0);
+            if (this.stopped) break;
+            
+            const pv = this.getPrincipalVariation(currentDepth);
+            if (pv.length === 0) break;
+            
+            result = {
+                move: pv[0],
+                score: score,
+                mate: this.getMateDistance(score),
+                depth: currentDepth,
+                pv: pv
+            };
+            
+            // No need to search deeper once a forced mate is found
+            if (result.mate !== null) break;
+        }
+        
+        // Fall back to the first legal move if even depth 1 ran out of time
+        if (!result) {
+            const move = rootMoves[0];
+            result = {
+                move: move.from + move.to + (move.promotion || ''),
+                score: 0,
+                mate: null,
+                depth: 0,
+                pv: [move.from + move.to + (move.promotion || '')]
+            };
+        }
+        
+        result.san = this.toSan(result.move);
+        result.nodes = this.nodes;
+        result.time = Date.now() - startTime;
+        
+        return result;
+    }
+    
+    /**
+     * Search the position after a move, from the point of view of the side making it
+     * @param {string} move - Move in UCI notation
+     * @param {Object} options - Overrides for depth and timeLimit
+     * @returns {Object|null} { score, mate, reply } or null if the move is illegal
+     */
+    evaluateMove(move, options = {}) {
+        const played = this.chess.move({
+            from: move.substring(0, 2),
+            to: move.substring(2, 4),
+            promotion: move.length > 4 ? move.substring(4) : undefined
+        });
+        if (!played) return null;
+        
+        let evaluation;
+        if (this.chess.in_checkmate()) {
+            evaluation = { score: MATE_SCORE, mate: 1, reply: null };
+        } else if (this.chess.game_over()) {
+            evaluation = { score: 0, mate: null, reply: null };
+        } else {
+            const reply = this.search(options);
+            const mate = reply.mate === null ? null : -reply.mate;
+            evaluation = { score: -reply.score, mate: mate, reply: reply };
+        }
+        
+        this.chess.undo();
+        return evaluation;
+    }
+    
+    /**
+     * Static evaluation of the current position
+     * @returns {number} Score in centipawns from the point of view of the side to move
+     */
+    evaluate() {
+        const fenParts = this.chess.fen().split(' ');
+        const rows = fenParts[0].split('/');
+        
+        let whiteScore = 0;
+        let blackScore = 0;
+        let nonPawnMaterial = 0;
+        let hasQueens = false;
+        const kings = {};
+        
+        for (let row = 0; row < 8; row++) {
+            let col = 0;
+            for (const char of rows[row]) {
+                if (/[1-8]/.test(char)) {
+                    col += parseInt(char, 10);
+                    continue;
+                }
+                
+                const type = char.toLowerCase();
+                const isWhite = char !== type;
+                const index = row * 8 + col;
+                // Black reads the tables upside down
+                const tableIndex = isWhite ? index : index ^ 56;
+                
+                if (type === 'k') {
+                    kings[isWhite ? 'w' : 'b'] = tableIndex;
+                } else {
+                    const value = PIECE_VALUES[type] + PIECE_SQUARE_TABLES[type][tableIndex];
+                    if (isWhite) whiteScore += value;
+                    else blackScore += value;
+                    
+                    if (type !== 'p') nonPawnMaterial += PIECE_VALUES[type];
+                    if (type === 'q') hasQueens = true;
+                }
+                col++;
+            }
+        }
+        
+        // Kings head for the centre once the heavy material is gone
+        const isEndgame = !hasQueens || nonPawnMaterial <= 1300;
+        const kingTable = isEndgame ? PIECE_SQUARE_TABLES.kEndgame : PIECE_SQUARE_TABLES.k;
+        if (kings.w !== undefined) whiteScore += kingTable[kings.w];
+        if (kings.b !== undefined) blackScore += kingTable[kings.b];
+        
+        const score = whiteScore - blackScore;
+        return fenParts[1] === 'w' ? score : -score;
+    }
+    
+    /**
+     * Alpha-beta search in negamax form
+     */
+    negamax(depth, alpha, beta, ply) {
+        if (this.isOutOfTime()) return 0;
+        this.nodes++;
+        
+        const key = this.getPositionKey();
+        const entry = this.transpositionTable.get(key);
+        const originalAlpha = alpha;
+        
+        // Use a stored result if it was searched at least as deep
+        if (entry && entry.depth >= depth && ply > 0) {
+            const storedScore = this.scoreFromTable(entry.score, ply);
+            if (entry.flag === TT_EXACT) return storedScore;
+            if (entry.flag === TT_LOWER) alpha = Math.max(alpha, storedScore);
+            else if (entry.flag === TT_UPPER) beta = Math.min(beta, storedScore);
+            if (alpha >= beta) return storedScore;
+        }
+        
+        if (depth <= 0) {
+            return this.quiescence(alpha, beta, ply, 0);
+        }
+        
+        const moves = this.chess.moves({ verbose: true });
+        if (moves.length === 0) {
+            // Checkmate or stalemate
+            return this.chess.in_check() ? -(MATE_SCORE - ply) : 0;
+        }
+        
+        this.orderMoves(moves, entry ? entry.bestMove : null);
+        
+        let bestScore = -INFINITY_SCORE;
+        let bestMove = null;
+        
+        for (const move of moves) {
+            this.chess.move(move);
+            const score = -this.negamax(depth - 1, -beta, -alpha, ply + 1);
+            this.chess.undo();
+            
+            if (this.stopped) return 0;
+            
+            if (score > bestScore) {
+                bestScore = score;
+                bestMove = move.from + move.to + (move.promotion || '');
+            }
+            
+            alpha = Math.max(alpha, score);
+            if (alpha >= beta) break;
+        }
+        
+        let flag = TT_EXACT;
+        if (bestScore <= originalAlpha) flag = TT_UPPER;
+        else if (bestScore >= beta) flag = TT_LOWER;
+        
+        this.transpositionTable.set(key, {
+            depth: depth,
+            score: this.scoreToTable(bestScore, ply),
+            flag: flag,
+            bestMove: bestMove
+        });
+        
+        return bestScore;
+    }
+    
+    /**
+     * Search captures and promotions until the position is quiet
+     */
+    quiescence(alpha, beta, ply, qDepth) {
+        if (this.isOutOfTime()) return 0;
+        this.nodes++;
+        
+        const standPat = this.evaluate();
+        if (standPat >= beta) return standPat;
+        if (qDepth >= this.options.quiescenceDepth) return standPat;
+        alpha = Math.max(alpha, standPat);
+        
+        const moves = this.chess.moves({ verbose: true })
+            .filter(move => move.captured || move.promotion);
+        this.orderMoves(moves, null);
+        
+        let bestScore = standPat;
+        
+        for (const move of moves) {
+            this.chess.move(move);
+            const score = -this.quiescence(-beta, -alpha, ply + 1, qDepth + 1);
+            this.chess.undo();
+            
+            if (this.stopped) return 0;
+            
+            if (score > bestScore) bestScore = score;
+            alpha = Math.max(alpha, score);
+            if (alpha >= beta) break;
+        }
+        
+        return bestScore;
+    }
+    
+    /**
+     * Order moves so the most promising are searched first:
+     * the stored best move, then captures by MVV-LVA, then promotions
+     */
+    orderMoves(moves, tableMove) {
+        const scoreMove = move => {
+            if (tableMove && move.from + move.to + (move.promotion || '') === tableMove) {
+                return 100000;
+            }
+            
+            let score = 0;
+            if (move.captured) {
+                score += 10 * PIECE_VALUES[move.captured] - PIECE_VALUES[move.piece] + 1000;
+            }
+            if (move.promotion) {
+                score += PIECE_VALUES[move.promotion];
+            }
+            return score;
+        };
+        
+        moves.forEach(move => { move.orderScore = scoreMove(move); });
+        moves.sort((a, b) => b.orderScore - a.orderScore);
+    }
+    
+    /**
+     * Follow the best moves stored in the transposition table
+     */
+    getPrincipalVariation(maxLength) {
+        const pv = [];
+        const seen = new Set();
+        
+        for (let i = 0; i < maxLength; i++) {
+            const key = this.getPositionKey();
+            const entry = this.transpositionTable.get(key);
+            if (!entry || !entry.bestMove || seen.has(key)) break;
+            
+            const move = this.chess.move({
+                from: entry.bestMove.substring(0, 2),
+                to: entry.bestMove.substring(2, 4),
+                promotion: entry.bestMove.length > 4 ? entry.bestMove.substring(4) : undefined
+            });
+            if (!move) break;
+            
+            seen.add(key);
+            pv.push(entry.bestMove);
+        }
+        
+        // Restore the original position
+        for (let i = 0; i < pv.length; i++) {
+            this.chess.undo();
+        }
+        
+        return pv;
+    }
+    
+    /**
+     * Convert a mate score into a number of moves (positive if the side to move mates)
+     */
+    getMateDistance(score) {
+        if (Math.abs(score) < MATE_THRESHOLD) return null;
+        
+        const plies = MATE_SCORE - Math.abs(score);
+        const moves = Math.ceil(plies / 2);
+        return score > 0 ? moves : -moves;
+    }
+    
+    /**
+     * Convert a UCI move to SAN in the current position
+     */
+    toSan(move) {
+        const played = this.chess.move({
+            from: move.substring(0, 2),
+            to: move.substring(2, 4),
+            promotion: move.length > 4 ? move.substring(4) : undefined
+        });
+        if (!played) return move;
+        
+        this.chess.undo();
+        return played.san;
+    }
+    
+    /**
+     * Position key for the transposition table (FEN without the move counters)
+     */
+    getPositionKey() {
+        return this.chess.fen().split(' ').slice(0, 4).join(' ');
+    }
+    
+    /**
+     * Mate scores are stored relative to the node so they stay valid at any ply
+     */
+    scoreToTable(score, ply) {
+        if (score >= MATE_THRESHOLD) return score + ply;
+        if (score <= -MATE_THRESHOLD) return score - ply;
+        return score;
+    }
+    
+    scoreFromTable(score, ply) {
+        if (score >= MATE_THRESHOLD) return score - ply;
+        if (score <= -MATE_THRESHOLD) return score + ply;
+        return score;
+    }
+    
+    /**
+     * Check the time limit every 1024 nodes
+     */
+    isOutOfTime() {
+        if (this.stopped) return true;
+        
+        if ((this.nodes & 1023) === 0 && Date.now() > this.deadline) {
+            this.stopped = true;
+        }
+        return this.stopped;
+    }
+    
+    /**
+     * Clear the transposition table
+     */
+    clearTable() {
+        this.transpositionTable.clear();
+    }
+}
+
+// Export the MoveEvaluator class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MoveEvaluator, PIECE_VALUES, MATE_SCORE };
+}
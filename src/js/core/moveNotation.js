@@ -0,0 +1,232 @@
+/**
+ * Move Notation Helpers
+ *
+ * Converts puzzle moves between SAN (Bxf7+) and UCI (c4f7) notation.
+ * Puzzle and trap definitions may use either notation, or a mix of both,
+ * and are normalized to UCI against their FEN when they are loaded.
+ */
+
+import { getPieceName } from './boardAnalysis';
+
+const UCI_MOVE_PATTERN = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/;
+
+/**
+ * Check whether a string is written in UCI notation
+ */
+function isUciMove(notation) {
+    return typeof notation === 'string' && UCI_MOVE_PATTERN.test(notation);
+}
+
+/**
+ * Format a chess.js move object as a UCI string
+ */
+function moveToUci(move) {
+    return move.from + move.to + (move.promotion || '');
+}
+
+/**
+ * Play a move written in SAN or UCI on a chess.js instance
+ * @param {Object} chess - chess.js instance at the position before the move
+ * @param {string} notation - Move in SAN or UCI notation
+ * @returns {Object|null} The chess.js move object, or null if the move is illegal
+ */
+function playMove(chess, notation) {
+    if (typeof notation !== 'string' || notation.trim() === '') return null;
+    
+    const trimmed = notation.trim();
+    const uciMatch = trimmed.match(UCI_MOVE_PATTERN);
+    
+    if (uciMatch) {
+        const move = chess.move({
+            from: uciMatch[1],
+            to: uciMatch[2],
+            promotion: uciMatch[3]
+        });
+        if (move) return move;
+    }
+    
+    // Strip annotation glyphs such as "!" or "?" before parsing SAN
+    const san = trimmed.replace(/[!?]+$/, '');
+    
+    // Strict parsing first: sloppy mode can read a pawn capture like "bxc6" as a bishop move
+    return chess.move(san) || chess.move(san, { sloppy: true });
+}
+
+/**
+ * Normalize a move sequence to UCI notation
+ * Moves that cannot be played are kept as written, together with every
+ * move after them, so that validation can report them later.
+ * @param {Object} chess - chess.js instance used for parsing (its position is replaced)
+ * @param {string} fen - Starting position of the sequence
+ * @param {Array} moves - Moves in SAN, UCI or a mix of both
+ * @returns {Array} Moves in UCI notation
+ */
+function normalizeLine(chess, fen, moves) {
+    if (!Array.isArray(moves)) return moves;
+    if (!chess.load(fen)) return [...moves];
+    
+    const normalized = [];
+    for (let i = 0; i < moves.length; i++) {
+        const move = playMove(chess, moves[i]);
+        if (!move) {
+            return normalized.concat(moves.slice(i));
+        }
+        normalized.push(moveToUci(move));
+    }
+    
+    return normalized;
+}
+
+/**
+ * Convert a UCI move sequence to SAN
+ * @param {Object} chess - chess.js instance used for conversion (its position is replaced)
+ * @param {string} fen - Starting position of the sequence
+ * @param {Array} moves - Moves in UCI (or SAN) notation
+ * @returns {Array} Moves in SAN notation, keeping unplayable moves as written
+ */
+function lineToSan(chess, fen, moves) {
+    if (!chess.load(fen)) return [...moves];
+    
+    const sanMoves = [];
+    for (let i = 0; i < moves.length; i++) {
+        const move = playMove(chess, moves[i]);
+        if (!move) {
+            return sanMoves.concat(moves.slice(i));
+        }
+        sanMoves.push(move.san);
+    }
+    
+    return sanMoves;
+}
+
+/**
+ * Format a SAN sequence with move numbers, e.g. "4. Bxf7+ Kxf7 5. Ng5+"
+ * @param {string} fen - Starting position, used for the move number and side to move
+ * @param {Array} sanMoves - Moves in SAN notation
+ */
+function formatMoveList(fen, sanMoves) {
+    const fenParts = fen.split(' ');
+    let moveNumber = parseInt(fenParts[5], 10) || 1;
+    let whiteToMove = fenParts[1] !== 'b';
+    
+    const parts = [];
+    sanMoves.forEach((san, index) => {
+        if (whiteToMove) {
+            parts.push(`${moveNumber}. ${san}`);
+        } else {
+            parts.push(index === 0 ? `${moveNumber}... ${san}` : san);
+            moveNumber++;
+        }
+        whiteToMove = !whiteToMove;
+    });
+    
+    return parts.join(' ');
+}
+
+/**
+ * Normalize the move fields of a puzzle definition to UCI
+ * @param {Object} chess - chess.js instance used for parsing
+ * @param {Object} puzzle - Puzzle with moves (and optional alternativeLines)
+ * @returns {Object} A copy of the puzzle with normalized moves
+ */
+function normalizePuzzleMoves(chess, puzzle) {
+    const normalized = { ...puzzle };
+    
+    normalized.moves = normalizeLine(chess, puzzle.fen, puzzle.moves);
+    
+    if (Array.isArray(puzzle.alternativeLines)) {
+        normalized.alternativeLines = puzzle.alternativeLines.map(
+            line => normalizeLine(chess, puzzle.fen, line)
+        );
+    }
+    
+    return normalized;
+}
+
+/**
+ * Normalize the move fields of a trap definition to UCI
+ * The trap move, defense and follow-up are played in order from the trap FEN.
+ * @param {Object} chess - chess.js instance used for parsing
+ * @param {Object} trap - Trap with trapMove, correctDefense and followUp
+ * @returns {Object} A copy of the trap with normalized moves
+ */
+function normalizeTrapMoves(chess, trap) {
+    const fields = ['trapMove', 'correctDefense', 'followUp'];
+    const line = fields.map(field => trap[field]).filter(move => !!move);
+    const normalizedLine = normalizeLine(chess, trap.fen, line);
+    
+    const normalized = { ...trap };
+    let index = 0;
+    fields.forEach(field => {
+        if (trap[field]) {
+            normalized[field] = normalizedLine[index++];
+        }
+    });
+    
+    return normalized;
+}
+
+/**
+ * Describe a move in words for screen readers, e.g. "knight from f3 takes pawn on e5, check"
+ * @param {Object} move - Verbose chess.js move object
+ * @returns {string} Spoken description of the move
+ */
+function describeMove(move) {
+    let description;
+    
+    if (move.flags.includes('k')) {
+        description = 'castles kingside';
+    } else if (move.flags.includes('q')) {
+        description = 'castles queenside';
+    } else {
+        const piece = getPieceName(move.piece);
+        
+        if (move.flags.includes('e')) {
+            description = `${piece} from ${move.from} takes pawn en passant on ${move.to}`;
+        } else if (move.captured) {
+            description = `${piece} from ${move.from} takes ${getPieceName(move.captured)} on ${move.to}`;
+        } else {
+            description = `${piece} from ${move.from} to ${move.to}`;
+        }
+        
+        if (move.promotion) {
+            description += `, promotes to ${getPieceName(move.promotion)}`;
+        }
+    }
+    
+    if (move.san.endsWith('#')) {
+        description += ', checkmate';
+    } else if (move.san.endsWith('+')) {
+        description += ', check';
+    }
+    
+    return description;
+}
+
+// Export the notation helpers
+export {
+    isUciMove,
+    moveToUci,
+    playMove,
+    normalizeLine,
+    lineToSan,
+    formatMoveList,
+    normalizePuzzleMoves,
+    normalizeTrapMoves,
+    describeMove
+};
+
+// For backwards compatibility with CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isUciMove,
+        moveToUci,
+        playMove,
+        normalizeLine,
+        lineToSan,
+        formatMoveList,
+        normalizePuzzleMoves,
+        normalizeTrapMoves,
+        describeMove
+    };
+}
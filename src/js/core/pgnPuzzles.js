@@ -0,0 +1,221 @@
+/**
+ * PGN Puzzle Import
+ *
+ * Reads puzzle collections in PGN, the format of most puzzle books and club
+ * materials. Each game is one puzzle: its [FEN] header is the starting
+ * position and its main line the solution. Variations become alternative
+ * lines the solver may play instead, comments on the main line become the
+ * explanation, and the custom [Theme] and [Difficulty] headers file the
+ * puzzle. Moves stay in SAN; the generator normalizes them when it loads
+ * the puzzle.
+ */
+
+import { normalizeThemes, getThemeCategory } from './constants';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+
+const HEADER_PATTERN = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]\s*$/;
+
+// Comments, variation brackets, NAGs, results, move numbers and moves
+const MOVETEXT_TOKEN_PATTERN = /\{[^}]*\}|;[^\n]*|\(|\)|\$\d+|1-0|0-1|1\/2-1\/2|\*|\d+\.(?:\.\.)?|[^\s{}();]+/g;
+const SKIPPED_TOKEN_PATTERN = /^(\$\d+|1-0|0-1|1\/2-1\/2|\*|\d+\.(\.\.)?)$/;
+
+/**
+ * Split PGN text into games
+ * A header line after movetext starts the next game.
+ * @param {string} text - PGN text with one or more games
+ * @returns {Array} { headers, movetext } for each game
+ */
+function splitPgnGames(text) {
+    const games = [];
+    let current = null;
+    let inMovetext = false;
+    
+    (text || '').split(/\r?\n/).forEach(line => {
+        const header = line.match(HEADER_PATTERN);
+        
+        if (header) {
+            if (!current || inMovetext) {
+                current = { headers: {}, movetext: '' };
+                games.push(current);
+                inMovetext = false;
+            }
+            current.headers[header[1]] = header[2].replace(/\\(.)/g, '$1');
+        } else if (current && line.trim() !== '' && !line.startsWith('%')) {
+            current.movetext += line + '\n';
+            inMovetext = true;
+        }
+    });
+    
+    return games;
+}
+
+/**
+ * Clean up a comment, dropping embedded commands such as [%clk 0:01:00]
+ */
+function cleanComment(token) {
+    const text = token.startsWith('{') ? token.slice(1, -1) : token.slice(1);
+    return text.replace(/\[%[^\]]*\]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse movetext into a tree of lines
+ * A line is { comments, moves }; comments before its first move are kept on
+ * the line, later ones on the move they follow. Each move is
+ * { san, comments, variations }, where a variation is a line replacing
+ * that move.
+ * @param {string} movetext - Movetext of one game
+ * @returns {Object} The main line
+ */
+function parseMovetext(movetext) {
+    const mainLine = { comments: [], moves: [] };
+    const stack = [mainLine];
+    const tokens = (movetext || '').match(MOVETEXT_TOKEN_PATTERN) || [];
+    
+    tokens.forEach(token => {
+        const line = stack[stack.length - 1];
+        const lastMove = line.moves[line.moves.length - 1];
+        
+        if (token.startsWith('{') || token.startsWith(';')) {
+            const comment = cleanComment(token);
+            if (comment) {
+                (lastMove ? lastMove.comments : line.comments).push(comment);
+            }
+        } else if (token === '(') {
+            // A variation before any move replaces nothing but still has to be closed
+            const variation = { comments: [], moves: [] };
+            if (lastMove) {
+                lastMove.variations.push(variation);
+            }
+            stack.push(variation);
+        } else if (token === ')') {
+            if (stack.length > 1) {
+                stack.pop();
+            }
+        } else if (!SKIPPED_TOKEN_PATTERN.test(token)) {
+            line.moves.push({ san: token, comments: [], variations: [] });
+        }
+    });
+    
+    return mainLine;
+}
+
+/**
+ * Turn the variations of a line into full lines from the starting position
+ * Variations inside variations are included too.
+ * @param {Array} moves - Moves of a line from parseMovetext
+ * @param {Array} prefix - Moves leading to the start of the line
+ * @returns {Array} Move lists
+ */
+function getAlternativeLines(moves, prefix = []) {
+    const lines = [];
+    
+    moves.forEach((move, index) => {
+        const before = prefix.concat(moves.slice(0, index).map(previous => previous.san));
+        
+        move.variations
+            .filter(variation => variation.moves.length > 0)
+            .forEach(variation => {
+                lines.push(before.concat(variation.moves.map(alternative => alternative.san)));
+                lines.push(...getAlternativeLines(variation.moves, before));
+            });
+    });
+    
+    return lines;
+}
+
+/**
+ * Build a stable ID from a string, so importing a collection twice finds the duplicates
+ */
+function hashString(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+}
+
+/**
+ * Turn one PGN game into a puzzle definition
+ * @param {Object} game - { headers, movetext } from splitPgnGames
+ * @returns {Object|null} Puzzle, or null for games without a FEN or moves
+ */
+function pgnGameToPuzzle(game) {
+    const headers = game.headers;
+    const fen = (headers.FEN || '').trim();
+    if (!fen) return null;
+    
+    const mainLine = parseMovetext(game.movetext);
+    if (mainLine.moves.length === 0) return null;
+    
+    const moves = mainLine.moves.map(move => move.san);
+    const orientation = fen.split(' ')[1] === 'b' ? 'black' : 'white';
+    const themes = normalizeThemes((headers.Theme || '').split(/[,;]/).map(name => name.trim()));
+    const theme = themes[0] || 'general';
+    const explanation = mainLine.moves
+        .reduce((comments, move) => comments.concat(move.comments), [])
+        .join(' ');
+    
+    const puzzle = {
+        id: headers.PuzzleId || `pgn-${hashString(`${fen} ${moves.join(' ')}`)}`,
+        fen: fen,
+        moves: moves,
+        orientation: orientation,
+        theme: theme,
+        category: getThemeCategory(theme) || 'tactics',
+        objective: mainLine.comments.join(' ') || `${orientation === 'white' ? 'White' : 'Black'} to play`,
+        explanation: explanation || 'Solution from a PGN puzzle collection.',
+        source: 'pgn'
+    };
+    
+    const alternativeLines = getAlternativeLines(mainLine.moves);
+    if (alternativeLines.length > 0) {
+        puzzle.alternativeLines = alternativeLines;
+    }
+    
+    // Without a Theme header the generator detects motifs itself
+    if (themes.length > 0) {
+        puzzle.tags = themes;
+    }
+    
+    const difficulty = (headers.Difficulty || '').trim().toLowerCase();
+    if (DIFFICULTIES.includes(difficulty)) {
+        puzzle.difficulty = difficulty;
+    }
+    
+    return puzzle;
+}
+
+/**
+ * Parse a PGN puzzle collection
+ * @param {string} text - PGN text
+ * @returns {Object} { puzzles, skipped } where skipped counts games without a FEN or moves
+ */
+function parsePgnCollection(text) {
+    const result = { puzzles: [], skipped: 0 };
+    
+    splitPgnGames(text).forEach(game => {
+        const puzzle = pgnGameToPuzzle(game);
+        if (puzzle) {
+            result.puzzles.push(puzzle);
+        } else {
+            result.skipped++;
+        }
+    });
+    
+    return result;
+}
+
+// Export the PGN import helpers
+export { splitPgnGames, parseMovetext, getAlternativeLines, pgnGameToPuzzle, parsePgnCollection };
+
+// For backwards compatibility with CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        splitPgnGames,
+        parseMovetext,
+        getAlternativeLines,
+        pgnGameToPuzzle,
+        parsePgnCollection
+    };
+}
@@ -1,44 +1,303 @@
 /**
  * Chess Puzzle Core System
  * Handles basic puzzle generation, validation and display
+ *
+ * Events: puzzleLoaded, puzzleAbandoned, moveAccepted, moveRejected,
+ * refutationReady, opponentMoved, trapTriggered, puzzleCompleted, hintShown,
+ * solutionRevealed, navigated
  */
 
-class PuzzleCore {
-    constructor() {
+import { normalizePuzzleMoves, lineToSan, formatMoveList, playMove } from './moveNotation';
+import { MoveEvaluator } from './moveEvaluator';
+import { EventEmitter } from './eventEmitter';
+import { getMotifClues } from './puzzleEvaluator';
+import { getThemeName } from './constants';
+import { getAttackedPieces, isVulnerable, getMaterial, getPieceName as getPieceTypeName, joinNames, MATERIAL_VALUES } from './boardAnalysis';
+
+class PuzzleCore extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.options = {
+            refutationDepth: 3,         // Search depth for the reply to a wrong move
+            refutationTimeLimit: 300,   // Time limit for that search in milliseconds
+            refutationDelay: 50,        // Wait before the search so the board can take the move back first
+            refutationLength: 3,        // Plies of the refutation line to show
+            ...options
+        };
+        
         this.currentPuzzle = null;
-        this.puzzleHistory = [];
-        this.moveHistory = [];
+        this.currentAttempt = null; // Attempt log for the current puzzle
+        this.puzzleHistory = [];    // Finished attempts (solved, failed or abandoned)
+        this.lastMoveTime = null;
+        this.moveHistory = [];      // Moves on the board up to the current position
+        this.playedLine = [];       // Moves available for forward navigation
+        this.firstPly = 0;          // First ply navigation can go back to
+        this.isReplaying = false;   // Stepping through the solution after the puzzle ended
+        this.activeLine = [];
         this.isEvaluating = false;
+        this.refutationTimer = null;    // Pending search for the reply to a wrong move
         this.chessEngine = new Chess(); // chess.js instance
+        this.moveEvaluator = new MoveEvaluator(this.chessEngine); // Built-in search engine
     }
     
     /**
      * Initialize a puzzle on the board
+     * If the opponent moves first, the setup move is played right away and
+     * returned so the UI can animate it before handing over control.
+     * Puzzle moves may be written in SAN or UCI and are normalized to UCI.
+     * Leaving an unfinished puzzle records it as abandoned.
      */
     initializePuzzle(puzzle) {
+        if (this.currentAttempt && !this.currentAttempt.result) {
+            const abandoned = this.finishAttempt('abandoned');
+            this.emit('puzzleAbandoned', { puzzle: this.currentPuzzle, attempt: abandoned });
+        }
+        
+        puzzle = normalizePuzzleMoves(new Chess(), puzzle);
+        
+        this.cancelRefutation();
         this.currentPuzzle = puzzle;
+        this.currentAttempt = this.createAttempt(puzzle);
+        
+        const boardState = this.loadPuzzlePosition();
+        this.emit('puzzleLoaded', { puzzle: puzzle, boardState: boardState, reason: 'new' });
+        
+        return boardState;
+    }
+    
+    /**
+     * Set up the board for the current puzzle, playing any setup move
+     * @returns {Object} Board state for the UI
+     */
+    loadPuzzlePosition() {
+        const puzzle = this.currentPuzzle;
+        
         this.moveHistory = [];
+        this.activeLine = puzzle.moves;
         this.isEvaluating = false;
+        this.isReplaying = false;
         
         // Reset the chess engine with the puzzle position
         this.chessEngine.load(puzzle.fen);
         
         // Return position for the UI to display
-        return {
+        const boardState = {
             position: puzzle.fen,
             orientation: puzzle.orientation,
             turn: this.chessEngine.turn()
         };
+        
+        // Play the opponent's setup move
+        if (this.hasSetupMove(puzzle)) {
+            const setupMove = this.activeLine[0];
+            boardState.setupMove = this.chessEngine.move({
+                from: setupMove.substring(0, 2),
+                to: setupMove.substring(2, 4),
+                promotion: setupMove.length > 4 ? setupMove.substring(4) : undefined
+            });
+            this.moveHistory.push(setupMove);
+            
+            boardState.setupPosition = this.chessEngine.fen();
+            boardState.turn = this.chessEngine.turn();
+        }
+        
+        // The setup move cannot be taken back
+        this.playedLine = [...this.moveHistory];
+        this.firstPly = this.moveHistory.length;
+        
+        this.lastMoveTime = Date.now();
+        
+        return boardState;
+    }
+    
+    /**
+     * Create an empty attempt log for a puzzle
+     */
+    createAttempt(puzzle) {
+        return {
+            id: puzzle.id,
+            startTime: new Date(),
+            endTime: null,
+            moves: [],              // { move, san, correct, timeSpent (ms), timestamp }
+            hintsUsed: 0,
+            solutionRevealed: false,
+            trapsTriggered: [],
+            resets: 0,
+            takebacks: 0,           // Plies stepped back while the attempt was open
+            hintLadder: { ply: null, step: 0 }, // Next hint to give at a ply
+            failedAt: null,         // When the first wrong move was played
+            result: null            // 'solved', 'failed' or 'abandoned'
+        };
+    }
+    
+    /**
+     * Record a move the user tried in the current attempt
+     * @param {Object} move - chess.js move object
+     * @param {boolean} correct - Whether the move was accepted
+     */
+    recordAttemptMove(move, correct) {
+        if (!this.currentAttempt) return;
+        
+        const now = Date.now();
+        this.currentAttempt.moves.push({
+            move: move.from + move.to + (move.promotion || ''),
+            san: move.san,
+            correct: correct,
+            timeSpent: now - (this.lastMoveTime || now),
+            timestamp: new Date(now)
+        });
+        this.lastMoveTime = now;
+    }
+    
+    /**
+     * Mark the current attempt as failed without finishing it
+     * The user may keep trying until the puzzle is solved, revealed or abandoned.
+     * @returns {boolean} Whether this is the attempt's first failure
+     */
+    failAttempt() {
+        const attempt = this.currentAttempt;
+        if (!attempt || attempt.result || attempt.failedAt) return false;
+        
+        attempt.failedAt = new Date();
+        return true;
+    }
+    
+    /**
+     * Finish the current attempt and add it to the puzzle history
+     * An attempt keeps its first result: solving a puzzle after failing it
+     * does not turn the attempt into a success.
+     * @param {string} result - 'solved', 'failed' or 'abandoned'
+     * @returns {Object|null} The finished attempt
+     */
+    finishAttempt(result) {
+        const attempt = this.currentAttempt;
+        if (!attempt || attempt.result) return null;
+        
+        attempt.result = attempt.failedAt ? 'failed' : result;
+        attempt.endTime = new Date();
+        
+        this.puzzleHistory.push({
+            ...attempt,
+            timestamp: attempt.endTime
+        });
+        
+        return attempt;
+    }
+    
+    /**
+     * Reveal the solution of the current puzzle
+     * The attempt is recorded as failed if it was still open.
+     * @returns {Object|null} The solution line in SAN
+     */
+    revealSolution() {
+        if (!this.currentPuzzle) return null;
+        
+        let finished = null;
+        if (this.currentAttempt) {
+            this.currentAttempt.solutionRevealed = true;
+            finished = this.finishAttempt('failed');
+        }
+        
+        const solution = this.getSolutionSan();
+        
+        this.emit('solutionRevealed', { puzzle: this.currentPuzzle, solution: solution });
+        this.emitCompleted(false, !!finished && !finished.failedAt);
+        
+        return solution;
+    }
+    
+    /**
+     * Emit puzzleCompleted for the current attempt
+     * @param {boolean} solved - Whether the puzzle was solved on the board
+     * @param {boolean} recorded - Whether this finished the attempt (its first result)
+     */
+    emitCompleted(solved, recorded) {
+        const attempt = this.currentAttempt;
+        
+        this.emit('puzzleCompleted', {
+            puzzle: this.currentPuzzle,
+            attempt: attempt,
+            result: attempt ? attempt.result : null,
+            solved: solved,
+            recorded: recorded,
+            trapped: !!attempt && attempt.trapsTriggered.length > 0,
+            solutionRevealed: !!attempt && attempt.solutionRevealed
+        });
+    }
+    
+    /**
+     * Check whether the first move of a puzzle belongs to the opponent
+     * Uses the puzzle's opponentMovesFirst flag, or compares the side to move
+     * in the FEN with the puzzle orientation when the flag is not set.
+     */
+    hasSetupMove(puzzle) {
+        if (!puzzle.moves || puzzle.moves.length === 0) return false;
+        
+        if (typeof puzzle.opponentMovesFirst === 'boolean') {
+            return puzzle.opponentMovesFirst;
+        }
+        
+        const sideToMove = puzzle.fen.split(' ')[1];
+        return !!puzzle.orientation && sideToMove !== puzzle.orientation.charAt(0);
+    }
+    
+    /**
+     * Get the color the user is solving for ('w' or 'b')
+     */
+    getSolverColor() {
+        if (!this.currentPuzzle) return null;
+        
+        return (this.currentPuzzle.orientation || 'white').charAt(0);
+    }
+    
+    /**
+     * Get every solution line of the current puzzle
+     * The main line comes first, followed by any declared alternative lines
+     */
+    getSolutionLines() {
+        if (!this.currentPuzzle) return [];
+        
+        return [this.currentPuzzle.moves, ...(this.currentPuzzle.alternativeLines || [])];
+    }
+    
+    /**
+     * Get the moves accepted at a ply, given the moves played before it
+     * @param {number} ply - Index of the move in the line (defaults to the next move)
+     * @returns {Array} Array of { move, line } for every line still consistent with the history
+     */
+    getAcceptedMoves(ply = this.moveHistory.length) {
+        const playedMoves = this.moveHistory.slice(0, ply);
+        const accepted = [];
+        
+        this.getSolutionLines().forEach(line => {
+            if (line.length <= ply) return;
+            
+            // The line must agree with every move played so far
+            const matchesHistory = playedMoves.every((move, index) => line[index] === move);
+            if (!matchesHistory) return;
+            
+            if (!accepted.some(entry => entry.move === line[ply])) {
+                accepted.push({ move: line[ply], line: line });
+            }
+        });
+        
+        return accepted;
     }
     
     /**
      * Evaluate a user move in the current puzzle
+     * A move is correct if it matches an accepted move of any solution line
+     * still in play. Any move that delivers checkmate also solves the puzzle.
      */
-    evaluateMove(from, to, promotion = 'q') {
-        if (!this.currentPuzzle || this.isEvaluating) return null;
+    evaluateMove(from, to, promotion) {
+        if (!this.currentPuzzle || this.isEvaluating || this.isReplaying) return null;
         
         this.isEvaluating = true;
         
+        // Collect the accepted moves before the move is played
+        const acceptedMoves = this.getAcceptedMoves();
+        
         // Try to make the move
         const move = this.chessEngine.move({
             from: from,
@@ -56,18 +315,31 @@ class PuzzleCore {
         }
         
         // Format move in our standard notation
-        const moveNotation = from + to + (promotion || '');
+        const moveNotation = move.from + move.to + (move.promotion || '');
         
         // Record the move
         this.moveHistory.push(moveNotation);
         
-        // Check if the move matches the expected one in the puzzle
-        const expectedMove = this.currentPuzzle.moves[this.moveHistory.length - 1];
-        const isCorrect = moveNotation === expectedMove;
+        // Check if the move matches one of the accepted moves
+        const acceptedMove = acceptedMoves.find(entry => entry.move === moveNotation);
+        
+        // Fall back to accepting any mate while the puzzle is still in play
+        const isMate = acceptedMoves.length > 0 && this.chessEngine.in_checkmate();
+        
+        const isCorrect = !!acceptedMove || isMate;
+        
+        this.recordAttemptMove(move, isCorrect);
+        
+        // Follow the branch the user picked
+        if (acceptedMove) {
+            this.activeLine = acceptedMove.line;
+        } else if (isMate) {
+            this.activeLine = [...this.moveHistory];
+        }
         
         // Check if move is a known trap
         let trapInfo = null;
-        if (this.currentPuzzle.hasTrap && this.currentPuzzle.trapInfo) {
+        if (!isCorrect && this.currentPuzzle.hasTrap && this.currentPuzzle.trapInfo) {
             if (moveNotation === this.currentPuzzle.trapInfo.trapMove) {
                 trapInfo = this.currentPuzzle.trapInfo;
             }
@@ -89,28 +361,27 @@ class PuzzleCore {
             trapInfo: trapInfo,
             alternativePath: alternativePath,
             position: this.chessEngine.fen(),
+            positionAfterMove: this.chessEngine.fen(), // Before any opponent reply
             move: move,
             gameOver: this.chessEngine.game_over(),
         };
         
+        let finished = null;
+        let failed = false;
+        
         // If correct move and puzzle is completed
-        if (isCorrect && this.moveHistory.length >= this.currentPuzzle.moves.length) {
+        if (isCorrect && this.moveHistory.length >= this.activeLine.length) {
             result.completed = true;
             result.message = "Puzzle solved correctly!";
-            this.puzzleHistory.push({
-                id: this.currentPuzzle.id,
-                result: "solved",
-                moves: [...this.moveHistory],
-                timestamp: new Date()
-            });
+            finished = this.finishAttempt('solved');
         }
         // If correct move but puzzle continues
         else if (isCorrect) {
             result.message = "Correct move! Continue...";
             
             // Make the opponent's move automatically
-            if (this.moveHistory.length < this.currentPuzzle.moves.length) {
-                const nextMove = this.currentPuzzle.moves[this.moveHistory.length];
+            if (this.moveHistory.length < this.activeLine.length) {
+                const nextMove = this.activeLine[this.moveHistory.length];
                 
                 // Parse the next move
                 const nextFrom = nextMove.substring(0, 2);
@@ -129,55 +400,492 @@ class PuzzleCore {
                 
                 result.opponentMove = opponentMove;
                 result.position = this.chessEngine.fen(); // Update position after opponent moves
+                
+                // Time for the next move starts once the opponent has replied
+                this.lastMoveTime = Date.now();
+                
+                // Lines that end with the opponent's reply are solved at this point
+                if (this.moveHistory.length >= this.activeLine.length) {
+                    result.completed = true;
+                    result.message = "Puzzle solved correctly!";
+                    finished = this.finishAttempt('solved');
+                }
             }
         }
         // If incorrect move (but not a trap)
         else if (!trapInfo) {
             result.message = "Not the best move. Try again.";
             
+            // The user may retry, but the attempt already counts as failed
+            failed = this.failAttempt();
+            
             // Undo the move in the engine to allow retrying
             this.chessEngine.undo();
             this.moveHistory.pop();
+            
+            // Work out why the move fails once the move handler has returned
+            this.scheduleRefutation(move);
         }
         // If it's a trap move
         else {
             result.message = `You fell for the ${trapInfo.name} trap!`;
+            
+            if (this.currentAttempt) {
+                this.currentAttempt.trapsTriggered.push(trapInfo.name);
+            }
+            finished = this.finishAttempt('failed');
         }
         
+        // A new move replaces any moves that were taken back
+        this.playedLine = [...this.moveHistory];
+        
+        // Only the first result of an attempt counts towards the user's stats
+        result.recorded = failed || (!!finished && !finished.failedAt);
+        
         this.isEvaluating = false;
+        
+        this.emitMoveEvents(result, result.recorded);
+        
         return result;
     }
     
+    /**
+     * Emit the events describing an evaluated move, in the order they happened
+     * @param {Object} result - Result from evaluateMove
+     * @param {boolean} recorded - Whether the move gave the attempt its result
+     */
+    emitMoveEvents(result, recorded) {
+        const payload = {
+            puzzle: this.currentPuzzle,
+            move: result.move,
+            position: result.positionAfterMove,
+            message: result.message
+        };
+        
+        if (result.isTrap) {
+            this.emit('trapTriggered', {
+                ...payload,
+                trapInfo: result.trapInfo,
+                annotations: this.getTrapAnnotations(result.trapInfo)
+            });
+        } else if (result.isCorrect) {
+            this.emit('moveAccepted', { ...payload, alternativePath: result.alternativePath });
+        } else {
+            this.emit('moveRejected', {
+                ...payload,
+                position: this.chessEngine.fen(), // The wrong move has been taken back
+                alternativePath: result.alternativePath,
+                recorded: recorded
+            });
+        }
+        
+        if (result.opponentMove) {
+            this.emit('opponentMoved', {
+                puzzle: this.currentPuzzle,
+                move: result.opponentMove,
+                position: result.position
+            });
+        }
+        
+        if (result.completed || result.isTrap) {
+            this.emitCompleted(!!result.completed, recorded);
+        }
+    }
+    
+    /**
+     * Evaluate a move typed in SAN (Nxe5, e8=N) or UCI (f3e5, e7e8n)
+     * @param {string} notation - The typed move
+     * @returns {Object|null} Result from evaluateMove, or an invalid result if the move cannot be read
+     */
+    evaluateMoveNotation(notation) {
+        if (!this.currentPuzzle || this.isEvaluating || this.isReplaying) return null;
+        
+        // Parse on a copy so an unreadable move leaves the puzzle untouched
+        const parser = new Chess(this.chessEngine.fen());
+        const move = playMove(parser, notation);
+        
+        if (!move) {
+            return {
+                valid: false,
+                message: `"${(notation || '').trim()}" is not a legal move in this position`
+            };
+        }
+        
+        return this.evaluateMove(move.from, move.to, move.promotion);
+    }
+    
+    /**
+     * Search for the refutation of a wrong move after a short delay
+     * The search runs outside the move handler so the board is not held up.
+     * refutationReady is emitted when it is done, unless the position has
+     * changed in the meantime.
+     * @param {Object} wrongMove - chess.js move object of the rejected move, already taken back
+     */
+    scheduleRefutation(wrongMove) {
+        this.cancelRefutation();
+        
+        const puzzle = this.currentPuzzle;
+        const position = this.chessEngine.fen();
+        
+        this.refutationTimer = setTimeout(() => {
+            this.refutationTimer = null;
+            if (this.currentPuzzle !== puzzle || this.chessEngine.fen() !== position || this.isReplaying) return;
+            
+            const played = this.chessEngine.move({
+                from: wrongMove.from,
+                to: wrongMove.to,
+                promotion: wrongMove.promotion
+            });
+            if (!played) return;
+            
+            const positionAfterMove = this.chessEngine.fen();
+            const refutation = this.getRefutation(played);
+            this.chessEngine.undo();
+            
+            if (refutation) {
+                this.emit('refutationReady', {
+                    puzzle: puzzle,
+                    move: played,
+                    position: position,
+                    positionAfterMove: positionAfterMove,
+                    refutation: refutation
+                });
+            }
+        }, this.options.refutationDelay);
+    }
+    
+    /**
+     * Drop a refutation search that has not run yet
+     */
+    cancelRefutation() {
+        clearTimeout(this.refutationTimer);
+        this.refutationTimer = null;
+    }
+    
+    /**
+     * Work out the opponent's best reply to a wrong move
+     * Must be called while the wrong move is still on the board; the
+     * position is left unchanged.
+     * @param {Object} wrongMove - chess.js move object of the rejected move
+     * @returns {Object|null} { move, reply, line, sanLine, positions, summary, highlightSquares }
+     */
+    getRefutation(wrongMove) {
+        // Promoting to the wrong piece often throws the win away by stalemate
+        if (this.chessEngine.in_stalemate()) {
+            return {
+                move: wrongMove.san,
+                reply: null,
+                line: [],
+                sanLine: [],
+                positions: [],
+                summary: `After ${wrongMove.san}, it is stalemate.`,
+                highlightSquares: [wrongMove.from, wrongMove.to]
+            };
+        }
+        
+        if (this.chessEngine.game_over()) return null;
+        
+        const search = this.moveEvaluator.search({
+            depth: this.options.refutationDepth,
+            timeLimit: this.options.refutationTimeLimit
+        });
+        if (!search) return null;
+        
+        const solverColor = wrongMove.color;
+        const opponentColor = solverColor === 'w' ? 'b' : 'w';
+        
+        // Material balance for the solver before the wrong move was played
+        const materialNow = getMaterial(this.chessEngine);
+        let balanceBefore = materialNow[solverColor] - materialNow[opponentColor];
+        if (wrongMove.captured) balanceBefore -= MATERIAL_VALUES[wrongMove.captured];
+        if (wrongMove.promotion) balanceBefore -= MATERIAL_VALUES[wrongMove.promotion] - 1;
+        
+        // Play the refutation line to describe it, then take it back
+        const line = search.pv.slice(0, this.options.refutationLength);
+        const playedMoves = [];
+        const positions = [];
+        let replyDescription = null;
+        
+        for (const uci of line) {
+            const played = this.chessEngine.move({
+                from: uci.substring(0, 2),
+                to: uci.substring(2, 4),
+                promotion: uci.length > 4 ? uci.substring(4) : undefined
+            });
+            if (!played) break;
+            
+            playedMoves.push(played);
+            positions.push(this.chessEngine.fen());
+            
+            if (playedMoves.length === 1) {
+                replyDescription = this.describeReply(played);
+            }
+        }
+        
+        const materialAfter = getMaterial(this.chessEngine);
+        const balanceAfter = materialAfter[solverColor] - materialAfter[opponentColor];
+        
+        playedMoves.forEach(() => this.chessEngine.undo());
+        
+        if (playedMoves.length === 0) return null;
+        
+        // The engine score also counts captures beyond the end of the shown line
+        const expectedBalance = -search.score / 100;
+        const materialLost = Math.max(balanceBefore - balanceAfter, Math.round(balanceBefore - expectedBalance));
+        
+        const reply = playedMoves[0];
+        const outcome = this.describeOutcome(materialLost, search);
+        
+        return {
+            move: wrongMove.san,
+            reply: {
+                move: reply.from + reply.to + (reply.promotion || ''),
+                san: reply.san
+            },
+            line: playedMoves.map(played => played.from + played.to + (played.promotion || '')),
+            sanLine: playedMoves.map(played => played.san),
+            positions: positions,
+            summary: `After ${wrongMove.san}, ${replyDescription}${outcome}.`,
+            highlightSquares: [reply.from, reply.to]
+        };
+    }
+    
+    /**
+     * Describe what the opponent's reply does, e.g. "Qd4 forks king and knight"
+     * Must be called right after the reply was played.
+     */
+    describeReply(reply) {
+        if (this.chessEngine.in_checkmate()) {
+            return `${reply.san} is checkmate`;
+        }
+        
+        // Pieces hit by the reply that cannot simply be left alone
+        const targets = getAttackedPieces(this.chessEngine, reply.to).filter(target =>
+            target.type === 'k' ||
+            isVulnerable(this.chessEngine, target.square) ||
+            MATERIAL_VALUES[target.type] > MATERIAL_VALUES[reply.piece]
+        );
+        targets.sort((a, b) => (b.type === 'k') - (a.type === 'k') || MATERIAL_VALUES[b.type] - MATERIAL_VALUES[a.type]);
+        
+        if (targets.length >= 2) {
+            return `${reply.san} forks ${joinNames(targets.map(target => getPieceTypeName(target.type)))}`;
+        }
+        if (reply.captured) {
+            return `${reply.san} captures the ${getPieceTypeName(reply.captured)}`;
+        }
+        if (this.chessEngine.in_check()) {
+            return `${reply.san} gives check`;
+        }
+        if (targets.length === 1) {
+            return `${reply.san} attacks the ${getPieceTypeName(targets[0].type)}`;
+        }
+        
+        return `${reply.san} is the strongest reply`;
+    }
+    
+    /**
+     * Describe the consequence of a refutation for the solver
+     * @param {number} materialLost - Material the solver loses along the line, in pawns
+     * @param {Object} search - Engine result from the opponent's point of view
+     */
+    describeOutcome(materialLost, search) {
+        if (search.mate !== null && search.mate > 1) {
+            return `, with mate in ${search.mate}`;
+        }
+        if (search.mate === 1) return '';
+        
+        if (materialLost >= 8) return ', losing the queen';
+        if (materialLost >= 5) return ', losing a rook';
+        if (materialLost >= 3) return ', losing a piece';
+        if (materialLost >= 2) return ', losing the exchange';
+        if (materialLost >= 1) return ', losing a pawn';
+        
+        return '';
+    }
+    
     /**
      * Reset the current puzzle
      */
     resetPuzzle() {
         if (!this.currentPuzzle) return null;
         
-        return this.initializePuzzle(this.currentPuzzle);
+        if (this.currentAttempt) {
+            this.currentAttempt.resets++;
+        }
+        
+        const boardState = this.loadPuzzlePosition();
+        this.emit('puzzleLoaded', { puzzle: this.currentPuzzle, boardState: boardState, reason: 'reset' });
+        
+        return boardState;
+    }
+    
+    /**
+     * Check whether the current attempt is still open
+     */
+    isAttemptActive() {
+        return !!this.currentAttempt && !this.currentAttempt.result;
     }
     
     /**
-     * Get a hint for the current puzzle
+     * Get the navigation state of the current puzzle
+     * @returns {Object} { ply, firstPly, lastPly, canGoBack, canGoForward, isReplaying }
      */
+    getNavigationState() {
+        const ply = this.moveHistory.length;
+        const lastPly = this.playedLine.length;
+        
+        return {
+            ply: ply,
+            firstPly: this.firstPly,
+            lastPly: lastPly,
+            canGoBack: !!this.currentPuzzle && ply > this.firstPly,
+            canGoForward: !!this.currentPuzzle && ply < lastPly,
+            isReplaying: this.isReplaying
+        };
+    }
+    
     /**
-     * Get a hint for the current puzzle
+     * Move the board to a ply of the moves played so far
+     * Going back while the attempt is open counts as a takeback; the moves
+     * stay available for going forward until a different move is played.
+     * @param {number} ply - Number of moves from the puzzle position
+     * @returns {Object|null} { position, turn, lastMove, navigation }
+     */
+    goToPly(ply) {
+        if (!this.currentPuzzle || this.isEvaluating) return null;
+        
+        const target = Math.max(this.firstPly, Math.min(ply, this.playedLine.length));
+        
+        if (target < this.moveHistory.length && this.isAttemptActive()) {
+            this.currentAttempt.takebacks += this.moveHistory.length - target;
+        }
+        
+        while (this.moveHistory.length > target) {
+            this.chessEngine.undo();
+            this.moveHistory.pop();
+        }
+        
+        while (this.moveHistory.length < target) {
+            const nextMove = this.playedLine[this.moveHistory.length];
+            this.chessEngine.move({
+                from: nextMove.substring(0, 2),
+                to: nextMove.substring(2, 4),
+                promotion: nextMove.length > 4 ? nextMove.substring(4) : undefined
+            });
+            this.moveHistory.push(nextMove);
+        }
+        
+        // Time for the next move starts again from the restored position
+        this.lastMoveTime = Date.now();
+        
+        const history = this.chessEngine.history({ verbose: true });
+        
+        const boardState = {
+            position: this.chessEngine.fen(),
+            turn: this.chessEngine.turn(),
+            lastMove: history.length > 0 ? history[history.length - 1] : null,
+            navigation: this.getNavigationState()
+        };
+        
+        this.emit('navigated', { puzzle: this.currentPuzzle, boardState: boardState });
+        
+        return boardState;
+    }
+    
+    /**
+     * Step back one move
+     */
+    goBack() {
+        return this.goToPly(this.moveHistory.length - 1);
+    }
+    
+    /**
+     * Step forward one move
+     */
+    goForward() {
+        return this.goToPly(this.moveHistory.length + 1);
+    }
+    
+    /**
+     * Go to the first position that can be navigated to
+     */
+    goToFirst() {
+        return this.goToPly(this.firstPly);
+    }
+    
+    /**
+     * Go to the last move played
+     */
+    goToLast() {
+        return this.goToPly(this.playedLine.length);
+    }
+    
+    /**
+     * Replay the full solution after the puzzle has ended
+     * The board returns to the puzzle position and the solution line being
+     * followed can be stepped through with the navigation methods.
+     * @returns {Object|null} Navigation board state at the puzzle position
+     */
+    startReplay() {
+        if (!this.currentPuzzle || this.isAttemptActive() || this.isEvaluating) return null;
+        
+        this.isReplaying = true;
+        this.playedLine = [...this.activeLine];
+        this.firstPly = 0;
+        
+        this.chessEngine.load(this.currentPuzzle.fen);
+        this.moveHistory = [];
+        
+        return this.goToPly(0);
+    }
+    
+    /**
+     * Get the arrows explaining a trap
+     * The trap move is drawn in yellow and the replies that punish it in red.
+     * @param {Object} trapInfo - Trap with UCI trapMove, correctDefense and followUp
+     * @returns {Array} Arrow annotations
+     */
+    getTrapAnnotations(trapInfo) {
+        if (!trapInfo) return [];
+        
+        const isUci = move => typeof move === 'string' && /^[a-h][1-8][a-h][1-8][qrbn]?$/.test(move);
+        const arrows = [
+            { move: trapInfo.trapMove, color: 'yellow' },
+            { move: trapInfo.correctDefense, color: 'red' },
+            { move: trapInfo.followUp, color: 'red' }
+        ];
+        
+        return arrows
+            .filter(arrow => isUci(arrow.move))
+            .map(arrow => ({
+                type: 'arrow',
+                from: arrow.move.substring(0, 2),
+                to: arrow.move.substring(2, 4),
+                color: arrow.color
+            }));
+    }
+    
+    /**
+     * Get the next hint for the current puzzle
+     * Hints go from the ideas behind the move to the move itself. The ladder
+     * is kept per attempt and starts over whenever the position changes.
      */
     getHint() {
         if (!this.currentPuzzle) return null;
         
         // Get the expected move at the current position
         const expectedMoveIndex = this.moveHistory.length;
-        if (expectedMoveIndex >= this.currentPuzzle.moves.length) {
+        if (expectedMoveIndex >= this.activeLine.length) {
             return {
                 type: "info",
                 message: "You've completed all the moves for this puzzle!"
             };
         }
         
-        const expectedMove = this.currentPuzzle.moves[expectedMoveIndex];
+        const expectedMove = this.activeLine[expectedMoveIndex];
         const fromSquare = expectedMove.substring(0, 2);
         const toSquare = expectedMove.substring(2, 4);
+        const promotion = expectedMove.length > 4 ? expectedMove.substring(4) : null;
         
         // Check what piece is being moved
         const piece = this.chessEngine.get(fromSquare);
@@ -188,28 +896,52 @@ class PuzzleCore {
             };
         }
         
-        // Create hints of increasing specificity
+        // Conceptual clues first, then the piece, its area and the move
+        const clues = getMotifClues(this.chessEngine, this.activeLine.slice(expectedMoveIndex));
         const hints = [
+            ...clues.map(clue => ({
+                type: "motif",
+                motif: clue.motif,
+                message: clue.message,
+                highlightSquares: clue.annotations.filter(annotation => annotation.square).map(annotation => annotation.square),
+                annotations: clue.annotations
+            })),
             {
                 type: "vague",
                 message: `Look for a move with your ${this.getPieceName(piece.type)}.`,
-                highlightSquares: []
+                highlightSquares: [],
+                annotations: []
             },
             {
                 type: "moderate",
                 message: `Consider moving a piece from the ${this.getSquareDescription(fromSquare)} area.`,
-                highlightSquares: [fromSquare]
+                highlightSquares: [fromSquare],
+                annotations: [{ type: 'circle', square: fromSquare, color: 'green' }]
             },
             {
                 type: "specific",
-                message: `Try moving your ${this.getPieceName(piece.type)} from ${fromSquare} to ${toSquare}.`,
-                highlightSquares: [fromSquare, toSquare]
+                message: `Try moving your ${this.getPieceName(piece.type)} from ${fromSquare} to ${toSquare}` +
+                    (promotion ? ` and promoting to a ${this.getPieceName(promotion)}.` : '.'),
+                highlightSquares: [fromSquare, toSquare],
+                annotations: [{ type: 'arrow', from: fromSquare, to: toSquare, color: 'green' }]
             }
         ];
         
-        // Determine which hint level to show
-        const hintLevel = Math.min(this.currentPuzzle.hintCount || 0, 2);
-        this.currentPuzzle.hintCount = (this.currentPuzzle.hintCount || 0) + 1;
+        // Climb the ladder for this position, staying on the move once it is reached
+        let hintLevel = 0;
+        if (this.currentAttempt) {
+            const ladder = this.currentAttempt.hintLadder;
+            if (ladder.ply !== expectedMoveIndex) {
+                ladder.ply = expectedMoveIndex;
+                ladder.step = 0;
+            }
+            
+            hintLevel = Math.min(ladder.step, hints.length - 1);
+            ladder.step++;
+            this.currentAttempt.hintsUsed++;
+        }
+        
+        this.emit('hintShown', { puzzle: this.currentPuzzle, hint: hints[hintLevel] });
         
         return hints[hintLevel];
     }
@@ -260,6 +992,32 @@ class PuzzleCore {
         return area;
     }
     
+    /**
+     * Analyze the current position with the built-in engine
+     * @param {Object} options - Search options (depth, timeLimit)
+     * @returns {Object|null} Search result from MoveEvaluator
+     */
+    analyzePosition(options = {}) {
+        if (!this.currentPuzzle) return null;
+        
+        return this.moveEvaluator.search(options);
+    }
+    
+    /**
+     * Get the solution line being followed, in SAN
+     * @returns {Object} { moves: Array of SAN moves, text: numbered move list }
+     */
+    getSolutionSan() {
+        if (!this.currentPuzzle) return null;
+        
+        const sanMoves = lineToSan(new Chess(), this.currentPuzzle.fen, this.activeLine);
+        
+        return {
+            moves: sanMoves,
+            text: formatMoveList(this.currentPuzzle.fen, sanMoves)
+        };
+    }
+    
     /**
      * Get puzzle statistics
      */
@@ -313,12 +1071,15 @@ class PuzzleCore {
         return {
             objective: this.currentPuzzle.objective || "Find the best move",
             explanation: this.currentPuzzle.explanation || "No explanation available",
-            theme: this.currentPuzzle.theme || "General tactics"
+            theme: this.currentPuzzle.theme ? getThemeName(this.currentPuzzle.theme) : "General tactics"
         };
     }
 }
 
 // Export the PuzzleCore class
+export { PuzzleCore };
+
+// For backwards compatibility with CommonJS
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { PuzzleCore };
 }
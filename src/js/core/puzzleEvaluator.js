@@ -0,0 +1,520 @@
+/**
+ * Puzzle Evaluator
+ *
+ * Looks at a puzzle position together with the rest of its solution line to
+ * find the ideas behind it: pieces lined up for a pin or skewer, weak points
+ * defended only by the king, loose pieces, double attacks, checks and mates.
+ * Hints use these clues to point at a concept before giving the move away,
+ * and classifyPuzzle turns the whole line into a list of motif tags.
+ */
+
+import {
+    MATERIAL_VALUES,
+    squareToCoords,
+    coordsToSquare,
+    getPieces,
+    getAttackers,
+    getAttackedSquares,
+    getAttackedPieces,
+    isVulnerable,
+    getPieceName,
+    joinNames
+} from './boardAnalysis';
+import { normalizeTheme, normalizeThemes } from './constants';
+
+const COLOR_NAMES = { w: 'white', b: 'black' };
+
+// Pieces that attack along lines, with the lines they use
+const SLIDING_LINES = {
+    b: ['diagonal'],
+    r: ['rank', 'file'],
+    q: ['rank', 'file', 'diagonal']
+};
+
+/**
+ * Get the kind of line two squares share
+ * @returns {string|null} 'rank', 'file', 'diagonal' or null
+ */
+function getLineType(from, to) {
+    const [fromFile, fromRank] = squareToCoords(from);
+    const [toFile, toRank] = squareToCoords(to);
+    
+    if (from === to) return null;
+    if (fromRank === toRank) return 'rank';
+    if (fromFile === toFile) return 'file';
+    if (Math.abs(fromFile - toFile) === Math.abs(fromRank - toRank)) return 'diagonal';
+    
+    return null;
+}
+
+/**
+ * Find the first piece behind a square, looking away from a slider
+ * @param {Object} chess - chess.js instance
+ * @param {string} slider - Square of the sliding piece
+ * @param {string} square - Square of the first piece on the line
+ * @returns {Object|null} { square, type, color }
+ */
+function getPieceBehind(chess, slider, square) {
+    const [sliderFile, sliderRank] = squareToCoords(slider);
+    const [file, rank] = squareToCoords(square);
+    const df = Math.sign(file - sliderFile);
+    const dr = Math.sign(rank - sliderRank);
+    
+    let target = coordsToSquare(file + df, rank + dr);
+    while (target) {
+        const piece = chess.get(target);
+        if (piece) return { square: target, type: piece.type, color: piece.color };
+        
+        const [targetFile, targetRank] = squareToCoords(target);
+        target = coordsToSquare(targetFile + df, targetRank + dr);
+    }
+    
+    return null;
+}
+
+/**
+ * Order pieces as they are named in clues: king first, then by value
+ */
+function byImportance(a, b) {
+    return (b.type === 'k') - (a.type === 'k') || MATERIAL_VALUES[b.type] - MATERIAL_VALUES[a.type];
+}
+
+/**
+ * Play a UCI move on a chess.js instance
+ * @returns {Object|null} chess.js move object
+ */
+function playUci(chess, uci) {
+    return chess.move({
+        from: uci.substring(0, 2),
+        to: uci.substring(2, 4),
+        promotion: uci.length > 4 ? uci.substring(4) : undefined
+    });
+}
+
+/**
+ * Find pairs of enemy pieces lined up behind each other on lines a slider attacks
+ * @param {Object} chess - chess.js instance
+ * @param {string} square - Square of the sliding piece
+ * @returns {Array} Array of { front, back, lineType }
+ */
+function getLinedUpPieces(chess, square) {
+    const piece = chess.get(square);
+    const lines = piece ? SLIDING_LINES[piece.type] : null;
+    if (!lines) return [];
+    
+    return getAttackedPieces(chess, square)
+        .filter(front => lines.includes(getLineType(square, front.square)))
+        .map(front => ({
+            front: front,
+            back: getPieceBehind(chess, square, front.square),
+            lineType: getLineType(square, front.square)
+        }))
+        .filter(({ front, back }) => back && back.color === front.color);
+}
+
+/**
+ * Get the pieces a piece attacks that cannot simply be left hanging
+ * Same rule as for refutation forks: the king, loose pieces and anything worth more.
+ * @param {Object} chess - chess.js instance
+ * @param {string} square - Square of the attacking piece
+ * @returns {Array} Array of { square, type, color }
+ */
+function getThreatenedPieces(chess, square) {
+    const piece = chess.get(square);
+    if (!piece) return [];
+    
+    return getAttackedPieces(chess, square).filter(target =>
+        target.type === 'k' ||
+        isVulnerable(chess, target.square) ||
+        MATERIAL_VALUES[target.type] > MATERIAL_VALUES[piece.type]
+    );
+}
+
+/**
+ * Find two enemy pieces lined up behind each other on a line the slider attacks
+ * Must be called right after the slider moved.
+ * @returns {Object|null} Clue
+ */
+function findAlignment(chess, move) {
+    // Lined up pieces only matter when losing the front one hurts, or the back one is the king
+    const alignment = getLinedUpPieces(chess, move.to).find(({ front, back }) =>
+        back.type === 'k' || (front.type !== 'p' && back.type !== 'p')
+    );
+    if (!alignment) return null;
+    
+    const pair = [alignment.front, alignment.back].sort(byImportance);
+    
+    return {
+        motif: 'alignment',
+        message: `The ${COLOR_NAMES[alignment.front.color]} ${joinNames(pair.map(piece => getPieceName(piece.type)))} ` +
+            `are on the same ${alignment.lineType}.`,
+        annotations: pair.map(piece => ({ type: 'circle', square: piece.square, color: 'red' }))
+    };
+}
+
+/**
+ * Find an enemy piece the solver's move hits that only the king defends
+ * Checks the captured piece before the move and the pieces attacked after it.
+ * @param {Object} before - chess.js instance before the move
+ * @param {Object} after - chess.js instance after the move
+ * @param {Object} move - chess.js move object
+ * @returns {Object|null} Clue
+ */
+function findWeakPoint(before, after, move) {
+    const enemy = move.color === 'w' ? 'b' : 'w';
+    const defendedOnlyByKing = (chess, square) => {
+        const defenders = getAttackers(chess, square, enemy);
+        return defenders.length === 1 && defenders[0].type === 'k';
+    };
+    
+    let square = null;
+    if (move.captured && !move.flags.includes('e') && defendedOnlyByKing(before, move.to)) {
+        square = move.to;
+    } else {
+        const target = getAttackedPieces(after, move.to)
+            .filter(piece => piece.type !== 'k' && defendedOnlyByKing(after, piece.square))
+            .sort(byImportance)[0];
+        if (target) square = target.square;
+    }
+    
+    if (!square) return null;
+    
+    return {
+        motif: 'weakPoint',
+        message: `${square} is only defended by the king.`,
+        annotations: [{ type: 'circle', square: square, color: 'red' }]
+    };
+}
+
+/**
+ * Find an undefended piece the solver's move captures
+ * @param {Object} before - chess.js instance before the move
+ * @param {Object} move - chess.js move object
+ * @returns {Object|null} Clue
+ */
+function findLoosePiece(before, move) {
+    if (!move.captured || move.flags.includes('e')) return null;
+    
+    const enemy = move.color === 'w' ? 'b' : 'w';
+    if (getAttackers(before, move.to, enemy).length > 0) return null;
+    
+    return {
+        motif: 'loosePiece',
+        message: `The ${getPieceName(move.captured)} on ${move.to} is not defended.`,
+        annotations: [{ type: 'circle', square: move.to, color: 'red' }]
+    };
+}
+
+/**
+ * Find a double attack made by the solver's move
+ * Must be called right after the move was played.
+ * @returns {Object|null} Clue
+ */
+function findDoubleAttack(chess, move) {
+    if (getThreatenedPieces(chess, move.to).length < 2) return null;
+    
+    return {
+        motif: 'fork',
+        message: 'Look for a move that attacks two pieces at once.',
+        annotations: []
+    };
+}
+
+/**
+ * Count the solver's moves to mate if the line ends in checkmate
+ * @param {Object} chess - chess.js instance at the current position
+ * @param {Array} line - Remaining solution moves in UCI, solver first
+ * @returns {number|null} Moves to mate
+ */
+function getMateLength(chess, line) {
+    const board = new Chess(chess.fen());
+    
+    for (const uci of line) {
+        if (!playUci(board, uci)) return null;
+    }
+    
+    return board.in_checkmate() ? Math.ceil(line.length / 2) : null;
+}
+
+/**
+ * Find the clues behind the next solver move of a puzzle
+ * Clues are ordered from the most conceptual to the most concrete.
+ * @param {Object} chess - chess.js instance at the current position, solver to move
+ * @param {Array} line - Remaining solution moves in UCI, starting with the solver's move
+ * @returns {Array} Array of { motif, message, annotations }
+ */
+function getMotifClues(chess, line) {
+    if (!line || line.length === 0) return [];
+    
+    const before = new Chess(chess.fen());
+    const after = new Chess(chess.fen());
+    const move = playUci(after, line[0]);
+    if (!move) return [];
+    
+    const clues = [
+        findAlignment(after, move),
+        findWeakPoint(before, after, move),
+        findLoosePiece(before, move),
+        findDoubleAttack(after, move)
+    ];
+    
+    const mateLength = getMateLength(chess, line);
+    if (mateLength === 1) {
+        clues.push({ motif: 'mate', message: 'There is a checkmate in one move.', annotations: [] });
+    } else if (mateLength) {
+        clues.push({ motif: 'mate', message: `There is a forced checkmate in ${mateLength} moves.`, annotations: [] });
+    }
+    
+    if (after.in_check() && !mateLength) {
+        clues.push({ motif: 'check', message: 'Look for a check.', annotations: [] });
+    }
+    
+    if (move.captured && !clues.some(clue => clue && clue.motif === 'loosePiece')) {
+        clues.push({ motif: 'capture', message: 'Look for a capture.', annotations: [] });
+    }
+    
+    return clues.filter(clue => !!clue);
+}
+
+/**
+ * Get the color that solves a puzzle ('w' or 'b')
+ * Follows the same rule as PuzzleCore: the orientation, unless the opponent moves first.
+ */
+function getSolverColor(puzzle) {
+    const sideToMove = puzzle.fen.split(' ')[1];
+    const opponent = sideToMove === 'w' ? 'b' : 'w';
+    
+    if (typeof puzzle.opponentMovesFirst === 'boolean') {
+        return puzzle.opponentMovesFirst ? opponent : sideToMove;
+    }
+    
+    return puzzle.orientation ? puzzle.orientation.charAt(0) : sideToMove;
+}
+
+/**
+ * Play a solution line and keep the position around every move
+ * @returns {Array|null} Array of { move, before, after } chess.js instances, or null if a move is illegal
+ */
+function playLine(fen, line) {
+    const board = new Chess(fen);
+    const plies = [];
+    
+    for (const uci of line) {
+        const before = new Chess(board.fen());
+        const move = playUci(board, uci);
+        if (!move) return null;
+        
+        plies.push({ move: move, before: before, after: new Chess(board.fen()) });
+    }
+    
+    return plies;
+}
+
+/**
+ * Check whether a ply lands on a square, capturing or not
+ */
+function landsOn(ply, square) {
+    return !!ply && ply.move.to === square;
+}
+
+/**
+ * Check whether a solver move gains something: mate, or a capture that is
+ * not simply traded back
+ * @param {Object} ply - The solver's move
+ * @param {Object} recapture - The opponent's next move (may be undefined)
+ */
+function gainsMaterial(ply, recapture) {
+    if (ply.after.in_checkmate()) return true;
+    if (!ply.move.captured) return false;
+    if (!recapture || !landsOn(recapture, ply.move.to)) return true;
+    
+    return MATERIAL_VALUES[ply.move.captured] > MATERIAL_VALUES[ply.move.piece];
+}
+
+/**
+ * Detect the motifs of one solver move
+ * @param {Object} ply - The solver's move with the positions around it
+ * @param {Object} reply - The opponent's answer (may be undefined)
+ * @param {Object} followUp - The solver's next move (may be undefined)
+ * @param {Object} recapture - The opponent's answer to the follow-up (may be undefined)
+ * @param {Array} laterPlies - Every solver move after this one
+ * @returns {Array} Motif tags
+ */
+function classifyMove(ply, reply, followUp, recapture, laterPlies) {
+    const { move, before, after } = ply;
+    const enemy = move.color === 'w' ? 'b' : 'w';
+    const tags = [];
+    
+    if (move.promotion && move.promotion !== 'q') {
+        tags.push('underPromotion');
+    }
+    
+    // A double attack that wins one of its targets
+    const threatened = getThreatenedPieces(after, move.to);
+    if (threatened.length >= 2 && followUp && gainsMaterial(followUp, recapture) &&
+        threatened.some(target => target.square === followUp.move.to)) {
+        tags.push('fork');
+    }
+    
+    // Pieces lined up on the slider's line: a pin holds the cheaper piece in front,
+    // a skewer forces the more valuable one aside and takes the piece behind it
+    getLinedUpPieces(after, move.to).forEach(({ front, back }) => {
+        const frontValue = front.type === 'k' ? Infinity : MATERIAL_VALUES[front.type];
+        const backValue = back.type === 'k' ? Infinity : MATERIAL_VALUES[back.type];
+        
+        if (frontValue < backValue) {
+            const winsPinnedPiece = laterPlies.some(later => later.move.captured && landsOn(later, front.square));
+            const pinsToKingOrQueen = laterPlies.length === 0 && (back.type === 'k' || back.type === 'q');
+            if (winsPinnedPiece || pinsToKingOrQueen) tags.push('pin');
+        } else if (frontValue > backValue && laterPlies.some(later => later.move.captured && landsOn(later, back.square))) {
+            tags.push('skewer');
+        }
+    });
+    
+    // Moving a piece off a line opens an attack by the piece behind it
+    if (!move.flags.includes('k') && !move.flags.includes('q')) {
+        const discovered = getAttackers(after, move.from, move.color)
+            .filter(slider => slider.square !== move.to && SLIDING_LINES[slider.type])
+            .some(slider => {
+                const targetsBefore = getThreatenedPieces(before, slider.square).map(target => target.square);
+                return getThreatenedPieces(after, slider.square).some(target => !targetsBefore.includes(target.square));
+            });
+        if (discovered) tags.push('discoveredAttack');
+    }
+    
+    if (after.in_check()) {
+        const kingSquare = getPieces(after).find(piece => piece.type === 'k' && piece.color === enemy).square;
+        if (getAttackers(after, kingSquare, move.color).length >= 2) {
+            tags.push('doubleCheck');
+        }
+    }
+    
+    // A piece given up for less, taken straight away
+    const isSacrifice = !!reply && reply.move.captured && landsOn(reply, move.to) &&
+        MATERIAL_VALUES[move.piece] > (move.captured ? MATERIAL_VALUES[move.captured] : 0);
+    if (isSacrifice) {
+        tags.push('sacrifice');
+        
+        // The capturing piece was lured onto a square where it gets hit
+        const luredSquare = reply.move.to;
+        if (followUp && (followUp.after.in_check() && reply.move.piece === 'k' ||
+            getAttackedSquares(followUp.after, followUp.move.to).includes(luredSquare))) {
+            tags.push('attraction');
+        }
+    }
+    
+    if (reply && followUp && gainsMaterial(followUp, recapture)) {
+        // The reply moved a defender away from the square the solver plays to next
+        const target = followUp.move.to;
+        const defendedBefore = getAttackedSquares(after, reply.move.from).includes(target);
+        const defendsAfter = getAttackedSquares(reply.after, reply.move.to).includes(target);
+        const wasForced = reply.move.captured || after.in_check() ||
+            getAttackedSquares(after, move.to).includes(reply.move.from);
+        if (defendedBefore && !defendsAfter && wasForced && target !== reply.move.to) {
+            tags.push('deflection');
+        }
+        
+        // The solver captured the piece that guarded the square played to next
+        if (move.captured && target !== move.to && getAttackedSquares(before, move.to).includes(target)) {
+            tags.push('capturingDefender');
+        }
+    }
+    
+    return tags;
+}
+
+/**
+ * Name the mating pattern of a finished line
+ * @param {Object} ply - The mating move with the positions around it
+ * @returns {Array} Motif tags
+ */
+function classifyMate(ply) {
+    const { move, after } = ply;
+    const enemy = move.color === 'w' ? 'b' : 'w';
+    const kingSquare = getPieces(after).find(piece => piece.type === 'k' && piece.color === enemy).square;
+    const [kingFile, kingRank] = squareToCoords(kingSquare);
+    const tags = [];
+    
+    const neighbours = getAttackedSquares(after, kingSquare);
+    const blockedByOwnPiece = square => {
+        const piece = after.get(square);
+        return !!piece && piece.color === enemy;
+    };
+    
+    if (move.piece === 'n' && neighbours.every(blockedByOwnPiece)) {
+        tags.push('smotheredMate');
+    }
+    
+    // Mated along the back rank with the squares in front of the king shut
+    const backRank = enemy === 'w' ? 0 : 7;
+    const forward = enemy === 'w' ? 1 : -1;
+    const [, mateRank] = squareToCoords(move.to);
+    if (kingRank === backRank && mateRank === backRank && (move.piece === 'r' || move.piece === 'q')) {
+        const escapeSquares = [-1, 0, 1]
+            .map(df => coordsToSquare(kingFile + df, kingRank + forward))
+            .filter(square => !!square);
+        const shut = escapeSquares.every(square =>
+            blockedByOwnPiece(square) || getAttackers(after, square, move.color).length > 0
+        );
+        if (shut) tags.push('backRankMate');
+    }
+    
+    return tags;
+}
+
+/**
+ * Detect the tactical motifs of a puzzle from its solution line
+ * @param {Object} puzzle - Puzzle with fen and UCI moves
+ * @returns {Array} Theme IDs from the theme registry, e.g. ['sacrifice', 'attraction', 'mate', 'mateIn2']
+ */
+function classifyPuzzle(puzzle) {
+    if (!puzzle || !puzzle.fen || !puzzle.moves || puzzle.moves.length === 0) return [];
+    
+    const plies = playLine(puzzle.fen, puzzle.moves);
+    if (!plies) return [];
+    
+    const solver = getSolverColor(puzzle);
+    const tags = [];
+    
+    plies.forEach((ply, index) => {
+        if (ply.move.color !== solver) return;
+        
+        const laterPlies = plies.slice(index + 1).filter(later => later.move.color === solver);
+        tags.push(...classifyMove(ply, plies[index + 1], plies[index + 2], plies[index + 3], laterPlies));
+    });
+    
+    const lastPly = plies[plies.length - 1];
+    if (lastPly.move.color === solver && lastPly.after.in_checkmate()) {
+        const solverMoves = plies.filter(ply => ply.move.color === solver).length;
+        tags.push(...classifyMate(lastPly), 'mate', `mateIn${Math.min(solverMoves, 5)}`);
+    }
+    
+    return tags.filter((tag, index) => tags.indexOf(tag) === index);
+}
+
+/**
+ * Get the tags to file a puzzle under
+ * Tags already on the puzzle are kept; otherwise the detected motifs are used,
+ * falling back to the hand-written theme when nothing is detected.
+ * @param {Object} puzzle - Puzzle with fen, UCI moves and optional theme
+ * @returns {Array} Tags
+ */
+function getPuzzleTags(puzzle) {
+    if (Array.isArray(puzzle.tags) && puzzle.tags.length > 0) return normalizeThemes(puzzle.tags);
+    
+    const tags = classifyPuzzle(puzzle);
+    return tags.length > 0 ? tags : [normalizeTheme(puzzle.theme || 'general')];
+}
+
+// Export the puzzle evaluation helpers
+export { getLineType, getMotifClues, classifyPuzzle, getPuzzleTags };
+
+// For backwards compatibility with CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getLineType,
+        getMotifClues,
+        classifyPuzzle,
+        getPuzzleTags
+    };
+}
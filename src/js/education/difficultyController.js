@@ -0,0 +1,121 @@
+/**
+ * Adaptive Difficulty Controller
+ *
+ * Picks the puzzle rating to aim for in adaptive mode. The starting point is
+ * the rating a user should beat at the target success rate; recent results
+ * then shift it, easing off during a losing streak and pushing harder while
+ * the user solves everything.
+ */
+
+import { ratingDifferenceForScore } from '../core/glicko2';
+
+class DifficultyController {
+    /**
+     * @param {Object} options - {
+     *     targetSuccessRate: share of puzzles the user should solve (default 0.7),
+     *     historySize: number of recent results considered (default 10),
+     *     gain: rating shift per unit of success rate error (default 500),
+     *     maxShift: largest shift either way (default 300),
+     *     windowSize: puzzles within this many points of the target qualify (default 100)
+     * }
+     */
+    constructor(options = {}) {
+        this.options = {
+            targetSuccessRate: 0.7,
+            historySize: 10,
+            gain: 500,
+            maxShift: 300,
+            windowSize: 100,
+            ...options
+        };
+        
+        // Most recent results last, true for a solve
+        this.recentResults = [];
+    }
+    
+    /**
+     * Record the result of a puzzle
+     * @param {boolean} success - Whether the puzzle was solved
+     */
+    recordResult(success) {
+        this.recentResults.push(!!success);
+        if (this.recentResults.length > this.options.historySize) {
+            this.recentResults.shift();
+        }
+    }
+    
+    /**
+     * Get the success rate over the recent results
+     * @returns {number|null} Rate between 0 and 1, or null without results
+     */
+    getRecentSuccessRate() {
+        if (this.recentResults.length === 0) return null;
+        
+        const solved = this.recentResults.filter(success => success).length;
+        return solved / this.recentResults.length;
+    }
+    
+    /**
+     * Get the shift away from the base target caused by recent results
+     * Positive means harder puzzles. Few results count for less, so one
+     * early failure does not swing the difficulty.
+     */
+    getShift() {
+        const successRate = this.getRecentSuccessRate();
+        if (successRate === null) return 0;
+        
+        const weight = this.recentResults.length / this.options.historySize;
+        const shift = (successRate - this.options.targetSuccessRate) * this.options.gain * weight;
+        
+        return Math.max(-this.options.maxShift, Math.min(this.options.maxShift, shift));
+    }
+    
+    /**
+     * Get the range of puzzle ratings to pick from
+     * @param {number} userRating - The user's rating
+     * @returns {Object} { target, min, max }
+     */
+    getRatingWindow(userRating) {
+        const baseTarget = userRating - ratingDifferenceForScore(this.options.targetSuccessRate);
+        const target = Math.round(baseTarget + this.getShift());
+        
+        return {
+            target: target,
+            min: target - this.options.windowSize,
+            max: target + this.options.windowSize
+        };
+    }
+    
+    /**
+     * Export the controller state
+     */
+    exportState() {
+        return JSON.stringify({ recentResults: this.recentResults });
+    }
+    
+    /**
+     * Import a state saved by exportState
+     * @param {string} stateJson - Saved state
+     * @returns {boolean} Success status
+     */
+    importState(stateJson) {
+        try {
+            const state = JSON.parse(stateJson);
+            if (state && Array.isArray(state.recentResults)) {
+                this.recentResults = state.recentResults.slice(-this.options.historySize);
+                return true;
+            }
+            return false;
+        } catch (e) {
+            console.error("Error importing difficulty state:", e);
+            return false;
+        }
+    }
+}
+
+export { DifficultyController };
+
+// For backwards compatibility with CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DifficultyController };
+}
@@ -2,13 +2,14 @@
 // It generates chess puzzles dynamically
 
 const { Chess } = require('chess.js');
+const { normalizeLine } = require('../core/moveNotation');
 
 // Mock database of chess positions and tactics
 const tacticalPositions = [
     {
         fen: 'r1bqkb1r/pppp1ppp/2n5/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq - 4 4',
         tactic: 'fork',
-        sequence: ['d2d4', 'e5d4', 'e4e5'],
+        sequence: ['d4', 'exd4', 'e5'],
         difficulty: 'easy'
     },
     {
@@ -48,7 +49,7 @@ function generateRandomPuzzle(requestedDifficulty = 'medium') {
         fen: basePosition.fen,
         difficulty: basePosition.difficulty.charAt(0).toUpperCase() + basePosition.difficulty.slice(1),
         objective: `Find the best move (${basePosition.tactic} tactic)`,
-        moves: [...basePosition.sequence], // Make a copy to avoid modifying the original
+        moves: normalizeLine(new Chess(), basePosition.fen, basePosition.sequence), // SAN or UCI, normalized to UCI
         orientation: basePosition.fen.includes(' w ') ? 'white' : 'black',
         explanation: `This is a ${basePosition.tactic} tactic that gains material or improves position.`
     };
@@ -0,0 +1,111 @@
+/**
+ * Placement Test
+ *
+ * A short adaptive sequence of puzzles that estimates a new user's rating.
+ * Each puzzle is picked close to the current estimate; a solve moves the
+ * estimate up and a failure moves it down by a step that halves every time,
+ * like a binary search over the rating range. Themes rotate so the results
+ * also give first readings for several themes and categories.
+ */
+
+import { normalizeTheme } from '../core/constants';
+
+class PlacementTest {
+    /**
+     * @param {Array} puzzles - Puzzles to choose from, each with an ID, theme and rating
+     * @param {Object} options - {
+     *     length: number of puzzles (default 12),
+     *     poolShare: share of the pool the test may use, so puzzles are left for play (default 0.5),
+     *     startRating: first estimate (default 1500),
+     *     initialStep: first move of the estimate (default 400),
+     *     minStep: smallest move of the estimate (default 25)
+     * }
+     */
+    constructor(puzzles, options = {}) {
+        this.options = {
+            length: 12,
+            poolShare: 0.5,
+            startRating: 1500,
+            initialStep: 400,
+            minStep: 25,
+            ...options
+        };
+        
+        this.puzzles = (puzzles || []).filter(puzzle => puzzle && puzzle.id);
+        this.length = Math.min(this.options.length, Math.floor(this.puzzles.length * this.options.poolShare));
+        this.estimate = this.options.startRating;
+        this.step = this.options.initialStep;
+        
+        // { puzzle, correct } for every puzzle played
+        this.results = [];
+        this.currentPuzzle = null;
+    }
+    
+    /**
+     * Check whether every puzzle of the test has been played
+     */
+    isFinished() {
+        return this.results.length >= this.length;
+    }
+    
+    /**
+     * Get the progress through the test
+     * @returns {Object} { played, total }
+     */
+    getProgress() {
+        return { played: this.results.length, total: this.length };
+    }
+    
+    /**
+     * Pick the next puzzle
+     * Prefers themes not yet played, then the rating closest to the estimate.
+     * @returns {Object|null} The puzzle, or null once the test is finished
+     */
+    nextPuzzle() {
+        if (this.isFinished()) return null;
+        
+        const played = this.results.map(result => result.puzzle.id);
+        const playedThemes = this.results.map(result => normalizeTheme(result.puzzle.theme));
+        
+        const remaining = this.puzzles.filter(puzzle => !played.includes(puzzle.id));
+        const fresh = remaining.filter(puzzle => !playedThemes.includes(normalizeTheme(puzzle.theme)));
+        const candidates = fresh.length > 0 ? fresh : remaining;
+        
+        const distance = puzzle => Math.abs((puzzle.rating || 1500) - this.estimate);
+        this.currentPuzzle = candidates.reduce((best, puzzle) =>
+            distance(puzzle) < distance(best) ? puzzle : best);
+        
+        return this.currentPuzzle;
+    }
+    
+    /**
+     * Record the result of the current puzzle and move the estimate
+     * @param {boolean} correct - Whether the puzzle was solved
+     * @returns {boolean} Whether the test is now finished
+     */
+    recordResult(correct) {
+        if (!this.currentPuzzle || this.isFinished()) return this.isFinished();
+        
+        this.results.push({ puzzle: this.currentPuzzle, correct: !!correct });
+        this.currentPuzzle = null;
+        
+        this.estimate += correct ? this.step : -this.step;
+        this.step = Math.max(this.options.minStep, this.step / 2);
+        
+        return this.isFinished();
+    }
+    
+    /**
+     * Get the estimated rating
+     */
+    getEstimate() {
+        return Math.round(this.estimate);
+    }
+}
+
+export { PlacementTest };
+
+// For backwards compatibility with CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PlacementTest };
+}
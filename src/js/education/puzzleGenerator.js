@@ -5,36 +5,72 @@
  * to help users improve their chess skills systematically.
  */
 
-class PuzzleGenerator {
+import { PuzzleTraps } from '../puzzleTraps';
+import { normalizePuzzleMoves } from '../core/moveNotation';
+import { GameValidator } from '../core/gameValidator';
+import { getPuzzleTags } from '../core/puzzleEvaluator';
+import { THEMES, normalizeTheme, getThemeName } from '../core/constants';
+import { DEFAULT_DEVIATION, DEFAULT_VOLATILITY } from '../core/glicko2';
+import { EventEmitter } from '../core/eventEmitter';
+import { parseLichessCsv, readLichessFile } from '../core/lichessPuzzles';
+import { parsePgnCollection } from '../core/pgnPuzzles';
+
+const DIFFICULTIES = ["easy", "medium", "hard", "expert"];
+
+// Puzzles considered when none is rated inside the target window
+const CLOSEST_PUZZLE_COUNT = 3;
+
+// Starting puzzle rating for each difficulty
+const DIFFICULTY_RATINGS = {
+    "easy": 1000,
+    "medium": 1500,
+    "hard": 2000,
+    "expert": 2500
+};
+
+// Expected solving time in seconds for each difficulty
+const EXPECTED_TIMES = {
+    "easy": 30,
+    "medium": 60,
+    "hard": 90,
+    "expert": 90
+};
+
+class PuzzleGenerator extends EventEmitter {
     constructor(options = {}) {
+        super();
+        
         this.options = {
             includeTraps: true,           // Whether to include trap puzzles
             trapFrequency: 0.3,           // How often to include traps (0-1)
             useLichessApi: false,         // Whether to use Lichess API for puzzles
-            usePgnDatabase: true,         // Whether to use local PGN database
+            usePgnDatabase: true,         // Whether to load the imported PGN collections
             lichessApiKey: null,          // Lichess API key (if used)
+            historyProvider: null,        // Source of seen and due puzzle IDs, see setHistoryProvider
             ...options
         };
         
+        this.historyProvider = this.options.historyProvider;
+        
         this.traps = new PuzzleTraps(); // Initialize the traps system
+        this.validator = new GameValidator(); // Rejects broken puzzle definitions
+        this.validationResults = [];
         
-        // Local puzzle database categorized by themes and difficulty
-        this.puzzleDatabase = {
-            "pins": {
-                "easy": [],
-                "medium": [],
-                "hard": [],
-                "expert": []
-            },
-            "forks": {
-                "easy": [],
-                "medium": [],
-                "hard": [],
-                "expert": []
-            },
-            // Other tactical themes would be populated here
-            // This is just a stub that would be filled with real puzzles
-        };
+        // Local puzzle database with a bucket per registry theme and difficulty
+        this.puzzleDatabase = {};
+        THEMES.forEach(theme => this.createThemeBucket(theme.id));
+        
+        // Every stored puzzle by ID; the theme buckets share these objects
+        this.puzzlesById = {};
+        
+        // Puzzles added by importPuzzles, kept so they can be saved
+        this.importedPuzzles = [];
+        
+        // Puzzles whose rating has moved from its default, the only ones worth saving
+        this.ratedPuzzleIds = new Set();
+        
+        // PGN texts added by importPgnCollection, saved as text instead of puzzles
+        this.pgnCollections = [];
         
         // Initialize the database with some sample puzzles
         this.initializePuzzleDatabase();
@@ -48,25 +84,25 @@ class PuzzleGenerator {
         // This is just for demonstration purposes
         
         // Sample pin puzzles
-        this.puzzleDatabase["pins"]["easy"].push({
+        this.addPuzzle({
             id: "pin-easy-1",
-            fen: "r1bqkbnr/ppp2ppp/2np4/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq - 0 4",
-            moves: ["c4f7", "e8f7", "d1f3", "f7e8", "f3f7"],
-            theme: "pins",
+            fen: "4k3/8/8/4n3/8/8/5PPP/4R1K1 w - - 0 1",
+            moves: ["f2f4", "e8d7", "f4e5"],
+            theme: "pin",
             category: "tactics",
             difficulty: "easy",
             objective: "Find the pin that leads to material gain",
-            explanation: "The bishop pins the f7 pawn to the king, winning material after the queen check.",
+            explanation: "The rook pins the knight to the king, so the pawn can attack it and win it.",
             orientation: "white",
             expectedTime: 30 // seconds
         });
         
         // Sample fork puzzles
-        this.puzzleDatabase["forks"]["medium"].push({
+        this.addPuzzle({
             id: "fork-medium-1",
             fen: "r1bqkb1r/pppp1ppp/2n2n2/4p3/4P3/2N2N2/PPPP1PPP/R1BQKB1R w KQkq - 4 4",
-            moves: ["f3e5", "d7d6", "e5c6", "b7c6"],
-            theme: "forks",
+            moves: ["Nxe5", "d6", "Nxc6", "bxc6"],
+            theme: "fork",
             category: "tactics",
             difficulty: "medium",
             objective: "Find the knight fork",
@@ -75,59 +111,616 @@ class PuzzleGenerator {
             expectedTime: 45
         });
         
+        // Sample skewer puzzles
+        this.addPuzzle({
+            id: "skewer-easy-1",
+            fen: "6q1/8/8/3k4/8/1P6/4B3/7K w - - 0 1",
+            moves: ["Bc4+", "Ke5", "Bxg8"],
+            theme: "skewer",
+            category: "tactics",
+            difficulty: "easy",
+            objective: "Win the queen",
+            explanation: "Bc4+ checks along the diagonal. Once the king steps aside, the bishop takes the queen behind it.",
+            orientation: "white",
+            expectedTime: 30
+        });
+        
+        // Sample discovered attack puzzles
+        this.addPuzzle({
+            id: "discovered-easy-1",
+            fen: "4q1k1/8/8/8/4N3/8/8/4R1K1 w - - 0 1",
+            moves: ["Nf6+", "Kg7", "Rxe8"],
+            theme: "discoveredAttack",
+            category: "tactics",
+            difficulty: "easy",
+            objective: "Win the queen",
+            explanation: "The knight moves with check and uncovers the rook, which takes the queen on e8.",
+            orientation: "white",
+            expectedTime: 30
+        });
+        
+        // Sample deflection, decoy and removing the defender puzzles
+        this.addPuzzle({
+            id: "deflection-medium-1",
+            fen: "5rk1/5ppp/5n2/8/4P3/3B3Q/8/6K1 w - - 0 1",
+            moves: ["e5", "Nd5", "Qxh7#"],
+            theme: "deflection",
+            category: "tactics",
+            difficulty: "medium",
+            objective: "Checkmate in two",
+            explanation: "e5 chases the knight away from f6, where it guarded h7. Qxh7 is then mate.",
+            orientation: "white",
+            expectedTime: 45
+        });
+        
+        this.addPuzzle({
+            id: "defender-medium-1",
+            fen: "5rk1/5ppp/5n2/7Q/8/3B4/8/5RK1 w - - 0 1",
+            moves: ["Rxf6", "gxf6", "Qxh7#"],
+            theme: "capturingDefender",
+            category: "tactics",
+            difficulty: "medium",
+            objective: "Checkmate in two",
+            explanation: "The knight on f6 is the only defender of h7. Give up the rook for it and mate on h7.",
+            orientation: "white",
+            expectedTime: 45
+        });
+        
+        this.addPuzzle({
+            id: "decoy-medium-1",
+            fen: "6k1/6pp/8/2N1q3/8/8/P5PP/5RK1 w - - 0 1",
+            moves: ["Rf8+", "Kxf8", "Nd7+", "Ke7", "Nxe5"],
+            theme: "attraction",
+            category: "tactics",
+            difficulty: "medium",
+            objective: "Win the queen",
+            explanation: "The rook sacrifice draws the king to f8, where Nd7+ forks it with the queen.",
+            orientation: "white",
+            expectedTime: 45
+        });
+        
+        // Sample mating pattern puzzles
+        this.addPuzzle({
+            id: "back-rank-easy-1",
+            fen: "6k1/5ppp/8/8/8/8/5PPP/R5K1 w - - 0 1",
+            moves: ["Ra8#"],
+            theme: "backRankMate",
+            category: "tactics",
+            difficulty: "easy",
+            objective: "Checkmate in one",
+            explanation: "The black king is shut in by its own pawns, so a rook check on the back rank is mate.",
+            orientation: "white",
+            expectedTime: 20
+        });
+        
+        this.addPuzzle({
+            id: "smothered-easy-1",
+            fen: "6rk/6pp/7N/8/8/8/8/6K1 w - - 0 1",
+            moves: ["Nf7#"],
+            theme: "smotheredMate",
+            category: "tactics",
+            difficulty: "easy",
+            objective: "Checkmate in one",
+            explanation: "The king is surrounded by its own pieces, and a knight check cannot be blocked.",
+            orientation: "white",
+            expectedTime: 20
+        });
+        
+        // Sample underpromotion puzzles
+        this.addPuzzle({
+            id: "underpromotion-medium-1",
+            fen: "8/2q1P1k1/8/8/8/8/8/K7 w - - 0 1",
+            moves: ["e8=N+", "Kf7", "Nxc7"],
+            theme: "underPromotion",
+            category: "tactics",
+            difficulty: "medium",
+            objective: "Promote to win the queen",
+            explanation: "Promoting to a knight gives check and forks the king and queen. A new queen would only trade itself off.",
+            orientation: "white",
+            expectedTime: 45
+        });
+        
+        this.addPuzzle({
+            id: "underpromotion-hard-1",
+            fen: "8/k1P5/2K5/8/8/8/8/8 w - - 0 1",
+            moves: ["c8=R", "Ka6", "Ra8#"],
+            theme: "underPromotion",
+            category: "endgame",
+            difficulty: "hard",
+            objective: "Promote and checkmate without stalemating",
+            explanation: "c8=Q leaves the black king with no moves but not in check - stalemate. The rook covers the back rank while leaving a6 free, then mates on a8.",
+            orientation: "white",
+            expectedTime: 60
+        });
+        
         // Additional puzzles would be added for each theme and difficulty level
     }
     
+    /**
+     * Create the empty difficulty lists for a theme
+     * @param {string} theme - Theme ID
+     */
+    createThemeBucket(theme) {
+        if (this.puzzleDatabase[theme]) return;
+        
+        this.puzzleDatabase[theme] = {};
+        DIFFICULTIES.forEach(difficulty => {
+            this.puzzleDatabase[theme][difficulty] = [];
+        });
+    }
+    
+    /**
+     * Get the themes that have at least one puzzle
+     * @returns {Array} Theme IDs
+     */
+    getAvailableThemes() {
+        return Object.keys(this.puzzleDatabase).filter(theme =>
+            Object.values(this.puzzleDatabase[theme]).some(puzzles => puzzles.length > 0)
+        );
+    }
+    
+    /**
+     * Add a puzzle to the database under its theme and difficulty
+     * Moves may be written in SAN or UCI and are normalized to UCI.
+     * Puzzles that fail validation are rejected; the others are tagged with
+     * the motifs found in their solution line and filed under every tag.
+     * Puzzles without a Glicko-2 rating start from their difficulty.
+     * @param {Object} puzzle - The puzzle definition
+     * @returns {Object|null} The normalized puzzle, or null if it was rejected
+     */
+    addPuzzle(puzzle) {
+        const normalized = normalizePuzzleMoves(new Chess(), puzzle);
+        
+        const validation = this.validator.validatePuzzle(normalized);
+        this.validationResults.push(validation);
+        
+        // Rejections are reported through getValidationReport
+        if (!validation.valid) return null;
+        
+        normalized.theme = normalizeTheme(normalized.theme || 'general');
+        normalized.tags = getPuzzleTags(normalized);
+        
+        const difficulty = normalized.difficulty || 'medium';
+        normalized.rating = normalized.rating || DIFFICULTY_RATINGS[difficulty] || 1500;
+        normalized.ratingDeviation = normalized.ratingDeviation || DEFAULT_DEVIATION;
+        normalized.ratingVolatility = normalized.ratingVolatility || DEFAULT_VOLATILITY;
+        
+        if (normalized.id) {
+            this.puzzlesById[normalized.id] = normalized;
+        }
+        
+        [normalized.theme, ...normalized.tags]
+            .filter((theme, index, themes) => themes.indexOf(theme) === index)
+            .forEach(theme => {
+                this.createThemeBucket(theme);
+                if (!this.puzzleDatabase[theme][difficulty]) {
+                    this.puzzleDatabase[theme][difficulty] = [];
+                }
+                this.puzzleDatabase[theme][difficulty].push(normalized);
+            });
+        
+        return normalized;
+    }
+    
+    /**
+     * Get every stored puzzle
+     * @returns {Array} Puzzles, shared with the database
+     */
+    getAllPuzzles() {
+        return Object.values(this.puzzlesById);
+    }
+    
+    /**
+     * Get a copy of a stored puzzle
+     * @param {string} puzzleId - Puzzle ID
+     * @returns {Object|null} The puzzle
+     */
+    getPuzzleById(puzzleId) {
+        const puzzle = this.puzzlesById[puzzleId];
+        return puzzle ? JSON.parse(JSON.stringify(puzzle)) : null;
+    }
+    
+    /**
+     * Store a puzzle's new Glicko-2 rating after an attempt
+     * @param {string} puzzleId - Puzzle ID
+     * @param {Object} rating - { rating, deviation, volatility }
+     * @returns {boolean} Whether the puzzle is in the database
+     */
+    setPuzzleRating(puzzleId, rating) {
+        const puzzle = this.puzzlesById[puzzleId];
+        if (!puzzle || !rating) return false;
+        
+        puzzle.rating = Math.round(rating.rating);
+        puzzle.ratingDeviation = Math.round(rating.deviation);
+        puzzle.ratingVolatility = rating.volatility;
+        this.ratedPuzzleIds.add(puzzleId);
+        
+        return true;
+    }
+    
+    /**
+     * Export the ratings of every puzzle that has been rated
+     * @returns {string} JSON keyed by puzzle ID
+     */
+    exportPuzzleRatings() {
+        const ratings = {};
+        
+        this.ratedPuzzleIds.forEach(puzzleId => {
+            const puzzle = this.puzzlesById[puzzleId];
+            ratings[puzzleId] = {
+                rating: puzzle.rating,
+                deviation: puzzle.ratingDeviation,
+                volatility: puzzle.ratingVolatility
+            };
+        });
+        
+        return JSON.stringify(ratings);
+    }
+    
+    /**
+     * Import puzzle ratings saved by exportPuzzleRatings
+     * Ratings of puzzles no longer in the database are ignored.
+     * @param {string} ratingsJson - JSON keyed by puzzle ID
+     * @returns {boolean} Success status
+     */
+    importPuzzleRatings(ratingsJson) {
+        try {
+            const ratings = JSON.parse(ratingsJson);
+            Object.entries(ratings).forEach(([puzzleId, rating]) => {
+                this.setPuzzleRating(puzzleId, rating);
+            });
+            return true;
+        } catch (e) {
+            console.error("Error importing puzzle ratings:", e);
+            return false;
+        }
+    }
+    
+    /**
+     * Add puzzles from an outside source, such as the Lichess dump
+     * Puzzles without a difficulty get the one closest to their rating.
+     * Puzzles already in the database are left alone.
+     * @param {Array} puzzles - Puzzle definitions
+     * @param {boolean} save - Whether exportImportedPuzzles should include the puzzles
+     * @returns {Object} { imported, rejected, duplicates } where imported lists the stored puzzles
+     */
+    importPuzzles(puzzles, save = true) {
+        const result = { imported: [], rejected: 0, duplicates: 0 };
+        
+        (puzzles || []).forEach(puzzle => {
+            if (puzzle.id && this.puzzlesById[puzzle.id]) {
+                result.duplicates++;
+                return;
+            }
+            
+            const difficulty = puzzle.difficulty || this.getDifficultyForRating(puzzle.rating || 1500);
+            const added = this.addPuzzle({
+                expectedTime: EXPECTED_TIMES[difficulty],
+                ...puzzle,
+                difficulty: difficulty
+            });
+            
+            if (added) {
+                if (save) {
+                    this.importedPuzzles.push(added);
+                }
+                result.imported.push(added);
+            } else {
+                result.rejected++;
+            }
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Import puzzles from Lichess puzzle CSV text
+     * @param {string} csvText - Lines of the Lichess puzzle dump
+     * @param {Object} options - Filters and limit, see parseLichessCsv
+     * @returns {Object} { imported, rejected, duplicates, skipped }
+     */
+    importLichessCsv(csvText, options = {}) {
+        const parsed = parseLichessCsv(csvText, options);
+        return { ...this.importPuzzles(parsed.puzzles), skipped: parsed.skipped };
+    }
+    
+    /**
+     * Import puzzles from a local copy of the Lichess puzzle dump
+     * @param {Blob} file - Decompressed CSV file
+     * @param {Object} options - Filters and limit, see parseLichessCsv
+     * @returns {Promise<Object>} { imported, rejected, duplicates, skipped }
+     */
+    async importLichessFile(file, options = {}) {
+        const parsed = await readLichessFile(file, options);
+        return { ...this.importPuzzles(parsed.puzzles), skipped: parsed.skipped };
+    }
+    
+    /**
+     * Import a PGN puzzle collection
+     * The collection is kept either way; its puzzles are only loaded while
+     * the PGN database is on.
+     * @param {string} pgnText - Games with a [FEN] header and the solution as main line
+     * @returns {Object} { imported, rejected, duplicates, skipped }
+     */
+    importPgnCollection(pgnText) {
+        if (!this.pgnCollections.includes(pgnText)) {
+            this.pgnCollections.push(pgnText);
+        }
+        
+        const parsed = parsePgnCollection(pgnText);
+        const result = this.options.usePgnDatabase ?
+            this.importPuzzles(parsed.puzzles, false) :
+            { imported: [], rejected: 0, duplicates: 0 };
+        
+        return { ...result, skipped: parsed.skipped };
+    }
+    
+    /**
+     * Export the imported PGN collections
+     */
+    exportPgnCollections() {
+        return JSON.stringify(this.pgnCollections);
+    }
+    
+    /**
+     * Restore PGN collections saved by exportPgnCollections
+     * @param {string} collectionsJson - Saved PGN texts
+     * @returns {boolean} Success status
+     */
+    restorePgnCollections(collectionsJson) {
+        try {
+            const collections = JSON.parse(collectionsJson);
+            if (!Array.isArray(collections)) return false;
+            
+            collections.forEach(pgnText => this.importPgnCollection(pgnText));
+            return true;
+        } catch (e) {
+            console.error("Error restoring PGN collections:", e);
+            return false;
+        }
+    }
+    
+    /**
+     * Export the imported puzzles
+     */
+    exportImportedPuzzles() {
+        return JSON.stringify(this.importedPuzzles);
+    }
+    
+    /**
+     * Restore puzzles saved by exportImportedPuzzles
+     * @param {string} puzzlesJson - Saved puzzles
+     * @returns {boolean} Success status
+     */
+    restoreImportedPuzzles(puzzlesJson) {
+        try {
+            const puzzles = JSON.parse(puzzlesJson);
+            if (!Array.isArray(puzzles)) return false;
+            
+            this.importPuzzles(puzzles);
+            return true;
+        } catch (e) {
+            console.error("Error restoring imported puzzles:", e);
+            return false;
+        }
+    }
+    
+    /**
+     * Get the validation report for every puzzle loaded so far
+     * @returns {Object} Report from GameValidator, including the traps report
+     */
+    getValidationReport() {
+        const report = this.validator.createReport(this.validationResults);
+        report.traps = this.traps.validationReport;
+        return report;
+    }
+    
     /**
      * Generate a puzzle based on specified criteria
-     * @param {string} theme - The tactical theme to focus on
+     * Unseen puzzles come first and seen ones only return when due for
+     * review. Once a theme and difficulty has nothing left to offer, a
+     * poolExhausted event says what is shown instead.
+     * @param {string} theme - The tactical theme to focus on (ID or any registry name)
      * @param {string} difficulty - The difficulty level
      * @param {boolean} includeTrap - Whether to include a trap in the puzzle
+     * @param {Object} options - { exclude: Set or array of puzzle IDs to treat as seen }
      * @returns {Object} A puzzle object
      */
-    generatePuzzle(theme = null, difficulty = "medium", includeTrap = null) {
-        // Default to random theme if none specified
-        if (!theme) {
-            const themes = Object.keys(this.puzzleDatabase);
-            theme = themes[Math.floor(Math.random() * themes.length)];
+    generatePuzzle(theme = null, difficulty = "medium", includeTrap = null, options = {}) {
+        // Default to a random theme that has puzzles if none specified
+        if (theme) {
+            theme = normalizeTheme(theme);
+        } else {
+            const themes = this.getAvailableThemes();
+            theme = themes.length > 0 ? themes[Math.floor(Math.random() * themes.length)] : 'general';
         }
         
-        // Default trap inclusion to the configured frequency
-        if (includeTrap === null) {
-            includeTrap = this.options.includeTraps && Math.random() < this.options.trapFrequency;
-        }
+        const history = this.getHistory(options.exclude);
         
         // Get puzzles matching the criteria
-        let puzzles = [];
-        if (this.puzzleDatabase[theme] && this.puzzleDatabase[theme][difficulty]) {
-            puzzles = this.puzzleDatabase[theme][difficulty];
+        const pool = (this.puzzleDatabase[theme] && this.puzzleDatabase[theme][difficulty]) || [];
+        let puzzles = this.selectFresh(pool, history);
+        if (puzzles.length > 0) {
+            return this.pickPuzzle(puzzles, includeTrap);
         }
         
-        // If no puzzles match, try to find any puzzle of the right difficulty
-        if (puzzles.length === 0) {
-            for (const t in this.puzzleDatabase) {
-                if (this.puzzleDatabase[t][difficulty] && this.puzzleDatabase[t][difficulty].length > 0) {
-                    puzzles = this.puzzleDatabase[t][difficulty];
-                    break;
-                }
-            }
+        // Otherwise try fresh puzzles of the right difficulty in other themes,
+        // then repeat a puzzle, and only then fall back to a template
+        const sameDifficulty = this.getAllPuzzles().filter(puzzle => (puzzle.difficulty || 'medium') === difficulty);
+        let fallback;
+        
+        puzzles = this.selectFresh(sameDifficulty, history);
+        if (puzzles.length > 0) {
+            fallback = 'otherTheme';
+        } else if (pool.length > 0 || sameDifficulty.length > 0) {
+            puzzles = pool.length > 0 ? pool : sameDifficulty;
+            fallback = 'repeat';
+        } else {
+            fallback = 'template';
         }
         
-        // If still no puzzles, generate a random one
-        if (puzzles.length === 0) {
+        this.emit('poolExhausted', {
+            theme: theme,
+            difficulty: difficulty,
+            poolSize: pool.length,
+            fallback: fallback
+        });
+        
+        if (fallback === 'template') {
             return this.generateRandomPuzzle(theme, difficulty);
         }
         
-        // Select a random puzzle from the matching ones
+        return this.pickPuzzle(puzzles, includeTrap);
+    }
+    
+    /**
+     * Generate a puzzle rated close to a target
+     * Puzzles inside the window qualify; if none do, the closest few are
+     * used instead. Fresh puzzles of the theme are preferred, then fresh
+     * puzzles of any theme; seen puzzles are reused only when nothing fresh
+     * is left, which is reported with a poolExhausted event.
+     * @param {string} theme - The tactical theme to focus on (ID or any registry name), or null
+     * @param {Object} ratingWindow - { target, min, max }
+     * @param {boolean} includeTrap - Whether to include a trap in the puzzle
+     * @param {Object} options - { exclude: Set or array of puzzle IDs to treat as seen }
+     * @returns {Object} A puzzle object
+     */
+    generatePuzzleByRating(theme, ratingWindow, includeTrap = null, options = {}) {
+        const history = this.getHistory(options.exclude);
+        const allPuzzles = this.getAllPuzzles();
+        
+        if (allPuzzles.length === 0) {
+            return this.generateRandomPuzzle(theme || 'general', this.getDifficultyForRating(ratingWindow.target));
+        }
+        
+        const themePuzzles = theme ? this.getPuzzlesForTheme(normalizeTheme(theme)) : [];
+        let candidates = this.selectFresh(themePuzzles, history);
+        if (candidates.length === 0) {
+            candidates = this.selectFresh(allPuzzles, history);
+        }
+        
+        if (candidates.length === 0) {
+            this.emit('poolExhausted', {
+                theme: theme ? normalizeTheme(theme) : null,
+                difficulty: null,
+                poolSize: allPuzzles.length,
+                fallback: 'repeat'
+            });
+            candidates = themePuzzles.length > 0 ? themePuzzles : allPuzzles;
+        }
+        
+        let puzzles = candidates.filter(puzzle =>
+            puzzle.rating >= ratingWindow.min && puzzle.rating <= ratingWindow.max);
+        
+        if (puzzles.length === 0) {
+            puzzles = candidates
+                .slice()
+                .sort((a, b) => Math.abs(a.rating - ratingWindow.target) - Math.abs(b.rating - ratingWindow.target))
+                .slice(0, CLOSEST_PUZZLE_COUNT);
+        }
+        
+        return this.pickPuzzle(puzzles, includeTrap);
+    }
+    
+    /**
+     * Set where the generator learns which puzzles the user has seen
+     * @param {Object} provider - { getSeenPuzzleIds(), getDuePuzzleIds() }, each returning
+     *                            an array or Set of puzzle IDs; null to forget the history
+     */
+    setHistoryProvider(provider) {
+        this.historyProvider = provider;
+    }
+    
+    /**
+     * Collect the seen and due puzzle IDs
+     * @param {Set|Array} exclude - Extra puzzle IDs to treat as seen
+     * @returns {Object} { seen: Set, due: Set }
+     */
+    getHistory(exclude) {
+        const seen = new Set(exclude || []);
+        const due = new Set();
+        
+        if (this.historyProvider) {
+            (this.historyProvider.getSeenPuzzleIds() || []).forEach(id => seen.add(id));
+            if (this.historyProvider.getDuePuzzleIds) {
+                (this.historyProvider.getDuePuzzleIds() || []).forEach(id => due.add(id));
+            }
+        }
+        
+        return { seen, due };
+    }
+    
+    /**
+     * Get the puzzles of a pool worth showing
+     * @param {Array} pool - Puzzles to choose from
+     * @param {Object} history - { seen, due } from getHistory
+     * @returns {Array} Unseen puzzles, or if there are none, seen puzzles due for review
+     */
+    selectFresh(pool, history) {
+        const unseen = pool.filter(puzzle => !history.seen.has(puzzle.id));
+        if (unseen.length > 0) return unseen;
+        
+        return pool.filter(puzzle => history.due.has(puzzle.id));
+    }
+    
+    /**
+     * Pick one of several puzzles at random and prepare it for play
+     */
+    pickPuzzle(puzzles, includeTrap) {
         const puzzleIndex = Math.floor(Math.random() * puzzles.length);
-        const puzzle = JSON.parse(JSON.stringify(puzzles[puzzleIndex])); // Clone to avoid modifying original
+        return this.preparePuzzle(puzzles[puzzleIndex], includeTrap);
+    }
+    
+    /**
+     * Get every stored puzzle filed under a theme, at any difficulty
+     * @param {string} theme - Theme ID
+     * @returns {Array} Puzzles
+     */
+    getPuzzlesForTheme(theme) {
+        if (!this.puzzleDatabase[theme]) return [];
+        
+        const puzzles = [];
+        Object.values(this.puzzleDatabase[theme]).forEach(list => {
+            list.forEach(puzzle => {
+                if (!puzzles.includes(puzzle)) puzzles.push(puzzle);
+            });
+        });
+        
+        return puzzles;
+    }
+    
+    /**
+     * Get the difficulty whose starting rating is closest to a rating
+     * @param {number} rating - Puzzle rating
+     * @returns {string} Difficulty
+     */
+    getDifficultyForRating(rating) {
+        return DIFFICULTIES.reduce((best, difficulty) =>
+            Math.abs(DIFFICULTY_RATINGS[difficulty] - rating) < Math.abs(DIFFICULTY_RATINGS[best] - rating) ?
+                difficulty : best
+        );
+    }
+    
+    /**
+     * Copy a stored puzzle for play, adding a trap if requested
+     * @param {Object} puzzle - Stored puzzle
+     * @param {boolean} includeTrap - Whether to add a trap; null uses the configured frequency
+     * @returns {Object} A puzzle object
+     */
+    preparePuzzle(puzzle, includeTrap = null) {
+        // Default trap inclusion to the configured frequency
+        if (includeTrap === null) {
+            includeTrap = this.options.includeTraps && Math.random() < this.options.trapFrequency;
+        }
+        
+        const copy = JSON.parse(JSON.stringify(puzzle)); // Clone to avoid modifying original
         
         // Add a trap if requested
         if (includeTrap && this.options.includeTraps) {
-            return this.traps.enhancePuzzleWithTraps(puzzle);
+            return this.traps.enhancePuzzleWithTraps(copy);
         }
         
-        return puzzle;
+        return copy;
     }
     
     /**
@@ -159,21 +752,8 @@ class PuzzleGenerator {
         // In a real implementation, this would use a chess engine to analyze positions
         // For this demo, we'll return a simple hardcoded puzzle
         
-        const difficultyRating = {
-            "easy": 1000,
-            "medium": 1500,
-            "hard": 2000,
-            "expert": 2500
-        };
-        
         // Simple randomly selected puzzle templates
         const templates = [
-            {
-                fen: "r1bqkbnr/ppp2ppp/2np4/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq - 0 4",
-                moves: ["c4f7", "e8f7", "d1f3"],
-                orientation: "white",
-                objective: "Find the tactical opportunity"
-            },
             {
                 fen: "r1bqkb1r/pppp1ppp/2n2n2/4p3/4P3/2N2N2/PPPP1PPP/R1BQKB1R w KQkq - 4 4",
                 moves: ["f3e5", "d7d6", "e5c6"],
@@ -195,19 +775,20 @@ class PuzzleGenerator {
         const puzzleId = `${theme}-${difficulty}-${Date.now().toString(36)}`;
         
         // Generate a new puzzle based on the template
-        const puzzle = {
+        const puzzle = normalizePuzzleMoves(new Chess(), {
             id: puzzleId,
             fen: template.fen,
             moves: [...template.moves], // Clone to avoid modifying template
-            theme: theme,
+            theme: normalizeTheme(theme),
             category: "tactics",
             difficulty: difficulty,
-            rating: difficultyRating[difficulty] || 1500,
+            rating: DIFFICULTY_RATINGS[difficulty] || 1500,
             objective: template.objective,
-            explanation: `This is a ${theme} puzzle at ${difficulty} level.`,
+            explanation: `This is a ${getThemeName(theme)} puzzle at ${difficulty} level.`,
             orientation: template.orientation,
-            expectedTime: difficulty === "easy" ? 30 : difficulty === "medium" ? 60 : 90
-        };
+            expectedTime: EXPECTED_TIMES[difficulty] || 90
+        });
+        puzzle.tags = getPuzzleTags(puzzle);
         
         // Add a trap if appropriate
         if (this.options.includeTraps && Math.random() < this.options.trapFrequency) {
@@ -219,6 +800,7 @@ class PuzzleGenerator {
     
     /**
      * Fetch puzzles from Lichess API if enabled
+     * For offline use, importLichessFile reads a local copy of the puzzle dump.
      * @param {string} theme - The tactical theme
      * @param {string} difficulty - The difficulty level
      * @param {number} count - How many puzzles to fetch
@@ -282,6 +864,9 @@ class PuzzleGenerator {
 }
 
 // Export the PuzzleGenerator class
+export { PuzzleGenerator };
+
+// For backwards compatibility with CommonJS
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { PuzzleGenerator };
 }
@@ -0,0 +1,180 @@
+/**
+ * Review Scheduler
+ *
+ * Brings missed puzzles back with SM-2 spaced repetition. Every attempt is
+ * graded from 0 to 5: failed, hinted or slow attempts put a puzzle in the
+ * review queue, and each review pushes its next due date further out or,
+ * after another miss, back to tomorrow.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SM-2 grades given to an attempt
+const GRADES = {
+    failed: 1,
+    hinted: 3,
+    slow: 4,
+    perfect: 5
+};
+
+// SM-2 starts every item at this ease factor and never lets it drop below the minimum
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// A solve taking longer than this many times the expected time counts as slow
+const SLOW_FACTOR = 2;
+
+class ReviewScheduler {
+    constructor() {
+        // Puzzle ID -> review item
+        this.reviews = {};
+    }
+    
+    /**
+     * Grade an attempt on the SM-2 scale
+     * @param {Object} puzzle - The puzzle attempted
+     * @param {boolean} correct - Whether the puzzle was solved
+     * @param {number} timeSpent - Time spent in seconds
+     * @param {number} hintsUsed - Number of hints used
+     * @returns {number} Grade from 0 to 5
+     */
+    gradeAttempt(puzzle, correct, timeSpent, hintsUsed) {
+        if (!correct) return GRADES.failed;
+        if (hintsUsed > 0) return GRADES.hinted;
+        
+        const expectedTime = puzzle.expectedTime || 60;
+        if (timeSpent > expectedTime * SLOW_FACTOR) return GRADES.slow;
+        
+        return GRADES.perfect;
+    }
+    
+    /**
+     * Record an attempt and reschedule the puzzle
+     * Puzzles enter the queue after an imperfect attempt; puzzles already in
+     * the queue are rescheduled after every attempt.
+     * @param {Object} puzzle - The puzzle attempted
+     * @param {boolean} correct - Whether the puzzle was solved
+     * @param {number} timeSpent - Time spent in seconds
+     * @param {number} hintsUsed - Number of hints used
+     * @param {number} now - Time of the attempt in milliseconds
+     * @returns {Object|null} The review item, or null if the puzzle needs no review
+     */
+    recordAttempt(puzzle, correct, timeSpent, hintsUsed, now = Date.now()) {
+        if (!puzzle || !puzzle.id) return null;
+        
+        const grade = this.gradeAttempt(puzzle, correct, timeSpent, hintsUsed);
+        let review = this.reviews[puzzle.id];
+        
+        if (!review) {
+            if (grade === GRADES.perfect) return null;
+            
+            review = {
+                puzzleId: puzzle.id,
+                puzzle: puzzle,
+                easeFactor: INITIAL_EASE,
+                interval: 0,
+                repetitions: 0,
+                lapses: 0,
+                dueDate: now,
+                lastReview: null
+            };
+            this.reviews[puzzle.id] = review;
+        }
+        
+        this.schedule(review, grade, now);
+        return review;
+    }
+    
+    /**
+     * Apply the SM-2 update to a review item
+     * @param {Object} review - The review item
+     * @param {number} grade - Grade from 0 to 5
+     * @param {number} now - Time of the review in milliseconds
+     */
+    schedule(review, grade, now) {
+        if (grade < GRADES.hinted) {
+            // A miss starts the item over
+            review.repetitions = 0;
+            review.interval = 1;
+            review.lapses += 1;
+        } else {
+            if (review.repetitions === 0) {
+                review.interval = 1;
+            } else if (review.repetitions === 1) {
+                review.interval = 6;
+            } else {
+                review.interval = Math.round(review.interval * review.easeFactor);
+            }
+            review.repetitions += 1;
+        }
+        
+        review.easeFactor = Math.max(MIN_EASE,
+            review.easeFactor + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+        review.lastReview = now;
+        review.dueDate = now + review.interval * DAY_MS;
+    }
+    
+    /**
+     * Get the reviews that are due, most overdue first
+     * @param {number} now - Current time in milliseconds
+     * @returns {Array} Review items
+     */
+    getDueReviews(now = Date.now()) {
+        return Object.values(this.reviews)
+            .filter(review => review.dueDate <= now)
+            .sort((a, b) => a.dueDate - b.dueDate);
+    }
+    
+    /**
+     * Count the reviews due by the end of the day
+     * @param {number} now - Current time in milliseconds
+     */
+    getDueTodayCount(now = Date.now()) {
+        const endOfDay = new Date(now);
+        endOfDay.setHours(23, 59, 59, 999);
+        
+        return this.getDueReviews(endOfDay.getTime()).length;
+    }
+    
+    /**
+     * Get the most overdue review
+     * @param {number} now - Current time in milliseconds
+     * @returns {Object|null} Review item
+     */
+    getNextReview(now = Date.now()) {
+        return this.getDueReviews(now)[0] || null;
+    }
+    
+    /**
+     * Export the review queue
+     */
+    exportReviews() {
+        return JSON.stringify(this.reviews);
+    }
+    
+    /**
+     * Import a review queue saved by exportReviews
+     * @param {string} reviewsJson - Saved queue
+     * @returns {boolean} Success status
+     */
+    importReviews(reviewsJson) {
+        try {
+            const reviews = JSON.parse(reviewsJson);
+            if (reviews && typeof reviews === 'object' && !Array.isArray(reviews)) {
+                this.reviews = reviews;
+                return true;
+            }
+            return false;
+        } catch (e) {
+            console.error("Error importing review queue:", e);
+            return false;
+        }
+    }
+}
+
+export { ReviewScheduler, GRADES };
+
+// For backwards compatibility with CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReviewScheduler, GRADES };
+}
@@ -6,6 +6,7 @@
  */
 
 import { UserSkillProfile } from './userSkillProfile';
+import { normalizeTheme } from '../core/constants';
 
 class SkillTracker {
     constructor(userId) {
@@ -29,7 +30,7 @@ class SkillTracker {
             {
                 id: "basic-tactics-1",
                 title: "Introduction to Basic Tactics",
-                themes: ["pins", "forks"],
+                themes: ["pin", "fork"],
                 difficulty: "easy",
                 requiredRating: 0,
                 puzzleCount: 5
@@ -37,7 +38,7 @@ class SkillTracker {
             {
                 id: "opening-principles-1",
                 title: "Opening Principles: Control the Center",
-                themes: ["center control", "piece development"],
+                themes: ["centerControl", "development"],
                 difficulty: "easy",
                 requiredRating: 1000,
                 puzzleCount: 5
@@ -45,7 +46,7 @@ class SkillTracker {
             {
                 id: "basic-tactics-2",
                 title: "Discovered Attacks and Skewers",
-                themes: ["discovered attacks", "skewers"],
+                themes: ["discoveredAttack", "skewer"],
                 difficulty: "easy",
                 requiredRating: 1050,
                 puzzleCount: 5
@@ -55,7 +56,7 @@ class SkillTracker {
             {
                 id: "middlegame-1",
                 title: "Attacking the King",
-                themes: ["attacking the king", "piece coordination"],
+                themes: ["backRankMate", "capturingDefender"],
                 difficulty: "medium",
                 requiredRating: 1300,
                 puzzleCount: 5
@@ -63,7 +64,7 @@ class SkillTracker {
             {
                 id: "tactics-intermediate-1",
                 title: "Double Attacks and Deflection",
-                themes: ["double attacks", "deflection"],
+                themes: ["fork", "deflection"],
                 difficulty: "medium",
                 requiredRating: 1350,
                 puzzleCount: 5
@@ -71,7 +72,7 @@ class SkillTracker {
             {
                 id: "endgame-1",
                 title: "Basic Endgame Principles",
-                themes: ["king and pawn", "rook endgames"],
+                themes: ["pawnEndgame", "rookEndgame"],
                 difficulty: "medium",
                 requiredRating: 1400,
                 puzzleCount: 5
@@ -81,7 +82,7 @@ class SkillTracker {
             {
                 id: "tactics-advanced-1",
                 title: "Zwischenzug and Interference",
-                themes: ["zwischenzug", "interference"],
+                themes: ["intermezzo", "interference"],
                 difficulty: "hard",
                 requiredRating: 1600,
                 puzzleCount: 5
@@ -89,7 +90,7 @@ class SkillTracker {
             {
                 id: "advanced-endgame-1",
                 title: "Complex Endgame Techniques",
-                themes: ["fortress positions", "zugzwang positions"],
+                themes: ["fortress", "zugzwang"],
                 difficulty: "hard",
                 requiredRating: 1700,
                 puzzleCount: 5
@@ -97,7 +98,7 @@ class SkillTracker {
             {
                 id: "positional-mastery",
                 title: "Positional Chess Mastery",
-                themes: ["prophylaxis", "piece coordination"],
+                themes: ["prophylaxis", "pieceCoordination"],
                 difficulty: "expert",
                 requiredRating: 1800,
                 puzzleCount: 5
@@ -122,7 +123,7 @@ class SkillTracker {
         for (let i = 0; i < this.learningPath.length; i++) {
             const lesson = this.learningPath[i];
             if (!this.completedLessons.includes(lesson.id) && 
-                this.skillProfile.ratings.overall >= lesson.requiredRating) {
+                this.skillProfile.getRating() >= lesson.requiredRating) {
                 this.currentLessonIndex = i;
                 return lesson;
             }
@@ -130,7 +131,7 @@ class SkillTracker {
         
         // If all lessons completed or none available for rating, return highest appropriate lesson
         for (let i = this.learningPath.length - 1; i >= 0; i--) {
-            if (this.skillProfile.ratings.overall >= this.learningPath[i].requiredRating) {
+            if (this.skillProfile.getRating() >= this.learningPath[i].requiredRating) {
                 this.currentLessonIndex = i;
                 return this.learningPath[i];
             }
@@ -190,8 +191,10 @@ class SkillTracker {
         }
         
         return {
-            newRating: this.skillProfile.ratings.overall,
+            newRating: this.skillProfile.getRating(),
             ratingChange: this.skillProfile.lastRatingChange || 0,
+            provisional: this.skillProfile.isProvisional(),
+            puzzleRating: this.skillProfile.lastPuzzleRating,
             achievedMilestones: achievedMilestones,
             lessonCompleted: lessonCompleted,
             nextLesson: lessonCompleted ? this.getNextLesson() : null,
@@ -199,12 +202,35 @@ class SkillTracker {
         };
     }
     
+    /**
+     * Seed the skill profile from a finished placement test
+     * @param {number} estimate - Rating estimated by the test
+     * @param {Array} results - { puzzle, correct } for every test puzzle
+     * @returns {Object} Result with the new rating and any milestones reached
+     */
+    applyPlacement(estimate, results) {
+        this.skillProfile.applyPlacement(estimate, results);
+        
+        return {
+            newRating: this.skillProfile.getRating(),
+            ratingChange: 0,
+            provisional: this.skillProfile.isProvisional(),
+            achievedMilestones: this.checkForNewMilestones(),
+            lessonCompleted: false,
+            nextLesson: null,
+            recommendedThemes: this.skillProfile.getRecommendedThemes()
+        };
+    }
+    
     /**
      * Check for newly achieved milestones
+     * Provisional ratings swing too far to award milestones.
      */
     checkForNewMilestones() {
         const achievedMilestones = [];
-        const currentRating = this.skillProfile.ratings.overall;
+        if (this.skillProfile.isProvisional()) return achievedMilestones;
+        
+        const currentRating = this.skillProfile.getRating();
         
         for (const milestone of this.milestones) {
             if (currentRating >= milestone.rating && 
@@ -235,7 +261,7 @@ class SkillTracker {
         summary.nextMilestone = this.milestones.find(m => !m.achieved);
         
         if (summary.nextMilestone) {
-            const pointsNeeded = summary.nextMilestone.rating - summary.ratings.overall;
+            const pointsNeeded = summary.nextMilestone.rating - summary.rating;
             summary.nextMilestoneProgress = Math.max(0, 100 - (pointsNeeded / 2)).toFixed(1) + '%';
         }
         
@@ -251,10 +277,13 @@ class SkillTracker {
             skillProfile: {
                 ratings: this.skillProfile.ratings,
                 themePerformance: this.skillProfile.themePerformance,
+                overallPerformance: this.skillProfile.overallPerformance,
                 solvedPuzzles: this.skillProfile.solvedPuzzles,
                 struggledThemes: this.skillProfile.struggledThemes,
                 currentFocus: this.skillProfile.currentFocus,
-                currentLevel: this.skillProfile.currentLevel
+                currentLevel: this.skillProfile.currentLevel,
+                placementCompleted: this.skillProfile.placementCompleted,
+                placementSkipped: this.skillProfile.placementSkipped
             },
             completedLessons: this.completedLessons,
             currentLessonIndex: this.currentLessonIndex,
@@ -271,12 +300,22 @@ class SkillTracker {
             
             if (progress.userId === this.userId) {
                 // Import skill profile data
-                this.skillProfile.ratings = progress.skillProfile.ratings || this.skillProfile.ratings;
-                this.skillProfile.themePerformance = progress.skillProfile.themePerformance || this.skillProfile.themePerformance;
+                this.skillProfile.ratings = progress.skillProfile.ratings ?
+                    this.skillProfile.normalizeRatings(progress.skillProfile.ratings) :
+                    this.skillProfile.ratings;
+                this.skillProfile.overallPerformance = progress.skillProfile.overallPerformance ||
+                    this.sumThemePerformance(progress.skillProfile.themePerformance || this.skillProfile.themePerformance);
+                this.skillProfile.themePerformance = progress.skillProfile.themePerformance ?
+                    this.skillProfile.normalizeThemePerformance(progress.skillProfile.themePerformance) :
+                    this.skillProfile.themePerformance;
                 this.skillProfile.solvedPuzzles = progress.skillProfile.solvedPuzzles || this.skillProfile.solvedPuzzles;
-                this.skillProfile.struggledThemes = progress.skillProfile.struggledThemes || this.skillProfile.struggledThemes;
-                this.skillProfile.currentFocus = progress.skillProfile.currentFocus || this.skillProfile.currentFocus;
+                this.skillProfile.currentFocus = normalizeTheme(progress.skillProfile.currentFocus) || this.skillProfile.currentFocus;
+                
+                // Rebuilt rather than imported so older theme names are merged
+                this.skillProfile.updateStruggledThemes();
                 this.skillProfile.currentLevel = progress.skillProfile.currentLevel || this.skillProfile.currentLevel;
+                this.skillProfile.placementCompleted = progress.skillProfile.placementCompleted || null;
+                this.skillProfile.placementSkipped = !!progress.skillProfile.placementSkipped;
                 
                 // Import lesson progress
                 this.completedLessons = progress.completedLessons || this.completedLessons;
@@ -301,6 +340,21 @@ class SkillTracker {
             return false;
         }
     }
+    
+    /**
+     * Total the theme performance of progress saved before overall totals were kept
+     * Older saves filed each puzzle under a single theme, so the sum counts every puzzle once.
+     */
+    sumThemePerformance(themePerformance) {
+        const totals = { attempts: 0, correct: 0 };
+        
+        Object.values(themePerformance).forEach(stats => {
+            totals.attempts += stats.attempts;
+            totals.correct += stats.correct;
+        });
+        
+        return totals;
+    }
 }
 
 export { SkillTracker };
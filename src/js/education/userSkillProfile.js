@@ -5,23 +5,57 @@
  * and provides recommendations for improvement.
  */
 
+import { THEME_CATEGORIES, normalizeTheme, normalizeThemes, getThemeCategory } from '../core/constants';
+import { getGamePhase } from '../core/boardAnalysis';
+import {
+    DEFAULT_DEVIATION,
+    DEFAULT_VOLATILITY,
+    createRating,
+    rateAttempt,
+    updateRating,
+    toRating,
+    isProvisional,
+    getConfidenceInterval
+} from '../core/glicko2';
+
+// Rating every user starts from, overall and in every category
+const STARTING_RATING = 1200;
+
+// Deviation given to ratings saved before ratings had one
+const MIGRATED_DEVIATION = 150;
+
+// Deviation of ratings seeded by the placement test, just below provisional
+const PLACEMENT_DEVIATION = 100;
+
+// Score lost for each hint used on a solved puzzle, and the lowest score a solve gets
+const HINT_SCORE_PENALTY = 0.25;
+const MIN_HINTED_SCORE = 0.5;
+
+// Rating category practised by every puzzle from a game phase
+const PHASE_CATEGORIES = {
+    opening: 'openings',
+    endgame: 'endgame'
+};
+
 class UserSkillProfile {
     constructor(userId) {
         this.userId = userId;
-        this.ratings = {
-            overall: 1200,          // Starting ELO rating
-            tactics: 1200,          // Tactical rating
-            strategy: 1200,         // Strategic rating
-            endgame: 1200,          // Endgame rating
-            openings: 1200          // Opening knowledge rating
-        };
+        // Glicko-2 ratings, overall and for every theme category
+        this.ratings = { overall: createRating(STARTING_RATING) };
+        Object.keys(THEME_CATEGORIES).forEach(category => {
+            this.ratings[category] = createRating(STARTING_RATING);
+        });
         
-        // Performance on different puzzle themes
+        // Performance on different puzzle themes, counted for every tag of a puzzle
         this.themePerformance = {
-            // Example format:
-            // "pins": { attempts: 10, correct: 7, avgTime: 45, lastAttempt: timestamp }
+            // Example format, keyed by theme registry ID:
+            // "pin": { attempts: 10, correct: 7, avgTime: 45, lastAttempt: timestamp,
+            //          rating: { rating: 1250, deviation: 90, volatility: 0.06 } }
         };
         
+        // Performance over all puzzles, each counted once
+        this.overallPerformance = { attempts: 0, correct: 0 };
+        
         // List of solved puzzles to avoid repetition
         this.solvedPuzzles = [];
         
@@ -34,8 +68,16 @@ class UserSkillProfile {
         // Current skill level description
         this.currentLevel = "Beginner";
         
-        // Last rating change
+        // Last rating change, overall and per category
         this.lastRatingChange = 0;
+        this.lastCategoryChanges = {};
+        
+        // Rating of the last puzzle after the attempt, for the puzzle database
+        this.lastPuzzleRating = null;
+        
+        // When the placement test was last completed or skipped
+        this.placementCompleted = null;
+        this.placementSkipped = false;
     }
     
     /**
@@ -47,61 +89,57 @@ class UserSkillProfile {
      */
     updateAfterPuzzle(puzzle, correct, timeSpent, hintsUsed) {
         // Record puzzle in solved list
-        if (!this.solvedPuzzles.includes(puzzle.id)) {
+        if (correct && !this.solvedPuzzles.includes(puzzle.id)) {
             this.solvedPuzzles.push(puzzle.id);
         }
         
-        // Update theme performance
-        const theme = puzzle.theme || 'general';
-        if (!this.themePerformance[theme]) {
-            this.themePerformance[theme] = { 
-                attempts: 0, 
-                correct: 0, 
-                avgTime: 0,
-                lastAttempt: null
-            };
-        }
-        
-        const themeStats = this.themePerformance[theme];
-        themeStats.attempts += 1;
+        this.overallPerformance.attempts += 1;
         if (correct) {
-            themeStats.correct += 1;
+            this.overallPerformance.correct += 1;
         }
         
-        // Update average time
-        themeStats.avgTime = (themeStats.avgTime * (themeStats.attempts - 1) + timeSpent) / themeStats.attempts;
-        themeStats.lastAttempt = new Date();
+        // Rate the attempt as a game between the user and the puzzle
+        const score = this.getAttemptScore(correct, hintsUsed);
+        const puzzleRating = this.getPuzzleRating(puzzle);
         
-        // Calculate rating change
-        const baseChange = correct ? 10 : -5;
+        // Update theme performance for every tag of the puzzle
+        this.getPuzzleThemes(puzzle).forEach(theme => {
+            if (!this.themePerformance[theme]) {
+                this.themePerformance[theme] = { 
+                    attempts: 0, 
+                    correct: 0, 
+                    avgTime: 0,
+                    lastAttempt: null,
+                    rating: this.createThemeRating()
+                };
+            }
+            
+            const themeStats = this.themePerformance[theme];
+            themeStats.attempts += 1;
+            if (correct) {
+                themeStats.correct += 1;
+            }
+            
+            // Update average time
+            themeStats.avgTime = (themeStats.avgTime * (themeStats.attempts - 1) + timeSpent) / themeStats.attempts;
+            themeStats.lastAttempt = new Date();
+            
+            // Each theme has its own rating, so a hard puzzle failed costs little
+            themeStats.rating = rateAttempt(themeStats.rating, puzzleRating, score).user;
+        });
         
-        // Adjust based on puzzle difficulty relative to user rating
-        const difficultyDelta = (puzzle.rating || 1500) - this.ratings.overall;
-        const difficultyFactor = (1 + difficultyDelta / 400);
+        const overall = rateAttempt(this.ratings.overall, puzzleRating, score);
+        this.lastRatingChange = Math.round(overall.user.rating) - this.getRating();
+        this.ratings.overall = overall.user;
+        this.lastPuzzleRating = overall.puzzle;
         
-        // Time factor - reward faster solutions, less penalty for taking time
-        const expectedTime = puzzle.expectedTime || 60;
-        const timeFactor = correct ? 
-            Math.max(0.5, Math.min(1.5, expectedTime / timeSpent)) : 
-            1;
-            
-        // Hints penalty - reduce rating gain if hints were used
-        const hintFactor = hintsUsed > 0 ? 
-            Math.max(0.2, 1 - (hintsUsed * 0.2)) : 
-            1;
-        
-        // Calculate final rating change
-        const ratingChange = Math.round(baseChange * difficultyFactor * timeFactor * hintFactor);
-        
-        // Update overall rating
-        this.lastRatingChange = ratingChange;
-        this.ratings.overall += ratingChange;
-        
-        // Also update specific category ratings
-        const category = puzzle.category || 'tactics';
-        if (this.ratings[category]) {
-            this.ratings[category] += ratingChange;
-        }
+        // Category ratings play the same game against the puzzle's old rating
+        this.lastCategoryChanges = {};
+        this.getRatingCategories(puzzle).forEach(category => {
+            const updated = rateAttempt(this.ratings[category], puzzleRating, score).user;
+            this.lastCategoryChanges[category] = Math.round(updated.rating) - this.getRating(category);
+            this.ratings[category] = updated;
+        });
         
         // Update struggled themes
         this.updateStruggledThemes();
@@ -117,33 +155,256 @@ class UserSkillProfile {
         return this.lastRatingChange;
     }
     
+    /**
+     * Seed the profile from a finished placement test
+     * The overall rating becomes the test's estimate. Category and theme
+     * ratings start from the estimate and are rated on the test puzzles that
+     * belong to them.
+     * @param {number} estimate - Rating estimated by the test
+     * @param {Array} results - { puzzle, correct } for every test puzzle
+     */
+    applyPlacement(estimate, results) {
+        const seed = () => createRating(estimate, PLACEMENT_DEVIATION);
+        const rate = matching => {
+            const games = matching.map(result => ({
+                opponent: this.getPuzzleRating(result.puzzle),
+                score: result.correct ? 1 : 0
+            }));
+            return games.length > 0 ? updateRating(seed(), games) : seed();
+        };
+        
+        this.ratings.overall = seed();
+        Object.keys(THEME_CATEGORIES).forEach(category => {
+            this.ratings[category] = rate(results.filter(result =>
+                this.getRatingCategories(result.puzzle).includes(category)));
+        });
+        
+        const themes = [];
+        results.forEach(result => {
+            this.overallPerformance.attempts += 1;
+            if (result.correct) {
+                this.overallPerformance.correct += 1;
+                if (!this.solvedPuzzles.includes(result.puzzle.id)) {
+                    this.solvedPuzzles.push(result.puzzle.id);
+                }
+            }
+            
+            this.getPuzzleThemes(result.puzzle).forEach(theme => {
+                if (!themes.includes(theme)) themes.push(theme);
+            });
+        });
+        
+        themes.forEach(theme => {
+            const matching = results.filter(result => this.getPuzzleThemes(result.puzzle).includes(theme));
+            const stats = this.themePerformance[theme] || { attempts: 0, correct: 0, avgTime: 0, lastAttempt: null };
+            
+            stats.attempts += matching.length;
+            stats.correct += matching.filter(result => result.correct).length;
+            stats.lastAttempt = new Date();
+            stats.rating = rate(matching);
+            this.themePerformance[theme] = stats;
+        });
+        
+        this.lastRatingChange = 0;
+        this.lastCategoryChanges = {};
+        this.placementCompleted = new Date();
+        
+        this.updateStruggledThemes();
+        this.updateSkillLevel();
+        this.updateFocus();
+    }
+    
+    /**
+     * Check whether the placement test should be offered
+     * Only new users who have neither taken nor skipped it are asked.
+     */
+    shouldOfferPlacement() {
+        return !this.placementCompleted && !this.placementSkipped && this.overallPerformance.attempts === 0;
+    }
+    
+    /**
+     * Get the score of an attempt
+     * A clean solve scores 1 and a failure 0. Hints turn a solve into a
+     * partial win, never lower than a draw.
+     * @param {boolean} correct - Whether the puzzle was solved correctly
+     * @param {number} hintsUsed - Number of hints used
+     * @returns {number} Score between 0 and 1
+     */
+    getAttemptScore(correct, hintsUsed) {
+        if (!correct) return 0;
+        return Math.max(MIN_HINTED_SCORE, 1 - (hintsUsed || 0) * HINT_SCORE_PENALTY);
+    }
+    
+    /**
+     * Get the Glicko-2 rating of a puzzle from its rating fields
+     * @param {Object} puzzle - Puzzle with rating, ratingDeviation and ratingVolatility
+     * @returns {Object} { rating, deviation, volatility }
+     */
+    getPuzzleRating(puzzle) {
+        return createRating(
+            puzzle.rating || 1500,
+            puzzle.ratingDeviation || DEFAULT_DEVIATION,
+            puzzle.ratingVolatility || DEFAULT_VOLATILITY
+        );
+    }
+    
+    /**
+     * Get a rating rounded for display and comparisons
+     * @param {string} category - 'overall' or a category ID
+     * @returns {number} Rating
+     */
+    getRating(category = 'overall') {
+        return Math.round(this.ratings[category].rating);
+    }
+    
+    /**
+     * Check whether a rating is still provisional
+     * @param {string} category - 'overall' or a category ID
+     */
+    isProvisional(category = 'overall') {
+        return isProvisional(this.ratings[category]);
+    }
+    
+    /**
+     * Turn saved ratings into Glicko-2 ratings
+     * Older saves kept a plain number per category. A number still at the
+     * starting rating was never played and keeps the full deviation.
+     * @param {Object} ratings - Saved ratings keyed by 'overall' and category ID
+     * @returns {Object} Ratings for every category
+     */
+    normalizeRatings(ratings) {
+        const normalized = {};
+        
+        Object.keys(this.ratings).forEach(category => {
+            const saved = ratings ? ratings[category] : undefined;
+            if (saved === undefined || saved === null) {
+                normalized[category] = createRating(STARTING_RATING);
+            } else if (typeof saved === 'number') {
+                normalized[category] = toRating(saved, saved === STARTING_RATING ? DEFAULT_DEVIATION : MIGRATED_DEVIATION);
+            } else {
+                normalized[category] = toRating(saved);
+            }
+        });
+        
+        return normalized;
+    }
+    
+    /**
+     * Get the rating categories a puzzle counts towards
+     * Each theme adds its registry category, and opening or endgame positions
+     * (judged by the pieces left) add that phase. The puzzle's own category is
+     * only used when neither applies.
+     * @param {Object} puzzle - Puzzle with tags, a theme and a FEN
+     * @returns {Array} Category IDs
+     */
+    getRatingCategories(puzzle) {
+        const categories = this.getPuzzleThemes(puzzle)
+            .map(theme => getThemeCategory(theme))
+            .filter(category => !!category);
+        
+        if (puzzle.fen) {
+            const phaseCategory = PHASE_CATEGORIES[getGamePhase(puzzle.fen)];
+            if (phaseCategory) categories.push(phaseCategory);
+        }
+        
+        if (categories.length === 0) {
+            categories.push(puzzle.category || 'tactics');
+        }
+        
+        return categories.filter((category, index) =>
+            categories.indexOf(category) === index && this.ratings[category] !== undefined);
+    }
+    
+    /**
+     * Get the themes a puzzle counts towards
+     * @param {Object} puzzle - Puzzle with tags and/or a theme
+     * @returns {Array} Theme registry IDs
+     */
+    getPuzzleThemes(puzzle) {
+        if (Array.isArray(puzzle.tags) && puzzle.tags.length > 0) {
+            return normalizeThemes(puzzle.tags);
+        }
+        
+        return [normalizeTheme(puzzle.theme || 'general')];
+    }
+    
+    /**
+     * Merge theme statistics saved under older theme names into registry IDs
+     * @param {Object} themePerformance - Theme statistics keyed by any theme name
+     * @returns {Object} Theme statistics keyed by theme registry ID
+     */
+    normalizeThemePerformance(themePerformance) {
+        const normalized = {};
+        
+        Object.entries(themePerformance || {}).forEach(([theme, stats]) => {
+            const id = normalizeTheme(theme);
+            const existing = normalized[id];
+            if (!existing) {
+                normalized[id] = {
+                    ...stats,
+                    rating: stats.rating ? toRating(stats.rating) : this.createThemeRating()
+                };
+                return;
+            }
+            
+            // Keep the more certain of two ratings
+            if (stats.rating && toRating(stats.rating).deviation < existing.rating.deviation) {
+                existing.rating = toRating(stats.rating);
+            }
+            
+            const attempts = existing.attempts + stats.attempts;
+            existing.avgTime = attempts > 0 ?
+                (existing.avgTime * existing.attempts + stats.avgTime * stats.attempts) / attempts :
+                0;
+            existing.attempts = attempts;
+            existing.correct += stats.correct;
+            if (stats.lastAttempt && (!existing.lastAttempt || new Date(stats.lastAttempt) > new Date(existing.lastAttempt))) {
+                existing.lastAttempt = stats.lastAttempt;
+            }
+        });
+        
+        return normalized;
+    }
+    
+    /**
+     * Create the rating of a theme the user has not tried yet
+     * It starts at the overall rating with full uncertainty.
+     */
+    createThemeRating() {
+        return createRating(this.ratings.overall.rating);
+    }
+    
     /**
      * Update the list of themes the user struggles with
+     * A theme is listed only when even the top of its confidence interval is
+     * below the overall rating, so a few failed hard puzzles are not enough.
      */
     updateStruggledThemes() {
         this.struggledThemes = [];
         
-        // Look for themes with at least 3 attempts and less than 50% success rate
         for (const theme in this.themePerformance) {
             const stats = this.themePerformance[theme];
-            if (stats.attempts >= 3 && (stats.correct / stats.attempts) < 0.5) {
+            const interval = getConfidenceInterval(stats.rating);
+            if (interval.high < this.ratings.overall.rating) {
                 this.struggledThemes.push({
                     theme: theme,
+                    rating: Math.round(stats.rating.rating),
+                    upperBound: Math.round(interval.high),
                     successRate: stats.correct / stats.attempts,
                     attempts: stats.attempts
                 });
             }
         }
         
-        // Sort by success rate, lowest first
-        this.struggledThemes.sort((a, b) => a.successRate - b.successRate);
+        // Sort by the top of the interval, clearest weakness first
+        this.struggledThemes.sort((a, b) => a.upperBound - b.upperBound);
     }
     
     /**
      * Update the user's current skill level description
      */
     updateSkillLevel() {
-        const rating = this.ratings.overall;
+        const rating = this.getRating();
         
         if (rating < 1200) {
             this.currentLevel = "Beginner";
@@ -172,7 +433,7 @@ class UserSkillProfile {
             const themeAttempts = Object.entries(this.themePerformance)
                 .map(([theme, stats]) => ({theme, attempts: stats.attempts}))
                 .sort((a, b) => a.attempts - b.attempts);
-                
+            
             if (themeAttempts.length > 0) {
                 this.currentFocus = themeAttempts[0].theme;
             } else {
@@ -208,7 +469,7 @@ class UserSkillProfile {
             const themesSortedByAttempts = Object.entries(this.themePerformance)
                 .map(([theme, stats]) => ({theme, attempts: stats.attempts}))
                 .sort((a, b) => a.attempts - b.attempts);
-                
+            
             for (const {theme} of themesSortedByAttempts) {
                 if (!recommendations.includes(theme)) {
                     recommendations.push(theme);
@@ -218,7 +479,7 @@ class UserSkillProfile {
         }
         
         // Fill remaining slots with general themes
-        const generalThemes = ['pins', 'forks', 'discovered attacks', 'removing the defender'];
+        const generalThemes = ['pin', 'fork', 'discoveredAttack', 'capturingDefender'];
         let i = 0;
         while (recommendations.length < count && i < generalThemes.length) {
             if (!recommendations.includes(generalThemes[i])) {
@@ -236,15 +497,36 @@ class UserSkillProfile {
      * @returns {Array} Array of strength themes
      */
     getStrengthThemes(count = 3) {
-        const themesWithSuccess = Object.entries(this.themePerformance)
-            .filter(([_, stats]) => stats.attempts >= 3) // Only consider themes with enough attempts
+        // Only themes whose whole confidence interval is above the overall rating
+        const strengths = Object.entries(this.themePerformance)
             .map(([theme, stats]) => ({
                 theme,
-                successRate: stats.correct / stats.attempts
+                lowerBound: getConfidenceInterval(stats.rating).low
             }))
-            .sort((a, b) => b.successRate - a.successRate);
-            
-        return themesWithSuccess.slice(0, count).map(item => item.theme);
+            .filter(item => item.lowerBound > this.ratings.overall.rating)
+            .sort((a, b) => b.lowerBound - a.lowerBound);
+        
+        return strengths.slice(0, count).map(item => item.theme);
+    }
+    
+    /**
+     * Get the rating and confidence interval of every theme tried
+     * @returns {Object} Theme ID -> { rating, deviation, low, high }, rounded
+     */
+    getThemeRatings() {
+        const themeRatings = {};
+        
+        Object.entries(this.themePerformance).forEach(([theme, stats]) => {
+            const interval = getConfidenceInterval(stats.rating);
+            themeRatings[theme] = {
+                rating: Math.round(stats.rating.rating),
+                deviation: Math.round(stats.rating.deviation),
+                low: Math.round(interval.low),
+                high: Math.round(interval.high)
+            };
+        });
+        
+        return themeRatings;
     }
     
     /**
@@ -261,21 +543,16 @@ class UserSkillProfile {
      * @returns {Object} Summary data
      */
     getSummary() {
-        // Calculate success rate across all themes
-        let totalAttempts = 0;
-        let totalCorrect = 0;
-        
-        Object.values(this.themePerformance).forEach(stats => {
-            totalAttempts += stats.attempts;
-            totalCorrect += stats.correct;
-        });
+        // Calculate success rate across all puzzles
+        const totalAttempts = this.overallPerformance.attempts;
+        const totalCorrect = this.overallPerformance.correct;
         
         const overallSuccessRate = totalAttempts > 0 ? 
             (totalCorrect / totalAttempts * 100).toFixed(1) + '%' : 
             'No data';
-            
+        
         // Calculate next level progress
-        const currentRating = this.ratings.overall;
+        const currentRating = this.getRating();
         let nextLevel, nextLevelRating, progress;
         
         if (currentRating < 1200) {
@@ -301,9 +578,11 @@ class UserSkillProfile {
         const ratingRange = 200; // Each level is typically 200 rating points
         const pointsToNextLevel = nextLevelRating - currentRating;
         const nextLevelProgress = Math.max(0, (1 - pointsToNextLevel / ratingRange) * 100).toFixed(1) + '%';
-            
+        
         return {
             userId: this.userId,
+            rating: currentRating,
+            provisional: this.isProvisional(),
             ratings: this.ratings,
             currentLevel: this.currentLevel,
             nextLevel: nextLevel,
@@ -312,6 +591,7 @@ class UserSkillProfile {
             successRate: overallSuccessRate,
             strengthThemes: this.getStrengthThemes(),
             weaknessThemes: this.getWeaknessThemes(),
+            themeRatings: this.getThemeRatings(),
             recommendedFocus: this.currentFocus,
             totalThemesAttempted: Object.keys(this.themePerformance).length
         };
@@ -319,6 +599,9 @@ class UserSkillProfile {
 }
 
 // Export the UserSkillProfile class
+export { UserSkillProfile };
+
+// For backwards compatibility with CommonJS
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { UserSkillProfile };
 }
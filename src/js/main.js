@@ -1,5 +1,6 @@
 // Import the ChessGuerilla class
 import { ChessGuerilla } from './chessGuerilla';
+import { PuzzleRenderer } from './ui/puzzleRenderer';
 
 // Initialize when the DOM is fully loaded
 document.addEventListener('DOMContentLoaded', () => {
@@ -18,16 +19,22 @@ document.addEventListener('DOMContentLoaded', () => {
       difficulty: 'adaptive'
     });
 
-    // Initialize the chess board
-    chessGuerilla.initializeBoard('board', {
+    // Render the game on the chess board and start with a new puzzle
+    const renderer = new PuzzleRenderer(chessGuerilla, 'board', {
       pieceTheme: 'img/chesspieces/wikipedia/{piece}.png'
     });
+    chessGuerilla.startNewPuzzle();
+
+    // Offer new users a placement test to set their starting rating
+    if (chessGuerilla.shouldOfferPlacementTest()) {
+      renderer.offerPlacementTest();
+    }
 
     // Set up report button
     const reportBtn = document.getElementById('reportBtn');
     if (reportBtn) {
       reportBtn.addEventListener('click', () => {
-        chessGuerilla.showPerformanceReport();
+        renderer.showPerformanceReport();
       });
     }
 
@@ -5,6 +5,11 @@
  * and recognize tactical opportunities.
  */
 
+import { normalizeTrapMoves } from './core/moveNotation';
+import { GameValidator } from './core/gameValidator';
+import { getTheme } from './core/constants';
+import { countPieces, getGamePhase } from './core/boardAnalysis';
+
 class PuzzleTraps {
     constructor() {
         // Collection of common chess traps categorized by opening/middlegame/endgame
@@ -12,11 +17,11 @@ class PuzzleTraps {
             openingTraps: [
                 {
                     name: "Scholar's Mate",
-                    fen: "r1bqkbnr/ppp2ppp/2np4/4p3/2B1P3/5Q2/PPPP1PPP/RNB1K1NR w KQkq - 0 4",
-                    trapMove: "f3f7", // Queen takes f7
+                    fen: "r1bqkbnr/ppp2ppp/2np4/4p3/4P3/5Q2/PPPP1PPP/RNB1KBNR w KQkq - 0 4",
+                    trapMove: "f3f7", // Queen takes f7 without the bishop's support
                     correctDefense: "e8f7", // King takes queen
-                    followUp: "c4f7", // Bishop takes f7
-                    explanation: "Scholar's Mate trap. The queen capture on f7 looks threatening but loses the queen after Kxf7."
+                    followUp: "f1c4", // Bishop check, too late
+                    explanation: "Scholar's Mate trap. Without a bishop on c4 the queen capture on f7 is not mate and loses the queen after Kxf7."
                 },
                 {
                     name: "Légal Trap",
@@ -56,27 +61,67 @@ class PuzzleTraps {
             endgameTraps: [
                 {
                     name: "Back Rank Mate Trap",
-                    fen: "6k1/5ppp/8/8/8/8/5PPP/R5K1 w - - 0 1",
-                    trapMove: "a1a8", // Rook to a8 checkmate
-                    correctDefense: "f7f6", // Creating luft for the king
+                    fen: "4r1k1/3p1ppp/8/8/8/8/5PPP/3R2K1 w - - 0 1",
+                    trapMove: "d1d7", // Rook takes d7, leaving the back rank
+                    correctDefense: "e8e1", // Rook to e1 checkmate
                     followUp: "",
-                    explanation: "Back rank mate trap. Black must create an escape square for the king with f6 or h6."
+                    explanation: "Back rank mate trap. White must create an escape square for the king with g3 or h3 before grabbing the pawn."
                 },
                 {
                     name: "Queen vs Rook Endgame Trap",
-                    fen: "8/8/8/4k3/8/5R2/7K/3q4 b - - 0 1",
-                    trapMove: "d1f3", // Queen takes rook
-                    correctDefense: "h2g2", // King approaches
-                    followUp: "f3f2", // Queen checks king
-                    explanation: "Queen vs Rook endgame trap. Taking the rook leads to a stalemate position."
+                    fen: "1k6/8/8/8/3q2R1/7p/7P/7K b - - 0 1",
+                    trapMove: "d4g4", // Queen takes rook
+                    correctDefense: "", // Stalemate, White has no move
+                    followUp: "",
+                    explanation: "Queen vs Rook endgame trap. Taking the rook leaves White without a legal move, so the game is a stalemate."
                 }
             ]
         };
         
+        // Trap moves may be written in SAN or UCI; normalize them to UCI
+        this.normalizeTrapDatabase();
+        
+        // Reject traps whose moves cannot be played from their FEN
+        this.validationReport = this.validateTrapDatabase();
+        
         // Trap detection settings
         this.trapDetectionThreshold = 0.8; // How likely a user is to fall for a trap based on history
     }
     
+    /**
+     * Normalize the moves of every trap against its own FEN
+     */
+    normalizeTrapDatabase() {
+        const chess = new Chess();
+        
+        for (const category in this.trapDatabase) {
+            this.trapDatabase[category] = this.trapDatabase[category].map(
+                trap => normalizeTrapMoves(chess, trap)
+            );
+        }
+    }
+    
+    /**
+     * Validate every trap and remove the ones that fail
+     * @returns {Object} Validation report from GameValidator
+     */
+    validateTrapDatabase() {
+        const validator = new GameValidator();
+        const results = [];
+        
+        for (const category in this.trapDatabase) {
+            this.trapDatabase[category] = this.trapDatabase[category].filter(trap => {
+                const validation = validator.validateTrap(trap);
+                validation.category = category;
+                results.push(validation);
+                
+                return validation.valid;
+            });
+        }
+        
+        return validator.createReport(results);
+    }
+    
     /**
      * Adds trap possibilities to a puzzle
      * @param {Object} puzzle - The base puzzle to enhance
@@ -88,18 +133,12 @@ class PuzzleTraps {
         const enhancedPuzzle = JSON.parse(JSON.stringify(puzzle));
         
         // Select appropriate trap category based on puzzle phase
-        let trapCategory = 'openingTraps';
-        
-        // Determine game phase from FEN
-        const piecesCount = this.countPiecesFromFen(puzzle.fen);
-        if (piecesCount <= 10) {
-            trapCategory = 'endgameTraps';
-        } else if (piecesCount <= 20) {
-            trapCategory = 'middlegameTraps';
-        }
+        const trapCategory = `${getGamePhase(puzzle.fen)}Traps`;
         
         // Select a random trap from the appropriate category
         const traps = this.trapDatabase[trapCategory];
+        if (!traps || traps.length === 0) return enhancedPuzzle;
+        
         let selectedTrap = traps[Math.floor(Math.random() * traps.length)];
         
         // If user profile exists, try to select a trap based on user's weakness
@@ -143,9 +182,11 @@ class PuzzleTraps {
         const relevantTraps = this.trapDatabase[trapCategory].filter(trap => {
             // This is a simplified approach - in a real implementation, 
             // we would have more metadata about each trap
-            return weakThemes.some(theme => 
-                trap.explanation.toLowerCase().includes(theme.toLowerCase())
-            );
+            return weakThemes.some(theme => {
+                const entry = getTheme(theme);
+                const names = entry ? [entry.name, ...entry.aliases] : [theme];
+                return names.some(name => trap.explanation.toLowerCase().includes(name.toLowerCase()));
+            });
         });
         
         if (relevantTraps.length === 0) return null;
@@ -158,18 +199,7 @@ class PuzzleTraps {
      * Count pieces in a position from FEN string to determine game phase
      */
     countPiecesFromFen(fen) {
-        // Extract the piece placement part of the FEN
-        const piecePlacement = fen.split(' ')[0];
-        
-        // Count all pieces (uppercase and lowercase letters represent pieces)
-        let pieceCount = 0;
-        for (const char of piecePlacement) {
-            if (/[a-zA-Z]/.test(char)) {
-                pieceCount++;
-            }
-        }
-        
-        return pieceCount;
+        return countPieces(fen);
     }
     
     /**
@@ -195,6 +225,9 @@ class PuzzleTraps {
 }
 
 // Export the PuzzleTraps class
+export { PuzzleTraps };
+
+// For backwards compatibility with CommonJS
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { PuzzleTraps };
 }
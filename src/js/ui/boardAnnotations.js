@@ -0,0 +1,310 @@
+/**
+ * Board Annotations - SVG arrows and circles over a chessboard.js board
+ *
+ * Annotations are kept in named groups ('hint', 'explanation', 'user', ...)
+ * so each source can replace or clear its own marks. Users draw their own
+ * marks with the right mouse button: drag for an arrow, click for a circle.
+ * Hold Shift, Alt or both for red, blue or yellow instead of green.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const ANNOTATION_COLORS = {
+    green: 'rgba(21, 120, 27, 0.8)',
+    red: 'rgba(136, 32, 32, 0.8)',
+    blue: 'rgba(0, 48, 136, 0.8)',
+    yellow: 'rgba(230, 143, 0, 0.8)'
+};
+
+// Sizes relative to the width of a square
+const ARROW_WIDTH = 0.15;
+const ARROW_HEAD_LENGTH = 2.5; // In arrow widths
+const ARROW_TIP_GAP = 0.1;
+const CIRCLE_WIDTH = 0.07;
+
+class BoardAnnotations {
+    /**
+     * @param {HTMLElement} container - Element holding the chessboard.js board
+     * @param {Object} options - { userDrawing: allow right-button marks (default true) }
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            userDrawing: true,
+            ...options
+        };
+        
+        this.groups = {};           // Group name -> list of annotations
+        this.drawStartSquare = null;
+        this.markerPrefix = `${container.id || 'board'}-arrowhead`;
+        
+        this.svg = this.createOverlay();
+        
+        if (this.options.userDrawing) {
+            this.attachUserDrawing();
+        }
+    }
+    
+    /**
+     * Create the SVG layer with one arrowhead marker per color
+     */
+    createOverlay() {
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('class', 'board-annotations');
+        svg.setAttribute('aria-hidden', 'true');
+        
+        const defs = document.createElementNS(SVG_NS, 'defs');
+        Object.keys(ANNOTATION_COLORS).forEach(color => {
+            const marker = document.createElementNS(SVG_NS, 'marker');
+            marker.setAttribute('id', `${this.markerPrefix}-${color}`);
+            marker.setAttribute('viewBox', '0 0 10 10');
+            marker.setAttribute('refX', '0');
+            marker.setAttribute('refY', '5');
+            marker.setAttribute('markerWidth', String(ARROW_HEAD_LENGTH));
+            marker.setAttribute('markerHeight', String(ARROW_HEAD_LENGTH));
+            marker.setAttribute('orient', 'auto');
+            
+            const head = document.createElementNS(SVG_NS, 'path');
+            head.setAttribute('d', 'M0,0 L10,5 L0,10 z');
+            head.setAttribute('fill', ANNOTATION_COLORS[color]);
+            marker.appendChild(head);
+            defs.appendChild(marker);
+        });
+        svg.appendChild(defs);
+        
+        this.layer = document.createElementNS(SVG_NS, 'g');
+        svg.appendChild(this.layer);
+        
+        this.container.style.position = 'relative';
+        this.container.appendChild(svg);
+        
+        return svg;
+    }
+    
+    /**
+     * Replace the annotations of a group
+     * @param {string} group - Group name
+     * @param {Array} annotations - { type: 'arrow', from, to, color } or { type: 'circle', square, color }
+     */
+    set(group, annotations) {
+        this.groups[group] = (annotations || []).filter(annotation => this.isValid(annotation));
+        this.render();
+    }
+    
+    /**
+     * Get the annotations of a group
+     * @param {string} group - Group name
+     */
+    get(group) {
+        return this.groups[group] || [];
+    }
+    
+    /**
+     * Remove the annotations of a group, or of every group
+     * @param {string} group - Group name (optional)
+     */
+    clear(group) {
+        if (group) {
+            delete this.groups[group];
+        } else {
+            this.groups = {};
+        }
+        this.render();
+    }
+    
+    /**
+     * Add a user mark, or remove it if the same mark is already drawn
+     * A mark in a different color replaces the existing one.
+     * @param {Object} annotation - Arrow or circle
+     */
+    toggleUserAnnotation(annotation) {
+        const marks = this.get('user');
+        const existing = marks.find(mark => this.isSamePlace(mark, annotation));
+        const others = marks.filter(mark => mark !== existing);
+        
+        if (existing && existing.color === annotation.color) {
+            this.set('user', others);
+        } else {
+            this.set('user', others.concat([annotation]));
+        }
+    }
+    
+    /**
+     * Check whether two annotations mark the same squares
+     */
+    isSamePlace(a, b) {
+        if (a.type !== b.type) return false;
+        
+        return a.type === 'arrow'
+            ? a.from === b.from && a.to === b.to
+            : a.square === b.square;
+    }
+    
+    /**
+     * Check that an annotation has the fields needed to draw it
+     */
+    isValid(annotation) {
+        if (!annotation) return false;
+        
+        if (annotation.type === 'arrow') {
+            return !!annotation.from && !!annotation.to && annotation.from !== annotation.to;
+        }
+        
+        return annotation.type === 'circle' && !!annotation.square;
+    }
+    
+    /**
+     * Draw every annotation again
+     * Call after the board is resized or flipped, since square positions change.
+     */
+    render() {
+        while (this.layer.firstChild) {
+            this.layer.removeChild(this.layer.firstChild);
+        }
+        
+        const bounds = this.container.getBoundingClientRect();
+        this.svg.setAttribute('viewBox', `0 0 ${bounds.width} ${bounds.height}`);
+        
+        Object.keys(this.groups).forEach(group => {
+            this.groups[group].forEach(annotation => {
+                const element = annotation.type === 'arrow'
+                    ? this.createArrow(annotation, bounds)
+                    : this.createCircle(annotation, bounds);
+                
+                if (element) this.layer.appendChild(element);
+            });
+        });
+    }
+    
+    /**
+     * Get the center and size of a square inside the container
+     * @param {string} square - Square name
+     * @param {Object} bounds - Bounding rectangle of the container
+     * @returns {Object|null} { x, y, size }
+     */
+    getSquareGeometry(square, bounds) {
+        const squareEl = this.container.querySelector(`.square-${square}`);
+        if (!squareEl) return null;
+        
+        const rect = squareEl.getBoundingClientRect();
+        
+        return {
+            x: rect.left - bounds.left + rect.width / 2,
+            y: rect.top - bounds.top + rect.height / 2,
+            size: rect.width
+        };
+    }
+    
+    /**
+     * Create the SVG line for an arrow
+     * The line stops short of the target so the arrowhead tip lands near its center.
+     */
+    createArrow(annotation, bounds) {
+        const from = this.getSquareGeometry(annotation.from, bounds);
+        const to = this.getSquareGeometry(annotation.to, bounds);
+        if (!from || !to) return null;
+        
+        const width = from.size * ARROW_WIDTH;
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        if (length === 0) return null;
+        
+        const shorten = width * ARROW_HEAD_LENGTH + from.size * ARROW_TIP_GAP;
+        const color = ANNOTATION_COLORS[annotation.color] ? annotation.color : 'green';
+        
+        const line = document.createElementNS(SVG_NS, 'line');
+        line.setAttribute('x1', from.x);
+        line.setAttribute('y1', from.y);
+        line.setAttribute('x2', to.x - dx / length * shorten);
+        line.setAttribute('y2', to.y - dy / length * shorten);
+        line.setAttribute('stroke', ANNOTATION_COLORS[color]);
+        line.setAttribute('stroke-width', width);
+        line.setAttribute('stroke-linecap', 'round');
+        line.setAttribute('marker-end', `url(#${this.markerPrefix}-${color})`);
+        line.setAttribute('class', `annotation-arrow annotation-${color}`);
+        
+        return line;
+    }
+    
+    /**
+     * Create the SVG circle around a square
+     */
+    createCircle(annotation, bounds) {
+        const square = this.getSquareGeometry(annotation.square, bounds);
+        if (!square) return null;
+        
+        const width = square.size * CIRCLE_WIDTH;
+        const color = ANNOTATION_COLORS[annotation.color] ? annotation.color : 'green';
+        
+        const circle = document.createElementNS(SVG_NS, 'circle');
+        circle.setAttribute('cx', square.x);
+        circle.setAttribute('cy', square.y);
+        circle.setAttribute('r', square.size / 2 - width);
+        circle.setAttribute('fill', 'none');
+        circle.setAttribute('stroke', ANNOTATION_COLORS[color]);
+        circle.setAttribute('stroke-width', width);
+        circle.setAttribute('class', `annotation-circle annotation-${color}`);
+        
+        return circle;
+    }
+    
+    /**
+     * Let the user draw marks with the right mouse button
+     * Listeners run in the capture phase so a right-button press never starts
+     * a chessboard.js piece drag. A left-button press clears the user's marks.
+     */
+    attachUserDrawing() {
+        const squareAt = event => {
+            const target = document.elementFromPoint
+                ? document.elementFromPoint(event.clientX, event.clientY)
+                : event.target;
+            const squareEl = target && target.closest ? target.closest('[data-square]') : null;
+            
+            return squareEl && this.container.contains(squareEl) ? squareEl.getAttribute('data-square') : null;
+        };
+        
+        this.container.addEventListener('contextmenu', event => event.preventDefault());
+        
+        this.container.addEventListener('mousedown', event => {
+            if (event.button === 2) {
+                event.preventDefault();
+                event.stopPropagation();
+                this.drawStartSquare = squareAt(event);
+            } else if (event.button === 0 && this.get('user').length > 0) {
+                this.clear('user');
+            }
+        }, true);
+        
+        this.container.addEventListener('mouseup', event => {
+            if (event.button !== 2 || !this.drawStartSquare) return;
+            
+            const start = this.drawStartSquare;
+            const end = squareAt(event);
+            this.drawStartSquare = null;
+            if (!end) return;
+            
+            const color = this.getColorForModifiers(event);
+            this.toggleUserAnnotation(start === end
+                ? { type: 'circle', square: start, color: color }
+                : { type: 'arrow', from: start, to: end, color: color });
+        }, true);
+    }
+    
+    /**
+     * Pick a mark color from the modifier keys held while drawing
+     */
+    getColorForModifiers(event) {
+        if (event.shiftKey && event.altKey) return 'yellow';
+        if (event.shiftKey) return 'red';
+        if (event.altKey) return 'blue';
+        return 'green';
+    }
+}
+
+export { BoardAnnotations, ANNOTATION_COLORS };
+
+// For backwards compatibility with CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BoardAnnotations, ANNOTATION_COLORS };
+}
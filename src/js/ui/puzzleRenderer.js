@@ -0,0 +1,1498 @@
+/**
+ * Puzzle Renderer - Browser frontend for ChessGuerilla
+ *
+ * Owns the chessboard.js board and every DOM element of the puzzle page.
+ * It forwards user input to a ChessGuerilla instance and redraws itself from
+ * the events the puzzle flow emits, so the game itself never touches the DOM.
+ */
+
+import { findKing, squareToCoords, coordsToSquare, getPieceName, joinNames } from '../core/boardAnalysis';
+import { describeMove } from '../core/moveNotation';
+import { BoardAnnotations } from './boardAnnotations';
+import { THEME_CATEGORIES, getThemesByCategory, getThemeName } from '../core/constants';
+import { formatRating } from '../core/glicko2';
+
+// Pieces offered when a pawn promotes, in picker order
+const PROMOTION_PIECES = [
+    { type: 'q', name: 'Queen' },
+    { type: 'r', name: 'Rook' },
+    { type: 'b', name: 'Bishop' },
+    { type: 'n', name: 'Knight' }
+];
+
+// Square classes for selection, legal moves, the last move and check
+const MARKER_CLASSES = ['selected-square', 'legal-move', 'legal-capture', 'last-move', 'in-check'];
+
+// Board steps for the arrow keys, as seen from White's side
+const ARROW_KEY_STEPS = {
+    ArrowUp: [0, 1],
+    ArrowDown: [0, -1],
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0]
+};
+
+// Animation timing in milliseconds
+const SETUP_MOVE_DELAY = 800;
+const OPPONENT_MOVE_DELAY = 300;
+const REFUTATION_STEP_DELAY = 700;
+
+// Most puzzles taken from one Lichess dump, which holds millions
+const LICHESS_IMPORT_LIMIT = 1000;
+
+// Characters that must not reach innerHTML unescaped
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Escape text for use in HTML
+ * Puzzle text can come from imported files, so it is never trusted as markup.
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+class PuzzleRenderer {
+    /**
+     * @param {Object} game - ChessGuerilla instance to render
+     * @param {string} boardContainerId - DOM ID for the chess board container
+     * @param {Object} boardConfig - Configuration for the chessboard
+     */
+    constructor(game, boardContainerId, boardConfig = {}) {
+        this.game = game;
+        this.puzzleCore = game.puzzleCore;
+        
+        // Opponent move animation state
+        this.isPlayingSetupMove = false;
+        this.setupMoveTimer = null;
+        this.opponentMoveTimer = null;
+        
+        // Refutation line animation state
+        this.isShowingRefutation = false;
+        this.refutationTimers = [];
+        
+        // Trap explanation and reset timers
+        this.trapTimers = [];
+        
+        // Promotion picker state
+        this.promotionPicker = null;
+        this.promotionKeyHandler = null;
+        
+        // Click-to-move state
+        this.selectedSquare = null;
+        this.dragWasSelected = false;
+        
+        // Keyboard and screen reader state
+        this.focusedSquare = null;
+        this.pendingAnnouncements = [];
+        this.announceTimer = null;
+        
+        this.initializeBoard(boardContainerId, boardConfig);
+        this.subscribe();
+        this.attachEventListeners();
+    }
+    
+    /**
+     * Initialize the chess board UI
+     * @param {string} boardContainerId - DOM ID for the chess board container
+     * @param {Object} boardConfig - Configuration for the chessboard
+     */
+    initializeBoard(boardContainerId, boardConfig = {}) {
+        // Default board configuration
+        const config = {
+            draggable: true,
+            position: 'start',
+            pieceTheme: 'img/chesspieces/wikipedia/{piece}.png',
+            orientation: 'white',
+            onDragStart: this.onDragStart.bind(this),
+            onDrop: this.onDrop.bind(this),
+            onSnapEnd: this.onSnapEnd.bind(this),
+            ...boardConfig
+        };
+        
+        // Initialize the chessboard
+        this.boardContainerId = boardContainerId;
+        this.boardConfig = config;
+        this.board = Chessboard(boardContainerId, config);
+        
+        // Arrows and circles drawn over the board
+        const boardElement = document.getElementById(boardContainerId);
+        this.annotations = boardElement ? new BoardAnnotations(boardElement) : null;
+        
+        // Set the board size responsively
+        this.resizeBoard();
+        window.addEventListener('resize', this.resizeBoard.bind(this));
+        
+        // Tap a piece, then tap its target square
+        if (boardElement) {
+            boardElement.addEventListener('click', event => {
+                const squareEl = event.target.closest('[data-square]');
+                if (squareEl) this.handleSquareClick(squareEl.getAttribute('data-square'));
+            });
+            
+            // Arrow keys move between squares, Enter or Space acts like a tap
+            boardElement.addEventListener('keydown', event => this.handleBoardKeydown(event));
+        }
+    }
+    
+    /**
+     * Subscribe to the events of the puzzle flow
+     */
+    subscribe() {
+        const handlers = {
+            puzzleLoaded: event => this.handlePuzzleLoaded(event),
+            moveAccepted: event => this.handleMoveAccepted(event),
+            moveRejected: event => this.handleMoveRejected(event),
+            refutationReady: event => this.handleRefutationReady(event),
+            opponentMoved: event => this.handleOpponentMoved(event),
+            trapTriggered: event => this.handleTrapTriggered(event),
+            puzzleCompleted: event => this.handlePuzzleCompleted(event),
+            hintShown: event => this.handleHintShown(event),
+            solutionRevealed: event => this.handleSolutionRevealed(event),
+            navigated: event => this.handleNavigated(event),
+            progressUpdated: event => this.handleProgressUpdated(event),
+            placementProgress: event => this.handlePlacementProgress(event),
+            poolExhausted: event => this.handlePoolExhausted(event)
+        };
+        
+        Object.keys(handlers).forEach(eventName => {
+            this.game.on(eventName, handlers[eventName]);
+        });
+    }
+    
+    /**
+     * Fill the theme selector from the theme registry
+     * Only themes with puzzles are offered, grouped by rating category.
+     * @param {HTMLSelectElement} select - The theme selector
+     */
+    populateThemeSelect(select) {
+        const available = this.game.puzzleGenerator.getAvailableThemes();
+        
+        Object.values(THEME_CATEGORIES).forEach(category => {
+            const themes = getThemesByCategory(category.id).filter(theme => available.includes(theme.id));
+            if (themes.length === 0) return;
+            
+            const group = document.createElement('optgroup');
+            group.label = category.name;
+            themes.forEach(theme => {
+                const option = document.createElement('option');
+                option.value = theme.id;
+                option.textContent = theme.name;
+                option.title = theme.description;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        });
+    }
+    
+    /**
+     * Resize the chess board to fit the container
+     */
+    resizeBoard() {
+        const board = document.getElementById(this.board.containerElId);
+        if (!board) return;
+        
+        const container = board.parentElement;
+        const containerWidth = container.offsetWidth;
+        const idealSize = Math.min(containerWidth, window.innerHeight * 0.7);
+        
+        board.style.width = `${idealSize}px`;
+        board.style.height = `${idealSize}px`;
+        
+        // Trigger board resize if Chessboard.js has this method
+        if (this.board.resize) {
+            this.board.resize();
+        }
+        
+        // Resizing redraws the squares
+        this.refreshMarkers();
+        if (this.annotations) this.annotations.render();
+    }
+    
+    /**
+     * Attach event listeners for UI controls
+     */
+    attachEventListeners() {
+        // New Puzzle button
+        const newPuzzleBtn = document.getElementById('newPuzzleBtn');
+        if (newPuzzleBtn) {
+            newPuzzleBtn.addEventListener('click', () => this.game.startNewPuzzle());
+        }
+        
+        // Reset Puzzle button
+        const resetPuzzleBtn = document.getElementById('resetPuzzleBtn');
+        if (resetPuzzleBtn) {
+            resetPuzzleBtn.addEventListener('click', () => this.game.resetCurrentPuzzle());
+        }
+        
+        // Hint button
+        const hintBtn = document.getElementById('hintBtn');
+        if (hintBtn) {
+            hintBtn.addEventListener('click', () => this.game.showHint());
+        }
+        
+        // Solution button
+        const solutionBtn = document.getElementById('solutionBtn');
+        if (solutionBtn) {
+            solutionBtn.addEventListener('click', () => this.game.showSolution());
+        }
+        
+        // Move navigation buttons
+        const navigationButtons = {
+            firstMoveBtn: () => this.puzzleCore.goToFirst(),
+            prevMoveBtn: () => this.puzzleCore.goBack(),
+            nextMoveBtn: () => this.puzzleCore.goForward(),
+            lastMoveBtn: () => this.puzzleCore.goToLast()
+        };
+        Object.keys(navigationButtons).forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => this.navigate(navigationButtons[id]));
+            }
+        });
+        
+        // Typed move entry
+        const moveForm = document.getElementById('moveForm');
+        const moveInput = document.getElementById('moveInput');
+        if (moveForm && moveInput) {
+            moveForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                if (this.submitTypedMove(moveInput.value)) {
+                    moveInput.value = '';
+                }
+            });
+        }
+        
+        // Replay button
+        const replayBtn = document.getElementById('replayBtn');
+        if (replayBtn) {
+            replayBtn.addEventListener('click', () => this.replaySolution());
+        }
+        
+        // Difficulty selector
+        const difficultySelect = document.getElementById('difficultySelect');
+        if (difficultySelect) {
+            difficultySelect.addEventListener('change', (e) => {
+                this.game.setDifficulty(e.target.value);
+            });
+        }
+        
+        // Theme selector
+        const themeSelect = document.getElementById('themeSelect');
+        if (themeSelect) {
+            this.populateThemeSelect(themeSelect);
+            themeSelect.addEventListener('change', (e) => {
+                this.game.setTheme(e.target.value);
+            });
+        }
+        
+        // Trap toggle
+        const trapToggle = document.getElementById('trapToggle');
+        if (trapToggle) {
+            trapToggle.addEventListener('change', (e) => {
+                this.game.setTrapGeneration(e.target.checked);
+                this.updateUI();
+            });
+        }
+        
+        // Lichess puzzle import from a local file
+        const lichessImport = document.getElementById('lichessImport');
+        if (lichessImport) {
+            lichessImport.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.reportPuzzleImport(file, 'Lichess', this.game.importLichessFile(file, { limit: LICHESS_IMPORT_LIMIT }));
+                }
+                e.target.value = '';
+            });
+        }
+        
+        // PGN puzzle collection import from a local file
+        const pgnImport = document.getElementById('pgnImport');
+        if (pgnImport) {
+            pgnImport.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.reportPuzzleImport(file, 'PGN', this.game.importPgnFile(file));
+                }
+                e.target.value = '';
+            });
+        }
+    }
+    
+    /**
+     * Report on the import of a puzzle file the user picked
+     * @param {File} file - The picked file
+     * @param {string} source - Name of the format, e.g. "Lichess"
+     * @param {Promise} importing - Resolves to { imported, rejected, skipped }
+     */
+    reportPuzzleImport(file, source, importing) {
+        this.showMessage(`Importing puzzles from ${file.name}...`, "info");
+        
+        importing
+            .then(result => {
+                const skipped = result.rejected + result.skipped;
+                let message = `Imported ${result.imported.length} ${source} puzzles` +
+                    (skipped > 0 ? ` (${skipped} unusable entries skipped).` : '.');
+                if (result.saveFailed) {
+                    message += ' They could not be saved and will be gone after a reload.';
+                }
+                this.showMessage(message, result.saveFailed ? "warning" : "success");
+                this.announce(message);
+                this.updateUI();
+            })
+            .catch(error => {
+                console.error(`Error importing ${source} puzzles:`, error);
+                this.showMessage('Could not import the puzzle file.', 'error');
+            });
+    }
+    
+    /**
+     * Show a newly loaded or reset puzzle
+     */
+    handlePuzzleLoaded(event) {
+        this.board.orientation(event.puzzle.orientation);
+        this.clearAnnotations();
+        this.showBoardState(event.boardState);
+        this.updateUI();
+        
+        const puzzle = event.puzzle;
+        const solver = (puzzle.orientation || 'white') === 'white' ? 'White' : 'Black';
+        const setupMove = event.boardState.setupMove;
+        
+        this.announce([
+            event.reason === 'reset' ? 'Puzzle reset.' : 'New puzzle.',
+            setupMove ? `Opponent played ${describeMove(setupMove)}.` : '',
+            `You play ${solver}. ${puzzle.objective || 'Find the best move'}.`
+        ].filter(text => !!text).join(' '));
+    }
+    
+    /**
+     * Show a freshly initialized puzzle position on the board
+     * Animates the opponent's setup move when the puzzle starts with one
+     * @param {Object} boardState - Board state returned by PuzzleCore
+     */
+    showBoardState(boardState) {
+        clearTimeout(this.setupMoveTimer);
+        clearTimeout(this.opponentMoveTimer);
+        this.opponentMoveTimer = null;
+        this.trapTimers.forEach(timer => clearTimeout(timer));
+        this.trapTimers = [];
+        this.stopRefutation();
+        this.hidePromotionPicker();
+        this.selectedSquare = null;
+        this.board.position(boardState.position, false);
+        
+        if (!boardState.setupMove) {
+            this.isPlayingSetupMove = false;
+            this.refreshMarkers();
+            return;
+        }
+        
+        // Block input until the opponent's first move has been shown
+        this.isPlayingSetupMove = true;
+        this.refreshMarkers();
+        this.setupMoveTimer = setTimeout(() => {
+            this.board.position(boardState.setupPosition);
+            this.isPlayingSetupMove = false;
+            this.refreshMarkers();
+        }, SETUP_MOVE_DELAY);
+    }
+    
+    /**
+     * Check whether the board currently ignores user moves
+     */
+    isInputBlocked() {
+        // No puzzle, an animation or promotion choice in progress, or a solution replay
+        return !this.puzzleCore.currentPuzzle ||
+            this.isPlayingSetupMove ||
+            this.isShowingRefutation ||
+            !!this.promotionPicker ||
+            this.puzzleCore.isReplaying;
+    }
+    
+    /**
+     * Check whether the user may move the piece on a square
+     * The piece must belong to the solver and it must be the solver's turn.
+     * @param {string} square - Square of the piece
+     */
+    canMoveFrom(square) {
+        const piece = this.puzzleCore.chessEngine.get(square);
+        
+        return !!piece &&
+            piece.color === this.puzzleCore.getSolverColor() &&
+            piece.color === this.puzzleCore.chessEngine.turn();
+    }
+    
+    /**
+     * Get the legal moves of the piece on a square
+     * @param {string} square - Square of the piece
+     * @returns {Array} Verbose chess.js moves
+     */
+    getLegalMoves(square) {
+        return this.puzzleCore.chessEngine.moves({ square: square, verbose: true });
+    }
+    
+    /**
+     * Handle piece drag start event
+     * @param {string} source - Source square
+     * @param {string} piece - Piece type
+     * @param {Object} position - Current board position
+     * @param {string} orientation - Board orientation
+     */
+    onDragStart(source, piece, position, orientation) {
+        // Only the solver's pieces can be moved, and only on the solver's turn
+        if (this.isInputBlocked() || !this.canMoveFrom(source)) return false;
+        
+        // Show where the piece can go while it is dragged
+        this.dragWasSelected = this.selectedSquare === source;
+        this.selectSquare(source);
+        
+        return true;
+    }
+    
+    /**
+     * Handle piece drop event
+     * @param {string} source - Source square
+     * @param {string} target - Target square
+     * @param {string} piece - Piece type
+     */
+    onDrop(source, target, piece) {
+        // Dropping a piece back on its square is a tap: keep it selected, or unselect it on a second tap
+        if (target === source) {
+            if (this.dragWasSelected) this.clearSelection();
+            return 'snapback';
+        }
+        
+        this.clearSelection();
+        
+        // Pawn promotions wait for the player to choose a piece
+        if (this.isPromotionMove(source, target)) {
+            this.showPromotionPicker(source, target);
+            return 'snapback';
+        }
+        
+        const moveResult = this.game.makeMove(source, target);
+        
+        return this.shouldSnapBack(moveResult) ? 'snapback' : undefined;
+    }
+    
+    /**
+     * Handle a tap or click on a square
+     * Selects one of the solver's pieces, or plays the selected piece to a
+     * legal target square.
+     * @param {string} square - Square that was clicked
+     */
+    handleSquareClick(square) {
+        // Taps on movable pieces reach the drag handlers when the board is draggable
+        if (this.boardConfig.draggable && this.canMoveFrom(square)) return;
+        
+        this.activateSquare(square);
+    }
+    
+    /**
+     * Act on a square chosen by tap, click or keyboard
+     * @param {string} square - Square that was chosen
+     */
+    activateSquare(square) {
+        if (this.isInputBlocked()) return;
+        
+        const source = this.selectedSquare;
+        if (source && this.getLegalMoves(source).some(move => move.to === square)) {
+            this.clearSelection();
+            
+            if (this.isPromotionMove(source, square)) {
+                this.showPromotionPicker(source, square);
+            } else {
+                this.completeMove(source, square);
+            }
+            return;
+        }
+        
+        if (this.canMoveFrom(square) && square !== source) {
+            this.selectSquare(square);
+            
+            const piece = this.puzzleCore.chessEngine.get(square);
+            const targets = this.getLegalMoves(square).map(move => move.to)
+                .filter((target, index, all) => all.indexOf(target) === index);
+            this.announce(targets.length > 0
+                ? `${getPieceName(piece.type)} on ${square} selected. It can move to ${joinNames(targets)}.`
+                : `${getPieceName(piece.type)} on ${square} has no legal moves.`);
+        } else {
+            this.clearSelection();
+        }
+    }
+    
+    /**
+     * Handle keyboard input on the board
+     * @param {KeyboardEvent} event - The keydown event
+     */
+    handleBoardKeydown(event) {
+        const squareEl = event.target.closest('[data-square]');
+        if (!squareEl) return;
+        
+        const square = squareEl.getAttribute('data-square');
+        
+        if (ARROW_KEY_STEPS[event.key]) {
+            event.preventDefault();
+            
+            // Arrows follow the board as it is shown
+            const flip = this.board.orientation() === 'black' ? -1 : 1;
+            const [df, dr] = ARROW_KEY_STEPS[event.key];
+            const [file, rank] = squareToCoords(square);
+            const next = coordsToSquare(file + df * flip, rank + dr * flip);
+            
+            if (next) this.focusSquare(next);
+        } else if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            this.activateSquare(square);
+        } else if (event.key === 'Escape') {
+            this.clearSelection();
+        }
+    }
+    
+    /**
+     * Move keyboard focus to a square
+     * @param {string} square - Square to focus
+     */
+    focusSquare(square) {
+        this.focusedSquare = square;
+        this.updateSquareAccessibility();
+        
+        const squareEl = this.getSquareElement(square);
+        if (squareEl) squareEl.focus();
+    }
+    
+    /**
+     * Get the DOM element of a board square
+     * @param {string} square - Square name
+     */
+    getSquareElement(square) {
+        const boardElement = document.getElementById(this.boardContainerId);
+        return boardElement ? boardElement.querySelector(`.square-${square}`) : null;
+    }
+    
+    /**
+     * Give every square a label and keep a single square in the tab order
+     * Labels follow the position shown on the board.
+     */
+    updateSquareAccessibility() {
+        const boardElement = document.getElementById(this.boardContainerId);
+        if (!boardElement) return;
+        
+        const position = this.board.position();
+        const focused = this.focusedSquare || (this.board.orientation() === 'black' ? 'h8' : 'a1');
+        
+        boardElement.querySelectorAll('[data-square]').forEach(squareEl => {
+            const square = squareEl.getAttribute('data-square');
+            const piece = position[square];
+            const states = [];
+            
+            if (squareEl.classList.contains('selected-square')) states.push('selected');
+            if (squareEl.classList.contains('legal-move') || squareEl.classList.contains('legal-capture')) {
+                states.push('legal move');
+            }
+            if (squareEl.classList.contains('last-move')) states.push('last move');
+            if (squareEl.classList.contains('in-check')) states.push('in check');
+            
+            const contents = piece
+                ? `${piece.charAt(0) === 'w' ? 'white' : 'black'} ${getPieceName(piece.charAt(1).toLowerCase())}`
+                : 'empty';
+            
+            squareEl.setAttribute('aria-label', [square, contents].concat(states).join(', '));
+            squareEl.setAttribute('tabindex', square === focused ? '0' : '-1');
+        });
+    }
+    
+    /**
+     * Play a move typed in the move entry box
+     * @param {string} notation - Move in SAN or UCI notation
+     * @returns {boolean} Whether the move was played
+     */
+    submitTypedMove(notation) {
+        if (!notation || notation.trim() === '') return false;
+        
+        if (this.isInputBlocked()) {
+            this.announce('The board is not ready for a move yet.');
+            return false;
+        }
+        
+        this.clearSelection();
+        
+        const moveResult = this.game.makeTypedMove(notation);
+        if (!moveResult) return false;
+        
+        if (!moveResult.valid) {
+            this.showMessage(moveResult.message, "error");
+            this.announce(moveResult.message);
+            return false;
+        }
+        
+        this.showMoveResult(moveResult);
+        return true;
+    }
+    
+    /**
+     * Queue a message for screen readers
+     * Messages announced in quick succession are read together.
+     * @param {string} message - Text to announce
+     */
+    announce(message) {
+        if (!message) return;
+        
+        this.pendingAnnouncements.push(message);
+        if (this.announceTimer) return;
+        
+        this.announceTimer = setTimeout(() => {
+            this.announceTimer = null;
+            
+            const announcer = this.getAnnouncer();
+            const text = this.pendingAnnouncements.join(' ');
+            this.pendingAnnouncements = [];
+            
+            // Clear first so the same text is announced again when repeated
+            announcer.textContent = '';
+            setTimeout(() => {
+                announcer.textContent = text;
+            }, 50);
+        }, 100);
+    }
+    
+    /**
+     * Get the ARIA live region, creating it if the page has none
+     */
+    getAnnouncer() {
+        let announcer = document.getElementById('announcer');
+        
+        if (!announcer) {
+            announcer = document.createElement('div');
+            announcer.id = 'announcer';
+            announcer.className = 'visually-hidden';
+            announcer.setAttribute('role', 'status');
+            announcer.setAttribute('aria-live', 'polite');
+            document.body.appendChild(announcer);
+        }
+        
+        return announcer;
+    }
+    
+    /**
+     * Select a piece and show its legal moves
+     * @param {string} square - Square of the piece
+     */
+    selectSquare(square) {
+        this.selectedSquare = square;
+        this.refreshMarkers();
+    }
+    
+    /**
+     * Unselect the selected piece
+     */
+    clearSelection() {
+        if (!this.selectedSquare) return;
+        
+        this.selectedSquare = null;
+        this.refreshMarkers();
+    }
+    
+    /**
+     * Mark the selected piece, its legal moves, the last move and a king in check
+     * The last move and check markers follow the engine position, so they are
+     * left off while an animation shows a different position.
+     */
+    refreshMarkers() {
+        const boardElement = document.getElementById(this.boardContainerId);
+        if (!boardElement) return;
+        
+        MARKER_CLASSES.forEach(className => {
+            boardElement.querySelectorAll(`.${className}`).forEach(el => el.classList.remove(className));
+        });
+        
+        if (!this.puzzleCore.currentPuzzle || this.isPlayingSetupMove || this.isShowingRefutation) {
+            this.updateSquareAccessibility();
+            return;
+        }
+        
+        const chess = this.puzzleCore.chessEngine;
+        const mark = (square, className) => {
+            const squareEl = boardElement.querySelector(`.square-${square}`);
+            if (squareEl) squareEl.classList.add(className);
+        };
+        
+        const history = chess.history({ verbose: true });
+        if (history.length > 0) {
+            const lastMove = history[history.length - 1];
+            mark(lastMove.from, 'last-move');
+            mark(lastMove.to, 'last-move');
+        }
+        
+        if (chess.in_check()) {
+            mark(findKing(chess, chess.turn()), 'in-check');
+        }
+        
+        if (this.selectedSquare) {
+            mark(this.selectedSquare, 'selected-square');
+            this.getLegalMoves(this.selectedSquare).forEach(move => {
+                mark(move.to, move.captured ? 'legal-capture' : 'legal-move');
+            });
+        }
+        
+        this.updateSquareAccessibility();
+    }
+    
+    /**
+     * Check whether a move should be taken back on the board
+     * Wrong moves are taken back at once; their refutation follows when it is ready.
+     * @param {Object} moveResult - Result from PuzzleCore.evaluateMove
+     */
+    shouldSnapBack(moveResult) {
+        if (!moveResult || !moveResult.valid) return true;
+        
+        return !moveResult.isCorrect && !moveResult.isTrap;
+    }
+    
+    /**
+     * Check whether moving a piece between two squares promotes a pawn
+     * @param {string} source - Source square
+     * @param {string} target - Target square
+     */
+    isPromotionMove(source, target) {
+        return this.getLegalMoves(source).some(move => move.to === target && !!move.promotion);
+    }
+    
+    /**
+     * Show the promotion picker over the board
+     * @param {string} source - Source square of the pawn
+     * @param {string} target - Promotion square
+     */
+    showPromotionPicker(source, target) {
+        this.hidePromotionPicker();
+        
+        const boardElement = document.getElementById(this.boardContainerId);
+        if (!boardElement) return;
+        
+        const color = this.puzzleCore.chessEngine.turn();
+        const pieceTheme = this.boardConfig.pieceTheme;
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'promotion-picker';
+        
+        const dialog = document.createElement('div');
+        dialog.className = 'promotion-picker-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-label', 'Choose a promotion piece');
+        
+        PROMOTION_PIECES.forEach(({ type, name }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'promotion-choice';
+            button.title = name;
+            button.setAttribute('aria-label', `Promote to ${name}`);
+            
+            const image = document.createElement('img');
+            image.src = pieceTheme.replace('{piece}', color + type.toUpperCase());
+            image.alt = name;
+            button.appendChild(image);
+            
+            button.addEventListener('click', event => {
+                event.stopPropagation();
+                this.hidePromotionPicker();
+                this.completeMove(source, target, type);
+            });
+            
+            dialog.appendChild(button);
+        });
+        
+        // Clicking outside the dialog cancels the promotion
+        overlay.addEventListener('click', () => this.hidePromotionPicker());
+        overlay.appendChild(dialog);
+        
+        this.promotionKeyHandler = event => {
+            if (event.key === 'Escape') this.hidePromotionPicker();
+        };
+        document.addEventListener('keydown', this.promotionKeyHandler);
+        
+        boardElement.style.position = 'relative';
+        boardElement.appendChild(overlay);
+        this.promotionPicker = overlay;
+        
+        const firstChoice = dialog.querySelector('button');
+        if (firstChoice) firstChoice.focus();
+    }
+    
+    /**
+     * Remove the promotion picker, if it is open
+     */
+    hidePromotionPicker() {
+        if (this.promotionKeyHandler) {
+            document.removeEventListener('keydown', this.promotionKeyHandler);
+            this.promotionKeyHandler = null;
+        }
+        
+        if (this.promotionPicker && this.promotionPicker.parentNode) {
+            this.promotionPicker.parentNode.removeChild(this.promotionPicker);
+        }
+        this.promotionPicker = null;
+    }
+    
+    /**
+     * Play a move that was not dropped on the board: a tapped move or a promotion
+     * @param {string} source - Source square
+     * @param {string} target - Target square
+     * @param {string} promotion - Chosen piece type (q, r, b or n) for promotions
+     */
+    completeMove(source, target, promotion) {
+        this.showMoveResult(this.game.makeMove(source, target, promotion));
+    }
+    
+    /**
+     * Show a move that was played without dragging
+     * @param {Object} moveResult - Result from PuzzleCore.evaluateMove
+     */
+    showMoveResult(moveResult) {
+        // Show the move on the board unless it is taken back
+        if (this.shouldSnapBack(moveResult)) {
+            this.board.position(this.puzzleCore.chessEngine.fen());
+        } else {
+            this.board.position(moveResult.positionAfterMove);
+        }
+        
+        this.refreshMarkers();
+    }
+    
+    /**
+     * Handle post-move animation completion
+     */
+    onSnapEnd() {
+        // The refutation animation and the opponent's reply update the position themselves
+        if (this.isShowingRefutation || this.opponentMoveTimer) return;
+        
+        // Make sure the board shows the current position
+        if (this.puzzleCore.currentPuzzle) {
+            this.board.position(this.puzzleCore.chessEngine.fen());
+        }
+        
+        this.refreshMarkers();
+    }
+    
+    /**
+     * Confirm a correct move
+     */
+    handleMoveAccepted(event) {
+        this.clearAnnotations('hint');
+        this.announce(`Correct, ${describeMove(event.move)}.`);
+        this.updateUI();
+    }
+    
+    /**
+     * Show the opponent's reply after a short pause
+     */
+    handleOpponentMoved(event) {
+        this.announce(`Opponent played ${describeMove(event.move)}.`);
+        
+        clearTimeout(this.opponentMoveTimer);
+        this.opponentMoveTimer = setTimeout(() => {
+            this.opponentMoveTimer = null;
+            this.board.position(event.position);
+            this.refreshMarkers();
+        }, OPPONENT_MOVE_DELAY);
+    }
+    
+    /**
+     * Explain a rejected move
+     */
+    handleMoveRejected(event) {
+        this.clearAnnotations('hint');
+        this.showMessage("Try again. That's not the best move.", "error");
+        this.announce(`${describeMove(event.move)} is not the best move. Try again.`);
+        this.updateUI();
+    }
+    
+    /**
+     * Play the refutation of a wrong move once PuzzleCore has found it
+     */
+    handleRefutationReady(event) {
+        // Put the wrong move back on the board while the refutation plays
+        this.board.position(event.positionAfterMove);
+        this.showRefutation(event.refutation);
+        this.announce(`${event.refutation.summary} Try again.`);
+    }
+    
+    /**
+     * Explain a trap the user fell for, then reset the puzzle
+     */
+    handleTrapTriggered(event) {
+        const trapInfo = event.trapInfo;
+        this.showMessage(`You fell for the ${trapInfo.name} trap!`, "warning");
+        this.announce(`You fell for the ${trapInfo.name} trap. ${trapInfo.explanation}`);
+        
+        this.trapTimers.push(setTimeout(() => {
+            this.showMessage(trapInfo.explanation, "info");
+            if (this.annotations) this.annotations.set('explanation', event.annotations);
+        }, 1500));
+        this.trapTimers.push(setTimeout(() => this.game.resetCurrentPuzzle(), 4500));
+        
+        this.updateUI();
+    }
+    
+    /**
+     * Report the end of a puzzle
+     */
+    handlePuzzleCompleted(event) {
+        if (event.solved) {
+            this.showMessage("Puzzle solved correctly!", "success");
+            this.announce("Puzzle solved correctly!");
+        } else if (!event.trapped && !event.solutionRevealed) {
+            this.showMessage("Puzzle not solved correctly.", "error");
+            this.announce("Puzzle not solved correctly.");
+        }
+        
+        this.updateUI();
+    }
+    
+    /**
+     * Animate the opponent's best reply to a wrong move, then restore the position
+     * @param {Object} refutation - Refutation from PuzzleCore.getRefutation
+     */
+    showRefutation(refutation) {
+        this.stopRefutation();
+        this.isShowingRefutation = true;
+        this.selectedSquare = null;
+        this.refreshMarkers();
+        
+        this.showMessage(refutation.summary, "warning");
+        
+        // Play the refutation line one move at a time
+        refutation.positions.forEach((position, index) => {
+            this.refutationTimers.push(setTimeout(() => {
+                this.board.position(position);
+                if (index === 0) {
+                    this.highlightSquares(refutation.highlightSquares);
+                }
+            }, REFUTATION_STEP_DELAY * (index + 1)));
+        });
+        
+        // Take the line back and let the user try again
+        this.refutationTimers.push(setTimeout(() => {
+            this.board.position(this.puzzleCore.chessEngine.fen());
+            this.isShowingRefutation = false;
+            this.refreshMarkers();
+            this.showMessage(`${refutation.summary} Try again.`, "error");
+        }, REFUTATION_STEP_DELAY * (refutation.positions.length + 1) + 1500));
+    }
+    
+    /**
+     * Cancel a refutation animation that is still playing
+     */
+    stopRefutation() {
+        this.refutationTimers.forEach(timer => clearTimeout(timer));
+        this.refutationTimers = [];
+        this.isShowingRefutation = false;
+    }
+    
+    /**
+     * Move through the moves played so far
+     * @param {Function} step - Navigation call on PuzzleCore
+     */
+    navigate(step) {
+        if (!this.puzzleCore.currentPuzzle || this.isPlayingSetupMove) return;
+        
+        step();
+    }
+    
+    /**
+     * Show the position reached by navigating
+     */
+    handleNavigated(event) {
+        this.stopRefutation();
+        this.hidePromotionPicker();
+        clearTimeout(this.opponentMoveTimer);
+        this.opponentMoveTimer = null;
+        this.selectedSquare = null;
+        this.clearAnnotations('hint');
+        
+        this.board.position(event.boardState.position);
+        this.refreshMarkers();
+        this.updateUI();
+        
+        const { lastMove, navigation } = event.boardState;
+        this.announce(lastMove
+            ? `Move ${navigation.ply} of ${navigation.lastPly}: ${describeMove(lastMove)}.`
+            : 'Starting position.');
+    }
+    
+    /**
+     * Step through the full solution once the puzzle has ended
+     */
+    replaySolution() {
+        if (this.isPlayingSetupMove) return;
+        
+        if (!this.game.replaySolution()) {
+            this.showMessage("Finish the puzzle to replay the solution.", "info");
+            return;
+        }
+        
+        this.showMessage("Replaying the solution. Use the arrows to step through it.", "info");
+    }
+    
+    /**
+     * Enable the navigation buttons that can be used in the current position
+     */
+    updateNavigationControls() {
+        const navigation = this.puzzleCore.getNavigationState();
+        const enabled = {
+            firstMoveBtn: navigation.canGoBack,
+            prevMoveBtn: navigation.canGoBack,
+            nextMoveBtn: navigation.canGoForward,
+            lastMoveBtn: navigation.canGoForward,
+            replayBtn: !!this.puzzleCore.currentPuzzle && !this.puzzleCore.isAttemptActive()
+        };
+        
+        Object.keys(enabled).forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = !enabled[id];
+        });
+    }
+    
+    /**
+     * Show achievements and lesson progress after a puzzle is recorded
+     */
+    handleProgressUpdated(event) {
+        const result = event.skillResult;
+        
+        // Show achievements or milestone progress
+        if (result && result.achievedMilestones.length > 0) {
+            const milestone = result.achievedMilestones[0];
+            setTimeout(() => {
+                this.showAchievement(milestone.title, milestone.description);
+            }, 1000);
+        }
+        
+        // Show lesson completion
+        if (result && result.lessonCompleted) {
+            setTimeout(() => {
+                this.showMessage(`Lesson completed: ${result.nextLesson.title}`, "success");
+            }, 2000);
+        }
+        
+        this.updateUI();
+    }
+    
+    /**
+     * Report progress through the placement test, and the rating it gives
+     */
+    handlePlacementProgress(event) {
+        if (event.finished) {
+            setTimeout(() => {
+                this.showMessage(`Placement test complete. Your starting rating is ${event.rating}.`, "success");
+                this.announce(`Placement test complete. Your starting rating is ${event.rating}.`);
+            }, 1000);
+        }
+        
+        this.updateUI();
+    }
+    
+    /**
+     * Explain why the next puzzle is not the kind the user asked for
+     */
+    handlePoolExhausted(event) {
+        const pool = [
+            event.difficulty,
+            event.theme ? getThemeName(event.theme) : null,
+            'puzzle'
+        ].filter(Boolean).join(' ');
+        
+        const reason = event.poolSize > 0 ?
+            `You have played every ${pool}.` :
+            `There are no ${pool}s yet.`;
+        const fallbacks = {
+            otherTheme: 'Here is a new puzzle from another theme.',
+            repeat: 'Here is one you have seen before.',
+            template: 'Here is a generated practice position.'
+        };
+        
+        const message = `${reason} ${fallbacks[event.fallback] || ''}`.trim();
+        this.showMessage(message, "info");
+        this.announce(message);
+    }
+    
+    /**
+     * Offer the placement test to a new user
+     * Starting it loads the first test puzzle; declining is remembered.
+     */
+    offerPlacementTest() {
+        const modalEl = document.createElement('div');
+        modalEl.innerHTML = `
+            <div class="report-modal placement-modal">
+                <div class="report-modal-content">
+                    <h2>Find Your Level</h2>
+                    <p>Solve about ${this.game.getPlacementTestLength()} puzzles of different themes and difficulty so your starting rating fits you.</p>
+                    <button class="btn primary start-placement-btn">Take the Placement Test</button>
+                    <button class="btn skip-placement-btn">Skip</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modalEl);
+        
+        modalEl.querySelector('.start-placement-btn').addEventListener('click', () => {
+            document.body.removeChild(modalEl);
+            this.game.startPlacementTest();
+        });
+        
+        modalEl.querySelector('.skip-placement-btn').addEventListener('click', () => {
+            document.body.removeChild(modalEl);
+            this.game.skipPlacementTest();
+        });
+    }
+    
+    /**
+     * Show a hint and draw the arrows or circles it comes with
+     * Falls back to highlighting squares for hints without annotations.
+     */
+    handleHintShown(event) {
+        const hint = event.hint;
+        
+        this.showMessage(hint.message, "info");
+        
+        if (this.annotations && hint.annotations && hint.annotations.length > 0) {
+            this.annotations.set('hint', hint.annotations);
+        } else if (hint.highlightSquares && hint.highlightSquares.length > 0) {
+            this.highlightSquares(hint.highlightSquares);
+        }
+        
+        if (hint.highlightSquares && hint.highlightSquares.length > 0) {
+            this.announce(`Hint: ${hint.message} Highlighted: ${joinNames(hint.highlightSquares)}.`);
+        } else {
+            this.announce(`Hint: ${hint.message}`);
+        }
+    }
+    
+    /**
+     * Remove board annotations
+     * @param {string} group - Annotation group to remove (optional, all groups by default)
+     */
+    clearAnnotations(group) {
+        if (this.annotations) this.annotations.clear(group);
+    }
+    
+    /**
+     * Highlight squares on the board
+     * @param {Array} squares - Array of square names to highlight
+     */
+    highlightSquares(squares) {
+        // Remove any existing highlights
+        const highlightClass = 'highlight-square';
+        document.querySelectorAll(`.${highlightClass}`).forEach(el => {
+            el.classList.remove(highlightClass);
+        });
+        
+        // Add highlights to the specified squares
+        squares.forEach(square => {
+            const squareEl = document.querySelector(`.square-${square}`);
+            if (squareEl) {
+                squareEl.classList.add(highlightClass);
+            }
+        });
+        
+        // Remove highlights after a delay
+        setTimeout(() => {
+            document.querySelectorAll(`.${highlightClass}`).forEach(el => {
+                el.classList.remove(highlightClass);
+            });
+        }, 3000);
+    }
+    
+    /**
+     * Show the explanation and the full solution line
+     */
+    handleSolutionRevealed(event) {
+        const explanation = this.puzzleCore.getPuzzleExplanation();
+        this.showMessage(`Solution: ${explanation.explanation}`, "info");
+        
+        // Show full solution moves after a delay
+        setTimeout(() => {
+            this.showMessage(`Correct sequence: ${event.solution.text}`, "info");
+        }, 2000);
+        
+        this.announce(`Solution: ${explanation.explanation} Correct sequence: ${event.solution.text}.`);
+    }
+    
+    /**
+     * Show a message in the UI
+     * @param {string} message - The message to display
+     * @param {string} type - Message type (success, error, info, warning)
+     */
+    showMessage(message, type = "info") {
+        const messageBox = document.getElementById('messageBox');
+        if (!messageBox) return;
+        
+        // Set message content and type
+        messageBox.textContent = message;
+        messageBox.className = `message-box ${type}`;
+        
+        // Make sure the message box is visible
+        messageBox.style.display = 'block';
+        
+        // Clear the message after a delay for certain types
+        if (type === "success" || type === "error") {
+            setTimeout(() => {
+                messageBox.style.display = 'none';
+            }, 5000);
+        }
+    }
+    
+    /**
+     * Show an achievement notification
+     * @param {string} title - Achievement title
+     * @param {string} description - Achievement description
+     */
+    showAchievement(title, description) {
+        // Create achievement notification element if it doesn't exist
+        let achievementEl = document.getElementById('achievement-notification');
+        
+        if (!achievementEl) {
+            achievementEl = document.createElement('div');
+            achievementEl.id = 'achievement-notification';
+            document.body.appendChild(achievementEl);
+        }
+        
+        // Set achievement content
+        achievementEl.innerHTML = `
+            <div class="achievement-icon">🏆</div>
+            <div class="achievement-content">
+                <h3>${title}</h3>
+                <p>${description}</p>
+            </div>
+        `;
+        
+        // Show the achievement
+        achievementEl.classList.add('show');
+        
+        // Hide after a delay
+        setTimeout(() => {
+            achievementEl.classList.remove('show');
+        }, 5000);
+    }
+    
+    /**
+     * Update UI elements with the latest game state
+     */
+    updateUI() {
+        // Update puzzle info
+        const puzzleInfoEl = document.getElementById('puzzle-info');
+        if (puzzleInfoEl && this.puzzleCore.currentPuzzle) {
+            const puzzle = this.puzzleCore.currentPuzzle;
+            
+            // Imported puzzles carry text from the file, so it is set as text, never as markup
+            const addInfo = (className, text) => {
+                const infoEl = document.createElement('div');
+                infoEl.className = className;
+                infoEl.textContent = text;
+                puzzleInfoEl.appendChild(infoEl);
+            };
+            
+            puzzleInfoEl.textContent = '';
+            addInfo('puzzle-theme', puzzle.theme ? getThemeName(puzzle.theme) : 'General Tactics');
+            if (puzzle.isReview) {
+                addInfo('puzzle-review', 'Review');
+            }
+            if (puzzle.isPlacement && this.game.placementTest) {
+                const progress = this.game.placementTest.getProgress();
+                addInfo('puzzle-placement', `Placement test: puzzle ${progress.played + 1} of ${progress.total}`);
+            }
+            addInfo('puzzle-difficulty', puzzle.difficulty || 'Medium');
+            addInfo('puzzle-objective', puzzle.objective || 'Find the best move');
+        }
+        
+        // Update stats display
+        const statsEl = document.getElementById('stats-display');
+        if (statsEl) {
+            const profile = this.game.skillTracker.skillProfile;
+            statsEl.innerHTML = `
+                <div class="stat-item">
+                    <span class="stat-label">Rating:</span>
+                    <span class="stat-value"${profile.isProvisional() ? ' title="Provisional rating: solve more puzzles to settle it"' : ''}>${formatRating(profile.ratings.overall)}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Solved:</span>
+                    <span class="stat-value">${this.game.sessionStats.puzzlesSolved}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Streak:</span>
+                    <span class="stat-value">${this.game.sessionStats.currentStreak}</span>
+                </div>
+            `;
+        }
+        
+        // Update trap toggle state
+        const trapToggle = document.getElementById('trapToggle');
+        if (trapToggle) {
+            trapToggle.checked = this.game.puzzleGenerator.options.includeTraps;
+        }
+        
+        // Update difficulty selector
+        const difficultySelect = document.getElementById('difficultySelect');
+        if (difficultySelect) {
+            difficultySelect.value = this.game.options.difficulty;
+        }
+        
+        // Update move navigation buttons
+        this.updateNavigationControls();
+    }
+    
+    /**
+     * Display a performance report in the UI
+     */
+    showPerformanceReport() {
+        const report = this.game.generateReport();
+        
+        // Create a modal for the report
+        const modalHtml = `
+            <div class="report-modal">
+                <div class="report-modal-content">
+                    <span class="close-button">&times;</span>
+                    <h2>Chess Performance Report</h2>
+                    <div class="report-section">
+                        <h3>Rating: ${formatRating(report.ratings.overall)}</h3>
+                        ${report.provisional ? '<p class="provisional-note">Your rating is provisional (?) until you have solved more puzzles.</p>' : ''}
+                        <div class="progress-bar">
+                            <div class="progress-fill" style="width: ${report.nextLevelProgress};"></div>
+                        </div>
+                        <p>Progress to ${report.nextMilestone ? report.nextMilestone.title : 'next level'}: ${report.nextLevelProgress}</p>
+                        <table class="category-ratings">
+                            ${Object.values(THEME_CATEGORIES).map(category => 
+                                `<tr><td>${category.name}:</td><td>${formatRating(report.ratings[category.id])}</td></tr>`).join('')}
+                        </table>
+                    </div>
+                    <div class="report-section">
+                        <h3>Strengths</h3>
+                        <ul>
+                            ${report.strengthThemes.map(theme => `<li>${this.formatThemeRating(theme, report.themeRatings[theme])}</li>`).join('')}
+                        </ul>
+                    </div>
+                    <div class="report-section">
+                        <h3>Areas for Improvement</h3>
+                        <ul>
+                            ${report.weaknessThemes.map(theme => `<li>${this.formatThemeRating(theme, report.themeRatings[theme])}</li>`).join('')}
+                        </ul>
+                    </div>
+                    <div class="report-section">
+                        <h3>Statistics</h3>
+                        <table>
+                            <tr><td>Puzzles Solved:</td><td>${report.puzzlesSolved}</td></tr>
+                            <tr><td>Success Rate:</td><td>${report.successRate}</td></tr>
+                            <tr><td>Best Streak:</td><td>${report.bestStreak}</td></tr>
+                            <tr><td>Reviews Due Today:</td><td>${report.reviewsDueToday}</td></tr>
+                        </table>
+                    </div>
+                    <div class="report-section">
+                        <h3>Recommendation</h3>
+                        <p>Focus on: <strong>${escapeHtml(getThemeName(report.recommendedFocus))}</strong></p>
+                    </div>
+                    <button class="share-report-btn">Share Report</button>
+                    <button class="retake-placement-btn">Retake Placement Test</button>
+                </div>
+            </div>
+        `;
+        
+        // Create the modal element
+        const modalEl = document.createElement('div');
+        modalEl.innerHTML = modalHtml;
+        document.body.appendChild(modalEl);
+        
+        // Add event listeners for the modal
+        const modal = modalEl.querySelector('.report-modal');
+        const closeBtn = modalEl.querySelector('.close-button');
+        const shareBtn = modalEl.querySelector('.share-report-btn');
+        const retakeBtn = modalEl.querySelector('.retake-placement-btn');
+        
+        closeBtn.addEventListener('click', () => {
+            document.body.removeChild(modalEl);
+        });
+        
+        shareBtn.addEventListener('click', () => {
+            this.shareReport(report);
+        });
+        
+        retakeBtn.addEventListener('click', () => {
+            document.body.removeChild(modalEl);
+            this.game.startPlacementTest();
+        });
+        
+        // Close modal if clicked outside
+        window.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                document.body.removeChild(modalEl);
+            }
+        });
+    }
+    
+    /**
+     * Format a theme with its rating and confidence interval for the report
+     */
+    formatThemeRating(theme, themeRating) {
+        const name = escapeHtml(getThemeName(theme));
+        if (!themeRating) return name;
+        return `${name}: ${themeRating.rating} <span class="rating-interval">(${themeRating.low}–${themeRating.high})</span>`;
+    }
+    
+    /**
+     * Share performance report
+     */
+    shareReport(report) {
+        // Create shareable text
+        const shareText = `
+My ChessGuerilla Report:
+Rating: ${formatRating(report.ratings.overall)}
+${Object.values(THEME_CATEGORIES).map(category => `${category.name}: ${formatRating(report.ratings[category.id])}`).join(', ')}
+Strengths: ${report.strengthThemes.join(', ')}
+Areas to improve: ${report.weaknessThemes.join(', ')}
+Puzzles solved: ${report.puzzlesSolved}
+Success rate: ${report.successRate}
+#ChessGuerilla
+        `.trim();
+        
+        // Check if Web Share API is supported
+        if (navigator.share) {
+            navigator.share({
+                title: 'My ChessGuerilla Performance Report',
+                text: shareText,
+                url: window.location.href
+            })
+            .catch(error => console.error('Error sharing:', error));
+        } else {
+            // Fallback to clipboard
+            navigator.clipboard.writeText(shareText)
+                .then(() => {
+                    this.showMessage('Report copied to clipboard!', 'success');
+                })
+                .catch(error => {
+                    console.error('Error copying report:', error);
+                    this.showMessage('Could not copy report to clipboard.', 'error');
+                    
+                    // Show in a textarea as last resort
+                    const textarea = document.createElement('textarea');
+                    textarea.value = shareText;
+                    textarea.style.position = 'fixed';
+                    textarea.style.left = '0';
+                    textarea.style.top = '0';
+                    document.body.appendChild(textarea);
+                    textarea.focus();
+                    textarea.select();
+                    document.execCommand('copy');
+                    document.body.removeChild(textarea);
+                });
+        }
+    }
+}
+
+export { PuzzleRenderer };
+
+// For backwards compatibility with CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PuzzleRenderer };
+}
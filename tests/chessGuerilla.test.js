@@ -0,0 +1,236 @@
+// Headless tests for the ChessGuerilla puzzle flow
+const { Chess } = require('chess.js');
+
+// The game modules expect chess.js as a browser global
+global.Chess = Chess;
+
+const { ChessGuerilla } = require('../src/js/chessGuerilla');
+
+const forkPuzzle = {
+  id: 'fork-flow-test',
+  fen: 'r1bqkb1r/pppp1ppp/2n2n2/4p3/4P3/2N2N2/PPPP1PPP/R1BQKB1R w KQkq - 4 4',
+  moves: ['Nxe5', 'd6', 'Nxc6', 'bxc6'],
+  orientation: 'white',
+  theme: 'forks'
+};
+
+function createGame() {
+  const game = new ChessGuerilla({ userId: 'test-user', useLocalStorage: false });
+  const events = [];
+
+  ['puzzleLoaded', 'moveAccepted', 'moveRejected', 'opponentMoved', 'trapTriggered',
+    'puzzleCompleted', 'hintShown', 'solutionRevealed', 'navigated', 'progressUpdated']
+    .forEach(name => game.on(name, event => events.push(event)));
+
+  return { game, events };
+}
+
+describe('ChessGuerilla events', () => {
+  test('plays a puzzle to the end without a DOM', () => {
+    const { game, events } = createGame();
+    game.loadPuzzle(forkPuzzle);
+    game.makeMove('f3', 'e5');
+    game.makeMove('e5', 'c6');
+
+    expect(events.map(event => event.type)).toEqual([
+      'puzzleLoaded',
+      'moveAccepted', 'opponentMoved',
+      'moveAccepted', 'opponentMoved',
+      'progressUpdated', 'puzzleCompleted'
+    ]);
+
+    const completed = events[events.length - 1];
+    expect(completed.solved).toBe(true);
+    expect(completed.result).toBe('solved');
+    expect(game.sessionStats.puzzlesSolved).toBe(1);
+    expect(game.sessionStats.currentStreak).toBe(1);
+  });
+
+  test('reports rejected moves with their refutation', async () => {
+    const { game, events } = createGame();
+    const refutation = new Promise(resolve => game.on('refutationReady', resolve));
+    game.loadPuzzle(forkPuzzle);
+    game.makeMove('a2', 'a3');
+
+    const rejected = events.find(event => event.type === 'moveRejected');
+    expect(rejected.move.san).toBe('a3');
+    expect(rejected.position).toBe(game.puzzleCore.chessEngine.fen());
+    expect(events.some(event => event.type === 'puzzleCompleted')).toBe(false);
+    expect((await refutation).move.san).toBe('a3');
+  });
+
+  test('counts the first wrong move as a failure, once', () => {
+    const { game } = createGame();
+    game.loadPuzzle(forkPuzzle);
+    game.makeMove('a2', 'a3');
+    game.makeMove('a2', 'a4');
+    game.makeMove('f3', 'e5');
+    game.makeMove('e5', 'c6');
+
+    expect(game.sessionStats.puzzlesFailed).toBe(1);
+    expect(game.sessionStats.puzzlesSolved).toBe(0);
+    expect(game.puzzleCore.getPuzzleStats()).toMatchObject({ total: 1, failed: 1 });
+  });
+
+  test('counts hints and records a revealed solution once', () => {
+    const { game, events } = createGame();
+    game.loadPuzzle(forkPuzzle);
+    game.showHint();
+    game.showSolution();
+    game.showSolution();
+
+    expect(events.filter(event => event.type === 'hintShown')).toHaveLength(1);
+    expect(game.sessionStats.hintsUsed).toBe(1);
+    expect(game.sessionStats.puzzlesFailed).toBe(1);
+
+    const completions = events.filter(event => event.type === 'puzzleCompleted');
+    expect(completions.map(event => event.recorded)).toEqual([true, false]);
+  });
+
+  test('keeps the hints of an attempt across a reset', () => {
+    const { game } = createGame();
+    const updateAfterPuzzle = jest.spyOn(game.skillTracker, 'updateAfterPuzzle');
+    game.loadPuzzle(forkPuzzle);
+    game.showHint();
+    game.resetCurrentPuzzle();
+    game.showSolution();
+
+    expect(updateAfterPuzzle).toHaveBeenCalledWith(expect.objectContaining({ id: forkPuzzle.id }), false, expect.any(Number), 1);
+  });
+
+  test('stops notifying a listener after it unsubscribes', () => {
+    const game = new ChessGuerilla({ userId: 'test-user', useLocalStorage: false });
+    const listener = jest.fn();
+    const unsubscribe = game.on('puzzleLoaded', listener);
+
+    game.loadPuzzle(forkPuzzle);
+    unsubscribe();
+    game.resetCurrentPuzzle();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].reason).toBe('new');
+  });
+});
+
+describe('ChessGuerilla reviews', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('queues a failed puzzle and serves it once due', () => {
+    const { game } = createGame();
+    game.loadPuzzle(forkPuzzle);
+    game.showSolution();
+
+    const review = game.reviewScheduler.reviews[forkPuzzle.id];
+    expect(review).toBeDefined();
+    expect(game.generateReport().reviewsDueToday).toBe(0);
+
+    review.dueDate = Date.now() - 1;
+    game.options.reviewRatio = 1;
+    game.startNewPuzzle();
+
+    expect(game.puzzleCore.currentPuzzle).toMatchObject({ id: forkPuzzle.id, isReview: true });
+    expect(game.generateReport().reviewsDueToday).toBe(1);
+  });
+
+  test('serves new puzzles when the ratio is zero', () => {
+    const { game } = createGame();
+    game.loadPuzzle(forkPuzzle);
+    game.showSolution();
+    game.reviewScheduler.reviews[forkPuzzle.id].dueDate = Date.now() - 1;
+    game.options.reviewRatio = 0;
+
+    game.startNewPuzzle();
+
+    expect(game.puzzleCore.currentPuzzle.isReview).toBeUndefined();
+  });
+});
+
+describe('ChessGuerilla adaptive difficulty', () => {
+  test('eases puzzles back after a losing streak', () => {
+    const { game } = createGame();
+    game.options.reviewRatio = 0;
+    const before = game.difficultyController.getRatingWindow(game.skillTracker.skillProfile.getRating()).target;
+
+    for (let i = 0; i < 5; i++) {
+      game.loadPuzzle({ ...forkPuzzle, id: `loss-${i}` });
+      game.showSolution();
+    }
+
+    const after = game.difficultyController.getRatingWindow(game.skillTracker.skillProfile.getRating()).target;
+    expect(after).toBeLessThan(before);
+    expect(game.startNewPuzzle()).toBeDefined();
+  });
+});
+
+describe('ChessGuerilla placement test', () => {
+  test('plays the test and seeds the rating at the end', () => {
+    const { game, events } = createGame();
+
+    game.on('placementProgress', event => events.push(event));
+
+    expect(game.shouldOfferPlacementTest()).toBe(true);
+    game.startPlacementTest();
+    const total = game.placementTest.getProgress().total;
+    expect(total).toBe(game.getPlacementTestLength());
+    expect(total).toBeLessThan(game.puzzleGenerator.getAllPuzzles().length);
+
+    for (let i = 0; i < total; i++) {
+      expect(game.puzzleCore.currentPuzzle.isPlacement).toBe(true);
+      game.showSolution();
+      game.startNewPuzzle();
+    }
+
+    const progress = events.filter(event => event.type === 'placementProgress');
+    expect(progress).toHaveLength(total);
+    expect(progress[total - 1]).toMatchObject({ finished: true, played: total });
+    expect(events.some(event => event.type === 'progressUpdated')).toBe(false);
+
+    expect(game.placementTest).toBeNull();
+    expect(game.skillTracker.skillProfile.getRating()).toBe(progress[total - 1].rating);
+    expect(game.skillTracker.skillProfile.getRating()).toBeLessThan(1500);
+    expect(game.shouldOfferPlacementTest()).toBe(false);
+    expect(game.puzzleCore.currentPuzzle.isPlacement).toBeUndefined();
+  });
+
+  test('remembers a skipped test', () => {
+    const { game } = createGame();
+
+    game.skipPlacementTest();
+    expect(game.shouldOfferPlacementTest()).toBe(false);
+  });
+});
+
+describe('ChessGuerilla puzzle history', () => {
+  test('does not repeat puzzles until the pool runs out', () => {
+    const { game, events } = createGame();
+
+    game.on('poolExhausted', event => events.push(event));
+    game.options.reviewRatio = 0;
+    game.options.difficulty = 'easy';
+
+    const easyCount = game.puzzleGenerator.getAllPuzzles()
+      .filter(puzzle => puzzle.difficulty === 'easy').length;
+    const played = [];
+
+    for (let i = 0; i < easyCount; i++) {
+      game.startNewPuzzle();
+      played.push(game.puzzleCore.currentPuzzle.id);
+    }
+
+    expect(new Set(played).size).toBe(easyCount);
+    expect(events.some(event => event.fallback === 'repeat')).toBe(false);
+
+    game.startNewPuzzle();
+    expect(events.filter(event => event.type === 'poolExhausted').pop())
+      .toMatchObject({ difficulty: 'easy', fallback: 'repeat' });
+  });
+
+  test('counts solved puzzles from earlier sessions as seen', () => {
+    const { game } = createGame();
+
+    game.skillTracker.skillProfile.solvedPuzzles.push('skewer-easy-1');
+    expect(game.getSeenPuzzleIds().has('skewer-easy-1')).toBe(true);
+  });
+});
@@ -0,0 +1,42 @@
+// Tests for the theme registry
+const {
+  THEME_CATEGORIES,
+  THEMES,
+  getTheme,
+  normalizeTheme,
+  normalizeThemes,
+  getThemeName,
+  getThemeCategory,
+  getThemesByCategory
+} = require('../src/js/core/constants');
+
+describe('theme registry', () => {
+  test('gives every theme a unique ID and a known category', () => {
+    const ids = THEMES.map(theme => theme.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(THEMES.every(theme => !!THEME_CATEGORIES[theme.category])).toBe(true);
+  });
+
+  test('resolves IDs, display names and aliases', () => {
+    expect(getTheme('discoveredAttack').name).toBe('Discovered Attacks');
+    expect(normalizeTheme('discovered attacks')).toBe('discoveredAttack');
+    expect(normalizeTheme('Removing the Defender')).toBe('capturingDefender');
+    expect(normalizeTheme('zwischenzug')).toBe('intermezzo');
+    expect(getThemeName('pins')).toBe('Pins');
+  });
+
+  test('keeps unknown names unchanged', () => {
+    expect(getTheme('general')).toBeNull();
+    expect(normalizeTheme('general')).toBe('general');
+    expect(getThemeName('general')).toBe('general');
+  });
+
+  test('normalizes lists without duplicates', () => {
+    expect(normalizeThemes(['forks', 'fork', 'double attacks', '', 'pins'])).toEqual(['fork', 'pin']);
+  });
+
+  test('groups themes by rating category', () => {
+    expect(getThemeCategory('rook endgames')).toBe('endgame');
+    expect(getThemesByCategory('openings').map(theme => theme.id)).toContain('development');
+  });
+});
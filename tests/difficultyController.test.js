@@ -0,0 +1,56 @@
+// Tests for target-success-rate adaptive difficulty
+const { DifficultyController } = require('../src/js/education/difficultyController');
+
+describe('DifficultyController', () => {
+  test('aims below the user rating for a 70% success rate', () => {
+    const controller = new DifficultyController();
+    const window = controller.getRatingWindow(1500);
+
+    expect(window.target).toBe(1353);
+    expect(window.max - window.min).toBe(200);
+  });
+
+  test('aims at the user rating for a 50% success rate', () => {
+    const controller = new DifficultyController({ targetSuccessRate: 0.5 });
+    expect(controller.getRatingWindow(1500).target).toBe(1500);
+  });
+
+  test('eases off during a losing streak', () => {
+    const controller = new DifficultyController();
+    const base = controller.getRatingWindow(1500).target;
+
+    for (let i = 0; i < 10; i++) controller.recordResult(false);
+
+    expect(controller.getRecentSuccessRate()).toBe(0);
+    expect(controller.getRatingWindow(1500).target).toBe(base - 300);
+  });
+
+  test('pushes harder while everything is solved', () => {
+    const controller = new DifficultyController();
+    const base = controller.getRatingWindow(1500).target;
+
+    for (let i = 0; i < 10; i++) controller.recordResult(true);
+
+    expect(controller.getRatingWindow(1500).target).toBe(base + 150);
+  });
+
+  test('weighs a single early result lightly and forgets old results', () => {
+    const controller = new DifficultyController();
+    controller.recordResult(false);
+    expect(controller.getShift()).toBeCloseTo(-35);
+
+    for (let i = 0; i < 10; i++) controller.recordResult(true);
+    expect(controller.recentResults).toHaveLength(10);
+    expect(controller.getRecentSuccessRate()).toBe(1);
+  });
+
+  test('round-trips its state', () => {
+    const controller = new DifficultyController();
+    controller.recordResult(true);
+    controller.recordResult(false);
+
+    const restored = new DifficultyController();
+    expect(restored.importState(controller.exportState())).toBe(true);
+    expect(restored.recentResults).toEqual([true, false]);
+  });
+});
@@ -0,0 +1,97 @@
+// Tests for puzzle and trap validation
+const { Chess } = require('chess.js');
+
+// GameValidator expects chess.js as a browser global
+global.Chess = Chess;
+
+const { GameValidator } = require('../src/js/core/gameValidator');
+const { PuzzleGenerator } = require('../src/js/education/puzzleGenerator');
+
+const validPuzzle = {
+  id: 'fork-test',
+  fen: 'r1bqkb1r/pppp1ppp/2n2n2/4p3/4P3/2N2N2/PPPP1PPP/R1BQKB1R w KQkq - 4 4',
+  moves: ['f3e5', 'd7d6', 'e5c6', 'b7c6'],
+  theme: 'forks',
+  difficulty: 'medium',
+  objective: 'Find the knight fork',
+  explanation: 'The knight wins a pawn.',
+  orientation: 'white'
+};
+
+describe('GameValidator', () => {
+  test('accepts a legal puzzle', () => {
+    const result = new GameValidator().validatePuzzle(validPuzzle);
+    expect(result.valid).toBe(true);
+    expect(result.errors).toEqual([]);
+  });
+
+  test('reports an illegal move along the line', () => {
+    const result = new GameValidator().validatePuzzle({
+      ...validPuzzle,
+      fen: 'r1bqkbnr/ppp2ppp/2np4/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq - 0 4',
+      moves: ['c4f7', 'e8f7', 'd1f3']
+    });
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toMatch(/illegal move "d1f3" at ply 3/);
+  });
+
+  test('reports missing fields and a bad FEN', () => {
+    const result = new GameValidator().validatePuzzle({ id: 'broken', fen: 'not a fen', moves: ['e2e4'] });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain('Missing required field "orientation"');
+    expect(result.errors.some(error => error.startsWith('Invalid FEN'))).toBe(true);
+  });
+
+  test('reports an orientation that contradicts opponentMovesFirst', () => {
+    const result = new GameValidator().validatePuzzle({ ...validPuzzle, opponentMovesFirst: true });
+    expect(result.valid).toBe(false);
+  });
+
+  test('rejects a trap whose defense is illegal and builds a report', () => {
+    const validator = new GameValidator();
+    const report = validator.validateTraps([{
+      name: "Scholar's Mate",
+      fen: 'r1bqkbnr/ppp2ppp/2np4/4p3/2B1P3/5Q2/PPPP1PPP/RNB1K1NR w KQkq - 0 4',
+      trapMove: 'f3f7',
+      correctDefense: 'e8f7',
+      explanation: 'Qxf7 is already mate.'
+    }]);
+    expect(report.total).toBe(1);
+    expect(report.invalidCount).toBe(1);
+    expect(report.invalid[0].errors[0]).toMatch(/e8f7/);
+  });
+});
+
+describe('PuzzleGenerator validation', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('ships only valid puzzles and traps', () => {
+    const warn = jest.spyOn(console, 'warn');
+    const report = new PuzzleGenerator().getValidationReport();
+
+    expect(report.invalid).toEqual([]);
+    expect(report.traps.invalid).toEqual([]);
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  test('reports rejected puzzles without logging them', () => {
+    const warn = jest.spyOn(console, 'warn');
+    const generator = new PuzzleGenerator({ includeTraps: false });
+
+    expect(generator.addPuzzle({ id: 'broken', fen: '8/8/8/8/8/8/8/K6k w - - 0 1', moves: ['a1a3'] })).toBeNull();
+    expect(generator.getValidationReport().invalid.map(result => result.id)).toEqual(['broken']);
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  test('generates random puzzles with a legal solution line', () => {
+    const generator = new PuzzleGenerator({ includeTraps: false });
+    const validator = new GameValidator();
+
+    for (let i = 0; i < 10; i++) {
+      const puzzle = generator.generateRandomPuzzle('tactics', 'easy');
+      expect(validator.validateLine(puzzle.fen, puzzle.moves)).toEqual([]);
+    }
+  });
+});
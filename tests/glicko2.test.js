@@ -0,0 +1,65 @@
+// Tests for the Glicko-2 rating helpers
+const {
+  createRating,
+  updateRating,
+  rateAttempt,
+  toRating,
+  isProvisional,
+  getConfidenceInterval,
+  formatRating
+} = require('../src/js/core/glicko2');
+
+describe('Glicko-2 updates', () => {
+  test('matches the worked example from the Glicko-2 paper', () => {
+    const player = createRating(1500, 200, 0.06);
+    const updated = updateRating(player, [
+      { opponent: createRating(1400, 30), score: 1 },
+      { opponent: createRating(1550, 100), score: 0 },
+      { opponent: createRating(1700, 300), score: 0 }
+    ]);
+
+    expect(updated.rating).toBeCloseTo(1464.06, 1);
+    expect(updated.deviation).toBeCloseTo(151.52, 1);
+    expect(updated.volatility).toBeCloseTo(0.05999, 4);
+  });
+
+  test('a period without games only widens the deviation', () => {
+    const updated = updateRating(createRating(1600, 100), []);
+
+    expect(updated.rating).toBe(1600);
+    expect(updated.deviation).toBeGreaterThan(100);
+  });
+
+  test('never rewards a failure, even against a much harder puzzle', () => {
+    const result = rateAttempt(createRating(1200), createRating(2500, 60), 0);
+
+    expect(result.user.rating).toBeLessThan(1200);
+    expect(result.puzzle.rating).toBeGreaterThan(2500);
+  });
+
+  test('updates user and puzzle in opposite directions', () => {
+    const result = rateAttempt(createRating(1500, 80), createRating(1500, 80), 1);
+
+    expect(result.user.rating).toBeGreaterThan(1500);
+    expect(result.puzzle.rating).toBeLessThan(1500);
+    expect(result.user.deviation).toBeLessThan(80);
+  });
+});
+
+describe('Glicko-2 ratings', () => {
+  test('migrates plain numbers', () => {
+    expect(toRating(1350, 150)).toEqual({ rating: 1350, deviation: 150, volatility: 0.06 });
+    expect(toRating({ rating: 1400 })).toEqual({ rating: 1400, deviation: 350, volatility: 0.06 });
+  });
+
+  test('marks uncertain ratings as provisional', () => {
+    expect(isProvisional(createRating(1500, 350))).toBe(true);
+    expect(isProvisional(createRating(1500, 60))).toBe(false);
+    expect(formatRating(createRating(1499.6, 350))).toBe('1500?');
+    expect(formatRating(createRating(1499.6, 60))).toBe('1500');
+  });
+
+  test('gives a 95% confidence interval', () => {
+    expect(getConfidenceInterval(createRating(1500, 100))).toEqual({ low: 1304, high: 1696 });
+  });
+});
@@ -0,0 +1,174 @@
+// Tests for importing the Lichess puzzle dump
+const { Blob } = require('buffer');
+const { Chess } = require('chess.js');
+
+// The generator and PuzzleCore expect chess.js as a browser global
+global.Chess = Chess;
+
+const {
+  parseCsvLine,
+  getLichessThemes,
+  parseLichessRow,
+  parseLichessCsv,
+  readLichessFile
+} = require('../src/js/core/lichessPuzzles');
+const { PuzzleGenerator } = require('../src/js/education/puzzleGenerator');
+const { PuzzleCore } = require('../src/js/core/puzzleCore');
+const { ChessGuerilla } = require('../src/js/chessGuerilla');
+
+const HEADER = 'PuzzleId,FEN,Moves,Rating,RatingDeviation,Popularity,NbPlays,Themes,GameUrl,OpeningTags';
+const HANGING_PIECE = '00008,r6k/pp2r2p/4Rp1Q/3p4/8/1N1P2R1/PqP2bPP/7K b - - 0 24,f2g3 e6e7 b2b1 b3c1 b1c1 h6c1,' +
+  '1913,75,94,6230,crushing hangingPiece long middlegame,https://lichess.org/787zsVup/black#47,';
+const ENDGAME = '0000D,5rk1/1p3ppp/pq3b2/8/8/1P1Q1N2/P4PPP/3R2K1 w - - 2 27,d3d6 f8d8 d6d8 f6d8,' +
+  '1426,77,87,580,advantage endgame short,https://lichess.org/F8M8OS71#53,';
+const BACK_RANK = '0001X,6k1/5ppp/8/8/8/8/5PPP/3R2K1 b - - 0 1,h7h6 d1d8,' +
+  '900,80,90,1200,backRankMate mate mateIn1 oneMove endgame,,';
+
+const CSV = [HEADER, HANGING_PIECE, 'not,a,puzzle', ENDGAME, BACK_RANK, ''].join('\n');
+
+function createGenerator() {
+  return new PuzzleGenerator({ includeTraps: false });
+}
+
+describe('Lichess CSV parsing', () => {
+  test('splits quoted fields', () => {
+    expect(parseCsvLine('a,"b,c","say ""hi""",')).toEqual(['a', 'b,c', 'say "hi"', '']);
+  });
+
+  test('maps theme tags to registry themes, specific themes first', () => {
+    expect(getLichessThemes('mate short backRankMate mateIn1 crushing')).toEqual(['mateIn1', 'backRankMate', 'mate']);
+    expect(getLichessThemes('advantage endgame short')).toEqual([]);
+  });
+
+  test('lets the opponent play the first move', () => {
+    const puzzle = parseLichessRow(HANGING_PIECE);
+
+    expect(puzzle).toMatchObject({
+      id: 'lichess-00008',
+      moves: ['f2g3', 'e6e7', 'b2b1', 'b3c1', 'b1c1', 'h6c1'],
+      opponentMovesFirst: true,
+      orientation: 'white',
+      theme: 'hangingPiece',
+      tags: ['hangingPiece'],
+      rating: 1913,
+      ratingDeviation: 75,
+      gameUrl: 'https://lichess.org/787zsVup/black#47',
+      source: 'lichess'
+    });
+  });
+
+  test('describes mate puzzles', () => {
+    expect(parseLichessRow(BACK_RANK).objective).toBe('Find checkmate in 1');
+  });
+
+  test('skips the header and counts unreadable lines', () => {
+    const result = parseLichessCsv(CSV);
+
+    expect(result.puzzles.map(puzzle => puzzle.id)).toEqual(['lichess-00008', 'lichess-0000D', 'lichess-0001X']);
+    expect(result.skipped).toBe(1);
+  });
+
+  test('filters by rating and theme and stops at the limit', () => {
+    expect(parseLichessCsv(CSV, { maxRating: 1500 }).puzzles).toHaveLength(2);
+    expect(parseLichessCsv(CSV, { themes: ['backRankMate'] }).puzzles[0].id).toBe('lichess-0001X');
+    expect(parseLichessCsv(CSV, { limit: 1 }).puzzles).toHaveLength(1);
+  });
+
+  test('streams a local file', async () => {
+    const file = new Blob([CSV.replace(/\n/g, '\r\n')]);
+
+    const all = await readLichessFile(file);
+    expect(all.puzzles).toHaveLength(3);
+    expect(all.skipped).toBe(1);
+
+    const limited = await readLichessFile(file, { limit: 2 });
+    expect(limited.puzzles.map(puzzle => puzzle.id)).toEqual(['lichess-00008', 'lichess-0000D']);
+  });
+});
+
+describe('Lichess import into the generator', () => {
+  test('files puzzles by theme with a difficulty from their rating', () => {
+    const generator = createGenerator();
+    const result = generator.importLichessCsv(CSV);
+
+    expect(result.imported).toHaveLength(3);
+    expect(result.skipped).toBe(1);
+    expect(generator.getPuzzleById('lichess-00008')).toMatchObject({ difficulty: 'hard', rating: 1913, ratingDeviation: 75 });
+    expect(generator.getPuzzleById('lichess-0001X')).toMatchObject({ difficulty: 'easy', expectedTime: 30 });
+    expect(generator.puzzleDatabase.backRankMate.easy.map(puzzle => puzzle.id)).toContain('lichess-0001X');
+    expect(generator.importLichessCsv(CSV).duplicates).toBe(3);
+  });
+
+  test('plays the setup move before handing over', () => {
+    const generator = createGenerator();
+    generator.importLichessCsv(CSV);
+
+    const core = new PuzzleCore();
+    const boardState = core.initializePuzzle(generator.getPuzzleById('lichess-00008'));
+
+    expect(boardState.setupMove.san).toBe('Bxg3');
+    expect(core.evaluateMove('e6', 'e7').isCorrect).toBe(true);
+  });
+
+  test('restores saved imports', () => {
+    const generator = createGenerator();
+    generator.importLichessCsv(CSV);
+    const saved = generator.exportImportedPuzzles();
+
+    const restored = createGenerator();
+    expect(restored.restoreImportedPuzzles(saved)).toBe(true);
+    expect(restored.getPuzzleById('lichess-0000D')).toMatchObject({ difficulty: 'medium', orientation: 'black' });
+  });
+});
+
+describe('Lichess import in the game', () => {
+  let storage;
+
+  beforeEach(() => {
+    const items = {};
+    storage = {
+      getItem: key => (key in items ? items[key] : null),
+      setItem: jest.fn((key, value) => {
+        items[key] = String(value);
+      })
+    };
+    global.window = { localStorage: storage };
+    global.localStorage = storage;
+  });
+
+  afterEach(() => {
+    delete global.window;
+    delete global.localStorage;
+    jest.restoreAllMocks();
+  });
+
+  const importWrites = () => storage.setItem.mock.calls.filter(([key]) => key === 'chess_guerilla_imported_puzzles');
+
+  test('saves imported puzzles once, when they are imported', async () => {
+    const game = new ChessGuerilla({ userId: 'test-user' });
+    const result = await game.importLichessFile(new Blob([CSV]));
+
+    expect(result.saveFailed).toBe(false);
+    game.loadPuzzle(game.puzzleGenerator.getPuzzleById('lichess-00008'));
+    game.showSolution();
+    expect(importWrites()).toHaveLength(1);
+
+    const ratings = JSON.parse(storage.getItem('chess_guerilla_puzzle_ratings'));
+    expect(Object.keys(ratings)).toEqual(['lichess-00008']);
+
+    const restored = new ChessGuerilla({ userId: 'test-user' });
+    expect(restored.puzzleGenerator.getPuzzleById('lichess-00008')).toMatchObject({ rating: ratings['lichess-00008'].rating });
+  });
+
+  test('reports imports that do not fit in storage', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const game = new ChessGuerilla({ userId: 'test-user' });
+    storage.setItem.mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+
+    const result = await game.importLichessFile(new Blob([CSV]));
+    expect(result.saveFailed).toBe(true);
+    expect(result.imported).toHaveLength(3);
+  });
+});
@@ -0,0 +1,43 @@
+// Tests for the built-in search engine
+const { Chess } = require('chess.js');
+
+// MoveEvaluator expects chess.js as a browser global
+global.Chess = Chess;
+
+const { MoveEvaluator } = require('../src/js/core/moveEvaluator');
+
+describe('MoveEvaluator', () => {
+  test('finds a back rank mate in one', () => {
+    const chess = new Chess('6k1/5ppp/8/8/8/8/5PPP/R5K1 w - - 0 1');
+    const result = new MoveEvaluator(chess).search({ depth: 2 });
+
+    expect(result.move).toBe('a1a8');
+    expect(result.san).toBe('Ra8#');
+    expect(result.mate).toBe(1);
+  });
+
+  test('captures a hanging queen', () => {
+    const chess = new Chess('4k3/8/8/3q4/8/8/3R4/4K3 w - - 0 1');
+    const result = new MoveEvaluator(chess).search({ depth: 2 });
+
+    expect(result.move).toBe('d2d5');
+    expect(result.score).toBeGreaterThan(400);
+  });
+
+  test('leaves the searched position unchanged', () => {
+    const fen = 'r1bqkb1r/pppp1ppp/2n2n2/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq - 4 4';
+    const chess = new Chess(fen);
+    new MoveEvaluator(chess).search({ depth: 2 });
+
+    expect(chess.fen()).toBe(fen);
+  });
+
+  test('scores a blunder from the side that played it', () => {
+    const chess = new Chess('4k3/8/8/3q4/8/8/3R4/4K3 w - - 0 1');
+    const evaluator = new MoveEvaluator(chess);
+
+    const blunder = evaluator.evaluateMove('d2e2', { depth: 2 });
+    expect(blunder.score).toBeLessThan(-300);
+    expect(blunder.reply).not.toBeNull();
+  });
+});
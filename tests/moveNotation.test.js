@@ -0,0 +1,40 @@
+// Tests for the move notation helpers
+const { Chess } = require('chess.js');
+const { describeMove, normalizeLine, formatMoveList } = require('../src/js/core/moveNotation');
+
+describe('normalizeLine', () => {
+  test('converts SAN to UCI and keeps unplayable moves as written', () => {
+    const chess = new Chess();
+    const fen = chess.fen();
+
+    expect(normalizeLine(chess, fen, ['e4', 'e7e5', 'Nf3'])).toEqual(['e2e4', 'e7e5', 'g1f3']);
+    expect(normalizeLine(chess, fen, ['e4', 'Ke3', 'Nf6'])).toEqual(['e2e4', 'Ke3', 'Nf6']);
+  });
+});
+
+describe('formatMoveList', () => {
+  test('numbers moves from the FEN, starting with Black', () => {
+    const fen = 'r1bqkb1r/pppp1ppp/2n2n2/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R b KQkq - 5 4';
+
+    expect(formatMoveList(fen, ['Nxe4', 'Nxe5'])).toBe('4... Nxe4 5. Nxe5');
+  });
+});
+
+describe('describeMove', () => {
+  test('describes captures with check', () => {
+    const chess = new Chess('3qk3/8/8/4N3/8/8/6PP/6K1 b - - 0 1');
+    const move = chess.move('Qd1+');
+
+    expect(describeMove(move)).toBe('queen from d8 to d1, check');
+  });
+
+  test('describes castling, captures and promotions', () => {
+    const castling = new Chess('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1').move('O-O');
+    const capture = new Chess('rnbqkbnr/ppp1pppp/8/3p4/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 2').move('exd5');
+    const promotion = new Chess('8/2q1P1k1/8/8/8/8/8/K7 w - - 0 1').move('e8=N+');
+
+    expect(describeMove(castling)).toBe('castles kingside');
+    expect(describeMove(capture)).toBe('pawn from e4 takes pawn on d5');
+    expect(describeMove(promotion)).toBe('pawn from e7 to e8, promotes to knight, check');
+  });
+});
@@ -0,0 +1,122 @@
+// Tests for importing PGN puzzle collections
+const { Chess } = require('chess.js');
+
+// The generator and PuzzleCore expect chess.js as a browser global
+global.Chess = Chess;
+
+const {
+  splitPgnGames,
+  parseMovetext,
+  getAlternativeLines,
+  parsePgnCollection
+} = require('../src/js/core/pgnPuzzles');
+const { PuzzleGenerator } = require('../src/js/education/puzzleGenerator');
+const { PuzzleCore } = require('../src/js/core/puzzleCore');
+
+const COLLECTION = `[Event "Club tactics"]
+[Site "?"]
+[FEN "r1bqkb1r/pppp1ppp/2n2n2/4p3/4P3/2N2N2/PPPP1PPP/R1BQKB1R w KQkq - 4 4"]
+[SetUp "1"]
+[Theme "Forks, sacrifice"]
+[Difficulty "Easy"]
+
+{White to play and win material} 4. Nxe5 {The knight takes the pawn [%clk 0:01:00]}
+(4. d4 exd4 5. Nxd4 Nxd4) 4... d6 $2 5. Nxc6 ; and wins a piece
+bxc6 1-0
+
+[Event "Club tactics"]
+[PuzzleId "fools-mate"]
+[FEN "rnbqkbnr/pppp1ppp/8/4p3/6P1/5P2/PPPPP2P/RNBQKBNR b KQkq - 0 2"]
+
+2...Qh4# 0-1
+
+[Event "No position"]
+
+1. e4 e5 *
+`;
+
+function createGenerator(options = {}) {
+  return new PuzzleGenerator({ includeTraps: false, ...options });
+}
+
+describe('PGN parsing', () => {
+  test('splits a collection into games', () => {
+    const games = splitPgnGames(COLLECTION);
+
+    expect(games).toHaveLength(3);
+    expect(games[1].headers).toMatchObject({ PuzzleId: 'fools-mate', Event: 'Club tactics' });
+  });
+
+  test('keeps comments and variations on the moves they follow', () => {
+    const mainLine = parseMovetext('{Start} 1. e4 {Best by test} e5 (1... c5 2. Nf3) 2. Nf3 $1 *');
+
+    expect(mainLine.comments).toEqual(['Start']);
+    expect(mainLine.moves.map(move => move.san)).toEqual(['e4', 'e5', 'Nf3']);
+    expect(mainLine.moves[0].comments).toEqual(['Best by test']);
+    expect(mainLine.moves[1].variations[0].moves.map(move => move.san)).toEqual(['c5', 'Nf3']);
+  });
+
+  test('turns nested variations into full lines', () => {
+    const mainLine = parseMovetext('1. e4 e5 (1... c5 2. Nf3 (2. c3 d5) d6) 2. Nf3 *');
+
+    expect(getAlternativeLines(mainLine.moves)).toEqual([
+      ['e4', 'c5', 'Nf3', 'd6'],
+      ['e4', 'c5', 'c3', 'd5']
+    ]);
+  });
+
+  test('reads headers, comments and variations into a puzzle', () => {
+    const result = parsePgnCollection(COLLECTION);
+    const [fork, mate] = result.puzzles;
+
+    expect(result.skipped).toBe(1);
+    expect(fork).toMatchObject({
+      moves: ['Nxe5', 'd6', 'Nxc6', 'bxc6'],
+      alternativeLines: [['d4', 'exd4', 'Nxd4', 'Nxd4']],
+      orientation: 'white',
+      theme: 'fork',
+      tags: ['fork', 'sacrifice'],
+      difficulty: 'easy',
+      objective: 'White to play and win material',
+      explanation: 'The knight takes the pawn and wins a piece'
+    });
+    expect(fork.id).toMatch(/^pgn-/);
+    expect(parsePgnCollection(COLLECTION).puzzles[0].id).toBe(fork.id);
+
+    expect(mate).toMatchObject({ id: 'fools-mate', moves: ['Qh4#'], orientation: 'black', objective: 'Black to play' });
+    expect(mate.difficulty).toBeUndefined();
+  });
+});
+
+describe('PGN import into the generator', () => {
+  test('imports a collection with its alternative lines', () => {
+    const generator = createGenerator();
+    const result = generator.importPgnCollection(COLLECTION);
+
+    expect(result.imported).toHaveLength(2);
+    expect(result.skipped).toBe(1);
+    expect(generator.getPuzzleById('fools-mate')).toMatchObject({ difficulty: 'medium', moves: ['d8h4'] });
+    expect(generator.importPgnCollection(COLLECTION).duplicates).toBe(2);
+
+    const fork = result.imported.find(puzzle => puzzle.theme === 'fork');
+    const core = new PuzzleCore();
+    core.initializePuzzle(fork);
+    expect(core.evaluateMove('d2', 'd4').isCorrect).toBe(true);
+  });
+
+  test('saves collections and loads them only while the PGN database is on', () => {
+    const generator = createGenerator();
+    generator.importPgnCollection(COLLECTION);
+    const saved = generator.exportPgnCollections();
+    expect(JSON.parse(generator.exportImportedPuzzles())).toEqual([]);
+
+    const restored = createGenerator();
+    expect(restored.restorePgnCollections(saved)).toBe(true);
+    expect(restored.getPuzzleById('fools-mate')).not.toBeNull();
+
+    const withoutPgn = createGenerator({ usePgnDatabase: false });
+    expect(withoutPgn.restorePgnCollections(saved)).toBe(true);
+    expect(withoutPgn.getPuzzleById('fools-mate')).toBeNull();
+    expect(withoutPgn.exportPgnCollections()).toBe(saved);
+  });
+});
@@ -0,0 +1,59 @@
+// Tests for the placement test sequence
+const { PlacementTest } = require('../src/js/education/placementTest');
+
+const puzzles = [
+  { id: 'fork-1', theme: 'fork', rating: 900 },
+  { id: 'fork-2', theme: 'fork', rating: 1500 },
+  { id: 'pin-1', theme: 'pin', rating: 1100 },
+  { id: 'pin-2', theme: 'pin', rating: 1900 },
+  { id: 'skewer-1', theme: 'skewer', rating: 1300 },
+  { id: 'mate-1', theme: 'mateIn2', rating: 1700 },
+  { id: 'mate-2', theme: 'mateIn2', rating: 2100 }
+];
+
+describe('PlacementTest', () => {
+  test('leaves part of the pool unplayed', () => {
+    expect(new PlacementTest(puzzles).getProgress()).toEqual({ played: 0, total: 3 });
+    expect(new PlacementTest(puzzles, { length: 2 }).getProgress().total).toBe(2);
+    expect(new PlacementTest(puzzles, { poolShare: 1 }).getProgress().total).toBe(7);
+  });
+
+  test('starts near the middle and covers new themes first', () => {
+    const test = new PlacementTest(puzzles);
+
+    expect(test.nextPuzzle().id).toBe('fork-2');
+    test.recordResult(true);
+    expect(test.nextPuzzle().id).toBe('pin-2');
+    test.recordResult(false);
+    expect(test.nextPuzzle().id).toBe('mate-1');
+  });
+
+  test('halves the step after every result', () => {
+    const test = new PlacementTest(puzzles);
+
+    test.nextPuzzle();
+    test.recordResult(true);
+    expect(test.getEstimate()).toBe(1900);
+
+    test.nextPuzzle();
+    test.recordResult(false);
+    expect(test.getEstimate()).toBe(1700);
+
+    test.nextPuzzle();
+    test.recordResult(false);
+    expect(test.getEstimate()).toBe(1600);
+  });
+
+  test('never plays a puzzle twice and finishes', () => {
+    const test = new PlacementTest(puzzles, { length: 7, poolShare: 1 });
+    const played = [];
+
+    while (!test.isFinished()) {
+      played.push(test.nextPuzzle().id);
+      test.recordResult(played.length % 2 === 0);
+    }
+
+    expect(new Set(played).size).toBe(7);
+    expect(test.nextPuzzle()).toBeNull();
+  });
+});
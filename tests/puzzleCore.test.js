@@ -0,0 +1,392 @@
+// Tests for the puzzle flow in PuzzleCore
+const { Chess } = require('chess.js');
+
+// PuzzleCore expects chess.js as a browser global
+global.Chess = Chess;
+
+const { PuzzleCore } = require('../src/js/core/puzzleCore');
+
+// Resolves with the next refutationReady event
+function nextRefutation(core) {
+  return new Promise(resolve => core.on('refutationReady', resolve));
+}
+
+const forkPuzzle = {
+  id: 'fork-test',
+  fen: 'r1bqkb1r/pppp1ppp/2n2n2/4p3/4P3/2N2N2/PPPP1PPP/R1BQKB1R w KQkq - 4 4',
+  moves: ['f3e5', 'd7d6', 'e5c6', 'b7c6'],
+  alternativeLines: [['d2d4', 'e5d4', 'f3d4', 'c6d4']],
+  orientation: 'white'
+};
+
+describe('PuzzleCore move evaluation', () => {
+  test('accepts the main line move and plays the reply', () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle(forkPuzzle);
+
+    const result = core.evaluateMove('f3', 'e5');
+    expect(result.isCorrect).toBe(true);
+    expect(core.moveHistory).toEqual(['f3e5', 'd7d6']);
+  });
+
+  test('follows the alternative line the user picked', () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle(forkPuzzle);
+
+    const result = core.evaluateMove('d2', 'd4');
+    expect(result.isCorrect).toBe(true);
+    expect(core.activeLine).toEqual(forkPuzzle.alternativeLines[0]);
+    expect(core.moveHistory).toEqual(['d2d4', 'e5d4']);
+  });
+
+  test('rejects a move outside every solution line', () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle(forkPuzzle);
+
+    const result = core.evaluateMove('a2', 'a3');
+    expect(result.isCorrect).toBe(false);
+    expect(core.moveHistory).toEqual([]);
+    expect(core.chessEngine.fen()).toBe(forkPuzzle.fen);
+  });
+
+  test('accepts any mating move', () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle({
+      id: 'mate-test',
+      fen: '6k1/5ppp/8/8/8/8/5PPP/R3R1K1 w - - 0 1',
+      moves: ['a1a8'],
+      orientation: 'white'
+    });
+
+    const result = core.evaluateMove('e1', 'e8');
+    expect(result.isCorrect).toBe(true);
+    expect(result.completed).toBe(true);
+  });
+});
+
+describe('PuzzleCore promotions', () => {
+  const underpromotionPuzzle = {
+    id: 'underpromotion-test',
+    fen: '8/2q1P1k1/8/8/8/8/8/K7 w - - 0 1',
+    moves: ['e8=N+', 'Kf7', 'Nxc7'],
+    orientation: 'white'
+  };
+
+  test('compares the promotion piece with the solution', () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle(underpromotionPuzzle);
+
+    const queen = core.evaluateMove('e7', 'e8', 'q');
+    expect(queen.isCorrect).toBe(false);
+    expect(core.moveHistory).toEqual([]);
+
+    const knight = core.evaluateMove('e7', 'e8', 'n');
+    expect(knight.isCorrect).toBe(true);
+    expect(core.moveHistory).toEqual(['e7e8n', 'g7f7']);
+  });
+
+  test('explains a promotion that stalemates', async () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle({
+      id: 'stalemate-test',
+      fen: '8/k1P5/2K5/8/8/8/8/8 w - - 0 1',
+      moves: ['c8=R', 'Ka6', 'Ra8#'],
+      orientation: 'white'
+    });
+
+    const refutation = nextRefutation(core);
+    const result = core.evaluateMove('c7', 'c8', 'q');
+    expect(result.isCorrect).toBe(false);
+    expect((await refutation).refutation.summary).toBe('After c8=Q, it is stalemate.');
+  });
+});
+
+describe('PuzzleCore setup moves', () => {
+  const setupPuzzle = {
+    id: 'setup-test',
+    fen: 'r1bqkb1r/pppp1ppp/2n2n2/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R b KQkq - 5 4',
+    moves: ['f6e4', 'f3e5'],
+    orientation: 'white'
+  };
+
+  test('plays the opponent move first when the FEN side differs from the orientation', () => {
+    const core = new PuzzleCore();
+    const boardState = core.initializePuzzle(setupPuzzle);
+
+    expect(boardState.position).toBe(setupPuzzle.fen);
+    expect(boardState.setupMove.san).toBe('Nxe4');
+    expect(boardState.turn).toBe('w');
+    expect(core.moveHistory).toEqual(['f6e4']);
+    expect(core.evaluateMove('f3', 'e5').completed).toBe(true);
+  });
+
+  test('respects an explicit opponentMovesFirst flag', () => {
+    const core = new PuzzleCore();
+    const boardState = core.initializePuzzle({ ...setupPuzzle, opponentMovesFirst: false, orientation: 'black' });
+
+    expect(boardState.setupMove).toBeUndefined();
+    expect(core.moveHistory).toEqual([]);
+  });
+});
+
+describe('PuzzleCore move notation', () => {
+  test('normalizes SAN and mixed puzzle moves to UCI', () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle({ ...forkPuzzle, moves: ['Nxe5', 'd7d6', 'Nxc6', 'bxc6'] });
+
+    expect(core.currentPuzzle.moves).toEqual(['f3e5', 'd7d6', 'e5c6', 'b7c6']);
+    expect(core.evaluateMove('f3', 'e5').isCorrect).toBe(true);
+  });
+
+  test('shows the solution in SAN', () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle(forkPuzzle);
+
+    expect(core.getSolutionSan().text).toBe('4. Nxe5 d6 5. Nxc6 bxc6');
+  });
+
+  test('evaluates typed moves in SAN or UCI', () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle(forkPuzzle);
+
+    expect(core.evaluateMoveNotation('Nxe5').isCorrect).toBe(true);
+    expect(core.evaluateMoveNotation('e5c6').isCorrect).toBe(true);
+    expect(core.currentAttempt.result).toBe('solved');
+  });
+
+  test('rejects typed moves that cannot be played', () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle(forkPuzzle);
+
+    const result = core.evaluateMoveNotation('Qh7');
+    expect(result.valid).toBe(false);
+    expect(result.message).toBe('"Qh7" is not a legal move in this position');
+    expect(core.currentAttempt.moves).toHaveLength(0);
+  });
+});
+
+describe('PuzzleCore refutations', () => {
+  test('explains the reply that refutes a wrong move after the move is taken back', async () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle({
+      id: 'refutation-test',
+      fen: '3qk3/8/8/4N3/8/8/6PP/6K1 w - - 0 1',
+      moves: ['e5c6'],
+      orientation: 'white'
+    });
+
+    const refutation = nextRefutation(core);
+    const result = core.evaluateMove('h2', 'h3');
+    expect(result.isCorrect).toBe(false);
+    expect(core.chessEngine.fen()).toBe('3qk3/8/8/4N3/8/8/6PP/6K1 w - - 0 1');
+
+    const event = await refutation;
+    expect(event.move.san).toBe('h3');
+    expect(event.positionAfterMove).toBe('3qk3/8/8/4N3/8/7P/6P1/6K1 b - - 0 1');
+    expect(event.refutation.reply.san).toBe('Qd4+');
+    expect(event.refutation.summary).toBe('After h3, Qd4+ forks king and knight, losing a piece.');
+    expect(core.chessEngine.fen()).toBe('3qk3/8/8/4N3/8/8/6PP/6K1 w - - 0 1');
+  });
+
+  test('drops the search when the user moves on first', () => {
+    jest.useFakeTimers();
+    const core = new PuzzleCore();
+    const listener = jest.fn();
+    core.on('refutationReady', listener);
+
+    core.initializePuzzle(forkPuzzle);
+    core.evaluateMove('a2', 'a3');
+    core.evaluateMove('f3', 'e5');
+    jest.runAllTimers();
+
+    core.evaluateMove('a2', 'a3');
+    core.initializePuzzle(forkPuzzle);
+    jest.runAllTimers();
+    jest.useRealTimers();
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
+
+describe('PuzzleCore navigation', () => {
+  test('steps back and forward through the moves played', () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle(forkPuzzle);
+    core.evaluateMove('f3', 'e5');
+
+    const back = core.goBack();
+    expect(back.position).toBe(core.chessEngine.fen());
+    expect(core.moveHistory).toEqual(['f3e5']);
+    expect(back.navigation.canGoForward).toBe(true);
+
+    core.goToFirst();
+    expect(core.chessEngine.fen()).toBe(forkPuzzle.fen);
+    expect(core.goBack().navigation.ply).toBe(0);
+
+    const last = core.goToLast();
+    expect(core.moveHistory).toEqual(['f3e5', 'd7d6']);
+    expect(last.lastMove.san).toBe('d6');
+  });
+
+  test('records takebacks while the attempt is open', () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle(forkPuzzle);
+    core.evaluateMove('f3', 'e5');
+    core.goToFirst();
+
+    expect(core.currentAttempt.takebacks).toBe(2);
+
+    // Playing a different move drops the moves that were taken back
+    core.evaluateMove('d2', 'd4');
+    expect(core.getNavigationState().lastPly).toBe(2);
+    expect(core.moveHistory).toEqual(['d2d4', 'e5d4']);
+  });
+
+  test('keeps counting takebacks and holds back the replay after a wrong move', () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle(forkPuzzle);
+    core.evaluateMove('a2', 'a3');
+    core.evaluateMove('f3', 'e5');
+    core.goToFirst();
+
+    expect(core.currentAttempt.takebacks).toBe(2);
+    expect(core.startReplay()).toBeNull();
+  });
+
+  test('does not go back past the setup move', () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle({
+      id: 'setup-nav-test',
+      fen: 'r1bqkb1r/pppp1ppp/2n2n2/4p3/4P3/2N2N2/PPPP1PPP/R1BQKB1R w KQkq - 4 4',
+      moves: ['f3e5', 'c6e5', 'd2d4'],
+      orientation: 'black'
+    });
+
+    expect(core.goBack().navigation.ply).toBe(1);
+    expect(core.currentAttempt.takebacks).toBe(0);
+  });
+
+  test('replays the full solution after the puzzle ends', () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle(forkPuzzle);
+    expect(core.startReplay()).toBeNull();
+
+    core.revealSolution();
+    const replay = core.startReplay();
+    expect(replay.position).toBe(forkPuzzle.fen);
+    expect(replay.navigation.lastPly).toBe(4);
+    expect(core.evaluateMove('f3', 'e5')).toBeNull();
+
+    core.goToLast();
+    expect(core.moveHistory).toEqual(forkPuzzle.moves);
+    expect(core.currentAttempt.takebacks).toBe(0);
+  });
+});
+
+describe('PuzzleCore attempt log', () => {
+  test('records every move tried and the final result', () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle(forkPuzzle);
+
+    core.evaluateMove('f3', 'e5');
+    core.getHint();
+    core.evaluateMove('e5', 'c6');
+
+    const [attempt] = core.puzzleHistory;
+    expect(attempt.result).toBe('solved');
+    expect(attempt.moves.map(entry => [entry.san, entry.correct])).toEqual([['Nxe5', true], ['Nxc6', true]]);
+    expect(attempt.moves.every(entry => typeof entry.timeSpent === 'number')).toBe(true);
+    expect(attempt.hintsUsed).toBe(1);
+    expect(attempt.endTime).not.toBeNull();
+  });
+
+  test('fails the attempt on the first wrong move but keeps it open', () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle(forkPuzzle);
+
+    expect(core.evaluateMove('a2', 'a3').recorded).toBe(true);
+    expect(core.evaluateMove('a2', 'a4').recorded).toBe(false);
+    expect(core.puzzleHistory).toEqual([]);
+    expect(core.currentAttempt.failedAt).not.toBeNull();
+
+    core.getHint();
+    core.evaluateMove('f3', 'e5');
+    expect(core.evaluateMove('e5', 'c6').recorded).toBe(false);
+
+    const [attempt] = core.puzzleHistory;
+    expect(core.puzzleHistory).toHaveLength(1);
+    expect(attempt.result).toBe('failed');
+    expect(attempt.moves.map(entry => [entry.san, entry.correct])).toEqual([['a3', false], ['a4', false], ['Nxe5', true], ['Nxc6', true]]);
+    expect(attempt.hintsUsed).toBe(1);
+  });
+
+  test('records an unfinished puzzle as abandoned when moving on', () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle(forkPuzzle);
+    core.evaluateMove('f3', 'e5');
+    core.initializePuzzle(forkPuzzle);
+
+    expect(core.puzzleHistory.map(attempt => attempt.result)).toEqual(['abandoned']);
+    expect(core.getPuzzleStats().abandoned).toBe(1);
+  });
+
+  test('records a revealed solution as failed', () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle(forkPuzzle);
+    core.revealSolution();
+
+    expect(core.puzzleHistory[0].result).toBe('failed');
+    expect(core.puzzleHistory[0].solutionRevealed).toBe(true);
+  });
+});
+
+describe('PuzzleCore annotations', () => {
+  test('draws a circle and then an arrow for the move-revealing hints', () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle(forkPuzzle);
+
+    const hints = [1, 2, 3, 4, 5].map(() => core.getHint());
+    expect(hints.map(hint => hint.type)).toEqual(['motif', 'motif', 'vague', 'moderate', 'specific']);
+    expect(hints[2].annotations).toEqual([]);
+    expect(hints[3].annotations).toEqual([{ type: 'circle', square: 'f3', color: 'green' }]);
+    expect(hints[4].annotations).toEqual([{ type: 'arrow', from: 'f3', to: 'e5', color: 'green' }]);
+  });
+
+  test('draws the trap move and the replies that punish it', () => {
+    const core = new PuzzleCore();
+    const arrows = core.getTrapAnnotations({ trapMove: 'f3f7', correctDefense: 'e8f7', followUp: 'c4f7' });
+
+    expect(arrows.map(arrow => [arrow.from, arrow.to, arrow.color])).toEqual([
+      ['f3', 'f7', 'yellow'],
+      ['e8', 'f7', 'red'],
+      ['c4', 'f7', 'red']
+    ]);
+    expect(core.getTrapAnnotations({ trapMove: 'Qxf7+' })).toEqual([]);
+  });
+});
+
+describe('PuzzleCore hint ladder', () => {
+  test('gives conceptual clues before the move', () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle(forkPuzzle);
+
+    expect(core.getHint().message).toBe('f7 is only defended by the king.');
+    expect(core.getHint().message).toBe('Look for a capture.');
+  });
+
+  test('keeps the ladder on the attempt and restarts it at a new position', () => {
+    const core = new PuzzleCore();
+    core.initializePuzzle(forkPuzzle);
+    [1, 2, 3, 4, 5, 6].forEach(() => core.getHint());
+
+    expect(core.getHint().type).toBe('specific');
+    expect(core.currentPuzzle.hintCount).toBeUndefined();
+
+    core.evaluateMove('f3', 'e5');
+    expect(core.getHint().type).toBe('motif');
+    expect(core.currentAttempt.hintsUsed).toBe(8);
+
+    core.initializePuzzle(forkPuzzle);
+    expect(core.getHint().message).toBe('f7 is only defended by the king.');
+  });
+});
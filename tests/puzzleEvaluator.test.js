@@ -0,0 +1,107 @@
+// Tests for the motif clues behind puzzle hints
+const { Chess } = require('chess.js');
+
+// The evaluator expects chess.js as a browser global
+global.Chess = Chess;
+
+const { getLineType, getMotifClues, classifyPuzzle, getPuzzleTags } = require('../src/js/core/puzzleEvaluator');
+
+function cluesFor(fen, line) {
+  return getMotifClues(new Chess(fen), line);
+}
+
+describe('getLineType', () => {
+  test('recognizes ranks, files and diagonals', () => {
+    expect(getLineType('a1', 'h1')).toBe('rank');
+    expect(getLineType('e2', 'e7')).toBe('file');
+    expect(getLineType('c1', 'g5')).toBe('diagonal');
+    expect(getLineType('b1', 'c3')).toBeNull();
+  });
+});
+
+describe('getMotifClues', () => {
+  test('points out pieces lined up on the same line', () => {
+    const clues = cluesFor('3k4/8/5n2/8/8/8/8/2B3K1 w - - 0 1', ['c1g5']);
+
+    expect(clues[0].motif).toBe('alignment');
+    expect(clues[0].message).toBe('The black king and knight are on the same diagonal.');
+    expect(clues[0].annotations.map(annotation => annotation.square)).toEqual(['d8', 'f6']);
+  });
+
+  test('points out a piece defended only by the king', () => {
+    const clues = cluesFor('r1bqkb1r/pppp1ppp/2n2n2/4p3/4P3/2N2N2/PPPP1PPP/R1BQKB1R w KQkq - 4 4', ['f3e5', 'd7d6']);
+
+    expect(clues.map(clue => clue.motif)).toEqual(['weakPoint', 'capture']);
+    expect(clues[0].message).toBe('f7 is only defended by the king.');
+  });
+
+  test('points out a loose piece instead of a plain capture', () => {
+    const clues = cluesFor('4k3/8/8/3n4/8/8/8/3RK3 w - - 0 1', ['d1d5']);
+
+    expect(clues.map(clue => clue.motif)).toEqual(['loosePiece']);
+    expect(clues[0].message).toBe('The knight on d5 is not defended.');
+  });
+
+  test('recognizes a double attack', () => {
+    const clues = cluesFor('4k3/8/8/4N3/1r3q2/8/8/4K3 w - - 0 1', ['e5d3']);
+
+    expect(clues.map(clue => clue.motif)).toContain('fork');
+  });
+
+  test('announces a mate without the check clue', () => {
+    const clues = cluesFor('6k1/5ppp/8/8/8/8/5PPP/R3R1K1 w - - 0 1', ['a1a8']);
+
+    expect(clues.map(clue => clue.message)).toEqual(['There is a checkmate in one move.']);
+  });
+
+  test('returns no clues for an unplayable line', () => {
+    expect(cluesFor('6k1/5ppp/8/8/8/8/5PPP/R3R1K1 w - - 0 1', ['a1a2'])).toEqual([]);
+    expect(cluesFor('6k1/5ppp/8/8/8/8/5PPP/R3R1K1 w - - 0 1', [])).toEqual([]);
+  });
+});
+
+describe('classifyPuzzle', () => {
+  const classify = (fen, moves) => classifyPuzzle({ fen, moves, orientation: 'white' });
+
+  test('tags pins and skewers', () => {
+    expect(classify('3k4/8/5n2/8/8/8/8/2B3K1 w - - 0 1', ['c1g5', 'd8c7', 'g5f6'])).toEqual(['pin']);
+    expect(classify('6q1/8/8/3k4/8/1P6/4B3/7K w - - 0 1', ['e2c4', 'd5e5', 'c4g8'])).toEqual(['skewer']);
+  });
+
+  test('tags discovered attacks and double checks', () => {
+    expect(classify('4k3/8/8/8/4N3/8/8/4R1K1 w - - 0 1', ['e4f6'])).toEqual(['discoveredAttack', 'doubleCheck']);
+  });
+
+  test('tags a decoy sacrifice followed by a fork', () => {
+    const tags = classify('6k1/4q3/8/8/7N/8/8/5RK1 w - - 0 1', ['f1f8', 'g8f8', 'h4g6', 'f8f7', 'g6e7', 'f7e7']);
+    expect(tags).toEqual(['sacrifice', 'attraction', 'fork']);
+  });
+
+  test('tags deflection and removal of the defender', () => {
+    expect(classify('5rk1/5ppp/5n2/7Q/4P3/3B4/8/6K1 w - - 0 1', ['e4e5', 'f6d5', 'h5h7']))
+      .toEqual(['deflection', 'mate', 'mateIn2']);
+    expect(classify('5rk1/5ppp/5n2/7Q/8/3B4/8/5RK1 w - - 0 1', ['f1f6', 'g7f6', 'h5h7']))
+      .toEqual(['sacrifice', 'capturingDefender', 'mate', 'mateIn2']);
+  });
+
+  test('names mating patterns', () => {
+    expect(classify('6k1/5ppp/8/8/8/8/5PPP/R3R1K1 w - - 0 1', ['a1a8'])).toEqual(['backRankMate', 'mate', 'mateIn1']);
+    expect(classify('6rk/6pp/7N/8/8/8/8/6K1 w - - 0 1', ['h6f7'])).toEqual(['smotheredMate', 'mate', 'mateIn1']);
+  });
+
+  test('ignores moves played by the opponent', () => {
+    const tags = classifyPuzzle({
+      fen: '8/k1P5/2K5/8/8/8/8/8 w - - 0 1',
+      moves: ['c7c8r', 'a7a6', 'c8a8'],
+      orientation: 'white'
+    });
+    expect(tags).toEqual(['underPromotion', 'mate', 'mateIn2']);
+  });
+});
+
+describe('getPuzzleTags', () => {
+  test('normalizes existing tags and falls back to the theme', () => {
+    expect(getPuzzleTags({ tags: ['forks', 'fork'], theme: 'pins' })).toEqual(['fork']);
+    expect(getPuzzleTags({ fen: '4k3/8/8/8/8/8/8/R3K3 w - - 0 1', moves: ['a1a2'], theme: 'rook endgames' })).toEqual(['rookEndgame']);
+  });
+});
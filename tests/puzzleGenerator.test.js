@@ -0,0 +1,169 @@
+// Tests for the puzzle database in PuzzleGenerator
+const { Chess } = require('chess.js');
+
+// The generator expects chess.js as a browser global
+global.Chess = Chess;
+
+const { PuzzleGenerator } = require('../src/js/education/puzzleGenerator');
+
+describe('PuzzleGenerator themes', () => {
+  let generator;
+
+  beforeAll(() => {
+    generator = new PuzzleGenerator({ includeTraps: false });
+  });
+
+  test('files puzzles under their theme and every detected tag', () => {
+    const puzzle = generator.puzzleDatabase.capturingDefender.medium[0];
+
+    expect(puzzle.id).toBe('defender-medium-1');
+    expect(puzzle.tags).toEqual(['sacrifice', 'capturingDefender', 'mate', 'mateIn2']);
+    expect(generator.puzzleDatabase.mateIn2.medium).toContain(puzzle);
+  });
+
+  test('lists only themes that have puzzles', () => {
+    const themes = generator.getAvailableThemes();
+
+    expect(themes).toEqual(expect.arrayContaining(['skewer', 'discoveredAttack', 'backRankMate']));
+    expect(themes).not.toContain('prophylaxis');
+  });
+
+  test('accepts older theme names when generating', () => {
+    expect(generator.generatePuzzle('skewers', 'easy', false).id).toBe('skewer-easy-1');
+  });
+});
+
+describe('PuzzleGenerator ratings', () => {
+  let generator;
+
+  beforeEach(() => {
+    generator = new PuzzleGenerator({ includeTraps: false });
+  });
+
+  test('gives unrated puzzles a rating from their difficulty', () => {
+    const puzzle = generator.puzzlesById['skewer-easy-1'];
+    expect(puzzle).toMatchObject({ rating: 1000, ratingDeviation: 350, ratingVolatility: 0.06 });
+  });
+
+  test('stores new ratings under every theme the puzzle is filed under', () => {
+    expect(generator.setPuzzleRating('skewer-easy-1', { rating: 1123.4, deviation: 250.6, volatility: 0.059 })).toBe(true);
+    expect(generator.setPuzzleRating('missing', { rating: 1500, deviation: 100, volatility: 0.06 })).toBe(false);
+
+    expect(generator.generatePuzzle('skewer', 'easy', false))
+      .toMatchObject({ rating: 1123, ratingDeviation: 251, ratingVolatility: 0.059 });
+  });
+
+  test('round-trips puzzle ratings', () => {
+    generator.setPuzzleRating('skewer-easy-1', { rating: 1100, deviation: 200, volatility: 0.06 });
+    const saved = generator.exportPuzzleRatings();
+
+    const restored = new PuzzleGenerator({ includeTraps: false });
+
+    expect(restored.importPuzzleRatings(saved)).toBe(true);
+    expect(restored.puzzlesById['skewer-easy-1']).toMatchObject({ rating: 1100, ratingDeviation: 200 });
+  });
+});
+
+describe('PuzzleGenerator rating selection', () => {
+  let generator;
+
+  beforeAll(() => {
+    generator = new PuzzleGenerator({ includeTraps: false });
+  });
+
+  test('picks puzzles inside the rating window', () => {
+    for (let i = 0; i < 10; i++) {
+      const puzzle = generator.generatePuzzleByRating(null, { target: 1000, min: 900, max: 1100 }, false);
+      expect(puzzle.rating).toBe(1000);
+    }
+  });
+
+  test('prefers puzzles of the theme', () => {
+    const puzzle = generator.generatePuzzleByRating('skewer', { target: 1500, min: 1400, max: 1600 }, false);
+    expect(puzzle.id).toBe('skewer-easy-1');
+  });
+
+  test('falls back to the closest puzzles when the window is empty', () => {
+    const puzzle = generator.generatePuzzleByRating(null, { target: 3000, min: 2900, max: 3100 }, false);
+    expect(puzzle.rating).toBeGreaterThanOrEqual(1500);
+  });
+
+  test('maps ratings to the nearest difficulty', () => {
+    expect(generator.getDifficultyForRating(1100)).toBe('easy');
+    expect(generator.getDifficultyForRating(2400)).toBe('expert');
+  });
+});
+
+describe('PuzzleGenerator history', () => {
+  let generator;
+  let exhausted;
+  let allIds;
+
+  beforeEach(() => {
+    generator = new PuzzleGenerator({ includeTraps: false });
+
+    exhausted = [];
+    generator.on('poolExhausted', event => exhausted.push(event));
+    allIds = generator.getAllPuzzles().map(puzzle => puzzle.id);
+  });
+
+  test('skips excluded puzzles', () => {
+    const easyIds = generator.getAllPuzzles()
+      .filter(puzzle => puzzle.difficulty === 'easy')
+      .map(puzzle => puzzle.id);
+    const exclude = new Set(easyIds.filter(id => id !== 'smothered-easy-1'));
+
+    for (let i = 0; i < 10; i++) {
+      expect(generator.generatePuzzle(null, 'easy', false, { exclude }).id).toBe('smothered-easy-1');
+    }
+  });
+
+  test('brings seen puzzles back only when due for review', () => {
+    const due = [];
+    generator.setHistoryProvider({
+      getSeenPuzzleIds: () => allIds,
+      getDuePuzzleIds: () => due
+    });
+
+    generator.generatePuzzle('skewer', 'easy', false);
+    expect(exhausted).toHaveLength(1);
+
+    due.push('skewer-easy-1');
+    expect(generator.generatePuzzle('skewer', 'easy', false).id).toBe('skewer-easy-1');
+    expect(exhausted).toHaveLength(1);
+  });
+
+  test('reports a used-up pool and moves on to another theme', () => {
+    const puzzle = generator.generatePuzzle('skewer', 'easy', false, { exclude: ['skewer-easy-1'] });
+
+    expect(puzzle.id).not.toBe('skewer-easy-1');
+    expect(puzzle.difficulty).toBe('easy');
+    expect(exhausted).toEqual([
+      expect.objectContaining({ theme: 'skewer', difficulty: 'easy', poolSize: 1, fallback: 'otherTheme' })
+    ]);
+  });
+
+  test('repeats a seen puzzle once everything has been played', () => {
+    const puzzle = generator.generatePuzzle('skewer', 'easy', false, { exclude: allIds });
+
+    expect(puzzle.id).toBe('skewer-easy-1');
+    expect(exhausted[0]).toMatchObject({ fallback: 'repeat' });
+  });
+
+  test('only uses a template when no puzzle of the difficulty exists', () => {
+    const puzzle = generator.generatePuzzle('skewer', 'expert', false);
+
+    expect(puzzle).toBeDefined();
+    expect(exhausted[0]).toMatchObject({ theme: 'skewer', difficulty: 'expert', poolSize: 0, fallback: 'template' });
+  });
+
+  test('prefers unseen puzzles when picking by rating', () => {
+    const window = { target: 1000, min: 900, max: 1100 };
+    const puzzle = generator.generatePuzzleByRating('skewer', window, false, { exclude: ['skewer-easy-1'] });
+    expect(puzzle.id).not.toBe('skewer-easy-1');
+    expect(exhausted).toHaveLength(0);
+
+    generator.generatePuzzleByRating('skewer', window, false, { exclude: allIds });
+    expect(exhausted[0]).toMatchObject({ theme: 'skewer', fallback: 'repeat' });
+  });
+});
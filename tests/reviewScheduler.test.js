@@ -0,0 +1,75 @@
+// Tests for the SM-2 review queue
+const { ReviewScheduler, GRADES } = require('../src/js/education/reviewScheduler');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = new Date(2024, 0, 1, 12, 0, 0).getTime();
+const puzzle = { id: 'p1', expectedTime: 60 };
+
+describe('ReviewScheduler grading', () => {
+  test('grades failed, hinted, slow and clean attempts', () => {
+    const scheduler = new ReviewScheduler();
+
+    expect(scheduler.gradeAttempt(puzzle, false, 10, 0)).toBe(GRADES.failed);
+    expect(scheduler.gradeAttempt(puzzle, true, 10, 1)).toBe(GRADES.hinted);
+    expect(scheduler.gradeAttempt(puzzle, true, 150, 0)).toBe(GRADES.slow);
+    expect(scheduler.gradeAttempt(puzzle, true, 30, 0)).toBe(GRADES.perfect);
+  });
+
+  test('only queues imperfect attempts', () => {
+    const scheduler = new ReviewScheduler();
+
+    expect(scheduler.recordAttempt(puzzle, true, 30, 0, START)).toBeNull();
+    expect(scheduler.recordAttempt({ id: 'p2' }, true, 30, 1, START)).toMatchObject({ puzzleId: 'p2' });
+    expect(Object.keys(scheduler.reviews)).toEqual(['p2']);
+  });
+});
+
+describe('ReviewScheduler scheduling', () => {
+  test('brings a failed puzzle back tomorrow, then at growing intervals', () => {
+    const scheduler = new ReviewScheduler();
+    const review = scheduler.recordAttempt(puzzle, false, 30, 0, START);
+
+    expect(review.dueDate).toBe(START + DAY);
+    expect(scheduler.getDueReviews(START)).toEqual([]);
+    expect(scheduler.getNextReview(START + DAY)).toBe(review);
+
+    scheduler.recordAttempt(puzzle, true, 30, 0, START + DAY);
+    expect(review.interval).toBe(1);
+    scheduler.recordAttempt(puzzle, true, 30, 0, START + 2 * DAY);
+    expect(review.interval).toBe(6);
+    scheduler.recordAttempt(puzzle, true, 30, 0, START + 8 * DAY);
+    expect(review.interval).toBeGreaterThan(6);
+  });
+
+  test('starts over and lowers the ease factor after a miss', () => {
+    const scheduler = new ReviewScheduler();
+    const review = scheduler.recordAttempt(puzzle, true, 30, 1, START);
+    scheduler.recordAttempt(puzzle, true, 30, 0, START + DAY);
+    const ease = review.easeFactor;
+
+    scheduler.recordAttempt(puzzle, false, 30, 0, START + 7 * DAY);
+
+    expect(review).toMatchObject({ repetitions: 0, interval: 1, lapses: 1 });
+    expect(review.easeFactor).toBeLessThan(ease);
+    expect(review.easeFactor).toBeGreaterThanOrEqual(1.3);
+  });
+
+  test('counts reviews due by the end of the day', () => {
+    const scheduler = new ReviewScheduler();
+    scheduler.recordAttempt({ id: 'a' }, false, 30, 0, START - DAY);
+    scheduler.recordAttempt({ id: 'b' }, false, 30, 0, START - DAY + 2 * 60 * 60 * 1000);
+    scheduler.recordAttempt({ id: 'c' }, false, 30, 0, START + DAY);
+
+    expect(scheduler.getDueReviews(START).map(review => review.puzzleId)).toEqual(['a']);
+    expect(scheduler.getDueTodayCount(START)).toBe(2);
+  });
+
+  test('round-trips the queue', () => {
+    const scheduler = new ReviewScheduler();
+    scheduler.recordAttempt(puzzle, false, 30, 0, START);
+
+    const restored = new ReviewScheduler();
+    expect(restored.importReviews(scheduler.exportReviews())).toBe(true);
+    expect(restored.reviews).toEqual(scheduler.reviews);
+  });
+});
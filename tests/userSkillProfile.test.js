@@ -0,0 +1,190 @@
+// Tests for theme tracking in UserSkillProfile
+const { UserSkillProfile } = require('../src/js/education/userSkillProfile');
+
+describe('UserSkillProfile theme performance', () => {
+  test('counts a puzzle towards every one of its tags', () => {
+    const profile = new UserSkillProfile('test-user');
+    profile.updateAfterPuzzle({ id: 'p1', theme: 'pin', tags: ['sacrifice', 'attraction', 'fork'] }, true, 30, 0);
+
+    expect(Object.keys(profile.themePerformance)).toEqual(['sacrifice', 'attraction', 'fork']);
+    expect(profile.themePerformance.attraction).toMatchObject({ attempts: 1, correct: 1, avgTime: 30 });
+  });
+
+  test('falls back to the theme for untagged puzzles', () => {
+    const profile = new UserSkillProfile('test-user');
+    profile.updateAfterPuzzle({ id: 'p1', theme: 'pin' }, false, 30, 0);
+
+    expect(profile.themePerformance.pin).toMatchObject({ attempts: 1, correct: 0 });
+  });
+
+  test('only lists solved puzzles as solved', () => {
+    const profile = new UserSkillProfile('test-user');
+    profile.updateAfterPuzzle({ id: 'p1', tags: ['fork'] }, false, 30, 0);
+    profile.updateAfterPuzzle({ id: 'p2', tags: ['fork'] }, true, 30, 0);
+
+    expect(profile.solvedPuzzles).toEqual(['p2']);
+  });
+
+  test('counts each puzzle once in the overall success rate', () => {
+    const profile = new UserSkillProfile('test-user');
+    profile.updateAfterPuzzle({ id: 'p1', tags: ['fork', 'mate'] }, true, 30, 0);
+    profile.updateAfterPuzzle({ id: 'p2', tags: ['pin'] }, false, 30, 0);
+
+    expect(profile.overallPerformance).toEqual({ attempts: 2, correct: 1 });
+    expect(profile.getSummary().successRate).toBe('50.0%');
+  });
+});
+
+describe('UserSkillProfile theme names', () => {
+  test('files tags under registry IDs', () => {
+    const profile = new UserSkillProfile('test-user');
+    profile.updateAfterPuzzle({ id: 'p1', tags: ['forks', 'discovered attacks'] }, true, 30, 0);
+
+    expect(Object.keys(profile.themePerformance)).toEqual(['fork', 'discoveredAttack']);
+  });
+
+  test('merges statistics saved under older theme names', () => {
+    const profile = new UserSkillProfile('test-user');
+    const merged = profile.normalizeThemePerformance({
+      pins: { attempts: 2, correct: 1, avgTime: 30, lastAttempt: '2024-01-01T00:00:00.000Z' },
+      pin: { attempts: 2, correct: 2, avgTime: 60, lastAttempt: '2024-02-01T00:00:00.000Z' }
+    });
+
+    expect(Object.keys(merged)).toEqual(['pin']);
+    expect(merged.pin).toMatchObject({ attempts: 4, correct: 3, avgTime: 45, lastAttempt: '2024-02-01T00:00:00.000Z' });
+    expect(merged.pin.rating).toEqual({ rating: 1200, deviation: 350, volatility: 0.06 });
+  });
+
+  test('keeps a rating for every theme category', () => {
+    const profile = new UserSkillProfile('test-user');
+    expect(Object.keys(profile.ratings)).toEqual(['overall', 'tactics', 'strategy', 'endgame', 'openings']);
+  });
+});
+
+describe('UserSkillProfile rating categories', () => {
+  const MIDDLEGAME = 'r4rk1/pp3ppp/4b3/3p4/8/3B4/PP3PPP/R4RK1 w - - 0 20';
+  const OPENING = 'r1bqkbnr/ppp2ppp/2np4/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq - 0 4';
+  const ENDGAME = '8/5pk1/6p1/8/8/6P1/r4PK1/3R4 w - - 0 40';
+
+  test('derives categories from tags and game phase', () => {
+    const profile = new UserSkillProfile('test-user');
+
+    expect(profile.getRatingCategories({ tags: ['fork'], fen: MIDDLEGAME })).toEqual(['tactics']);
+    expect(profile.getRatingCategories({ tags: ['fork'], fen: OPENING })).toEqual(['tactics', 'openings']);
+    expect(profile.getRatingCategories({ tags: ['quietMove', 'rookEndgame'], fen: ENDGAME })).toEqual(['strategy', 'endgame']);
+  });
+
+  test('falls back to the puzzle category when nothing else applies', () => {
+    const profile = new UserSkillProfile('test-user');
+    expect(profile.getRatingCategories({ theme: 'unknown', category: 'strategy', fen: MIDDLEGAME })).toEqual(['strategy']);
+  });
+
+  test('updates every category a puzzle belongs to', () => {
+    const profile = new UserSkillProfile('test-user');
+    profile.updateAfterPuzzle({ id: 'p1', tags: ['fork'], category: 'tactics', fen: ENDGAME, rating: 1200 }, true, 60, 0);
+
+    expect(Object.keys(profile.lastCategoryChanges)).toEqual(['tactics', 'endgame']);
+    expect(profile.ratings.tactics).toEqual(profile.ratings.overall);
+    expect(profile.ratings.endgame).toEqual(profile.ratings.overall);
+    expect(profile.ratings.strategy.rating).toBe(1200);
+    expect(profile.ratings.openings.rating).toBe(1200);
+  });
+});
+
+describe('UserSkillProfile Glicko-2 ratings', () => {
+  test('loses rating for a failure against a harder puzzle', () => {
+    const profile = new UserSkillProfile('test-user');
+    profile.updateAfterPuzzle({ id: 'p1', tags: ['fork'], rating: 2000 }, false, 30, 0);
+
+    expect(profile.lastRatingChange).toBeLessThan(0);
+    expect(profile.lastPuzzleRating.rating).toBeGreaterThan(2000);
+  });
+
+  test('gains less for a solve with hints', () => {
+    const clean = new UserSkillProfile('clean');
+    const hinted = new UserSkillProfile('hinted');
+    clean.updateAfterPuzzle({ id: 'p1', tags: ['fork'], rating: 1200 }, true, 30, 0);
+    hinted.updateAfterPuzzle({ id: 'p1', tags: ['fork'], rating: 1200 }, true, 30, 1);
+
+    expect(hinted.lastRatingChange).toBeGreaterThan(0);
+    expect(hinted.lastRatingChange).toBeLessThan(clean.lastRatingChange);
+  });
+
+  test('starts provisional and settles with practice', () => {
+    const profile = new UserSkillProfile('test-user');
+    expect(profile.isProvisional()).toBe(true);
+
+    for (let i = 0; i < 30; i++) {
+      profile.updateAfterPuzzle({ id: `p${i}`, tags: ['fork'], rating: 1200, ratingDeviation: 60 }, i % 2 === 0, 30, 0);
+    }
+
+    expect(profile.isProvisional()).toBe(false);
+    expect(profile.getSummary().provisional).toBe(false);
+  });
+
+  test('migrates ratings saved as plain numbers', () => {
+    const profile = new UserSkillProfile('test-user');
+    const ratings = profile.normalizeRatings({ overall: 1350, tactics: 1200 });
+
+    expect(ratings.overall).toEqual({ rating: 1350, deviation: 150, volatility: 0.06 });
+    expect(ratings.tactics.deviation).toBe(350);
+    expect(ratings.openings.rating).toBe(1200);
+  });
+});
+
+describe('UserSkillProfile theme ratings', () => {
+  test('rates every tag of a puzzle', () => {
+    const profile = new UserSkillProfile('test-user');
+    profile.updateAfterPuzzle({ id: 'p1', tags: ['fork', 'mate'], rating: 1200 }, true, 30, 0);
+
+    expect(profile.themePerformance.fork.rating.rating).toBeGreaterThan(1200);
+    expect(profile.themePerformance.fork.rating.deviation).toBeLessThan(350);
+    expect(profile.getThemeRatings().mate).toEqual(expect.objectContaining({ low: expect.any(Number), high: expect.any(Number) }));
+  });
+
+  test('does not call a theme weak after a few failed hard puzzles', () => {
+    const profile = new UserSkillProfile('test-user');
+    for (let i = 0; i < 3; i++) {
+      profile.updateAfterPuzzle({ id: `hard${i}`, tags: ['fork'], rating: 2000, ratingDeviation: 60 }, false, 30, 0);
+    }
+
+    expect(profile.getWeaknessThemes()).toEqual([]);
+  });
+
+  test('finds weaknesses and strengths once the ratings are certain', () => {
+    const profile = new UserSkillProfile('test-user');
+    for (let i = 0; i < 40; i++) {
+      profile.updateAfterPuzzle({ id: `f${i}`, tags: ['fork'], rating: 1100, ratingDeviation: 60 }, false, 30, 0);
+      profile.updateAfterPuzzle({ id: `p${i}`, tags: ['pin'], rating: 1300, ratingDeviation: 60 }, true, 30, 0);
+    }
+
+    expect(profile.getWeaknessThemes()).toEqual(['fork']);
+    expect(profile.struggledThemes[0]).toMatchObject({ theme: 'fork', attempts: 40, successRate: 0 });
+    expect(profile.getStrengthThemes()).toEqual(['pin']);
+  });
+});
+
+describe('UserSkillProfile placement', () => {
+  const results = [
+    { puzzle: { id: 'a', tags: ['fork'], rating: 1500 }, correct: true },
+    { puzzle: { id: 'b', tags: ['fork'], rating: 1700 }, correct: false },
+    { puzzle: { id: 'c', tags: ['rookEndgame'], fen: '8/5pk1/6p1/8/8/6P1/r4PK1/3R4 w - - 0 40', rating: 1400 }, correct: true }
+  ];
+
+  test('seeds ratings and themes from the test', () => {
+    const profile = new UserSkillProfile('test-user');
+    expect(profile.shouldOfferPlacement()).toBe(true);
+
+    profile.applyPlacement(1600, results);
+
+    expect(profile.ratings.overall).toEqual({ rating: 1600, deviation: 100, volatility: 0.06 });
+    expect(profile.isProvisional()).toBe(false);
+    expect(profile.ratings.endgame.rating).not.toBe(1600);
+    expect(profile.ratings.strategy).toEqual({ rating: 1600, deviation: 100, volatility: 0.06 });
+    expect(profile.themePerformance.fork).toMatchObject({ attempts: 2, correct: 1 });
+    expect(profile.themePerformance.rookEndgame.rating.deviation).toBeLessThan(100);
+    expect(profile.overallPerformance).toEqual({ attempts: 3, correct: 2 });
+    expect(profile.solvedPuzzles).toEqual(['a', 'c']);
+    expect(profile.shouldOfferPlacement()).toBe(false);
+  });
+});